@@ -0,0 +1,103 @@
+// backend/scripts/roomArchive.js
+// Command-line export and import of room history, straight from the configured storage
+//
+//   node scripts/roomArchive.js export <room> [--format json|text|html] [--from <date>] [--to <date>] [--out <file>]
+//   node scripts/roomArchive.js import <room> <file>
+//
+// Uses the same STORAGE_BACKEND / MONGO_URI / STORAGE_FILE settings as the server. With the file
+// backend, stop the server first: opening the log compacts it, and both would write to it.
+
+// dotenv and storage log their progress with console.log; keep standard output for the export itself
+console.log = console.error;
+
+require("dotenv").config();
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { initializeStorage, getStorage } = require("../src/storage");
+const { initializeRooms, exportRoomMessages, importRoomMessages } = require("../src/utils/roomPersistence");
+const { formatExport, parseJsonLines, parseDateBound, EXPORT_FORMATS } = require("../src/utils/roomExport");
+
+const USAGE = `Usage:
+  node scripts/roomArchive.js export <room> [--format ${EXPORT_FORMATS.join("|")}] [--from <date>] [--to <date>] [--out <file>]
+  node scripts/roomArchive.js import <room> <file>
+
+Dates are ISO dates or times (2026-10-19, 2026-10-19T14:00:00Z) or millisecond timestamps; both ends are inclusive.
+Without --out the export is written to standard output.`;
+
+async function exportRoom(roomName, options) {
+  const format = options.format || "json";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+  const from = parseDateBound(options.from);
+  const to = parseDateBound(options.to, true);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new Error("--from and --to must be dates or timestamps");
+  }
+
+  const result = await exportRoomMessages(roomName, { from, to });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const output = formatExport(roomName, result.messages, format, { from, to });
+  if (options.out) {
+    await fs.promises.writeFile(options.out, output);
+    console.error(`Exported ${result.messages.length} messages from ${roomName} to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+async function importRoom(roomName, file) {
+  const { messages, error } = parseJsonLines(await fs.promises.readFile(file, "utf8"));
+  if (error) {
+    throw new Error(`${file}: ${error}`);
+  }
+
+  const result = await importRoomMessages(roomName, messages);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  console.error(`Imported ${result.imported} messages into ${roomName} (${messages.length - result.imported} already there)`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  const [command, roomName, file] = positionals;
+  if (values.help || !roomName || !["export", "import"].includes(command) || (command === "import" && !file)) {
+    console.error(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+  if ((process.env.STORAGE_BACKEND || "mongo") === "memory") {
+    throw new Error("STORAGE_BACKEND=memory keeps nothing between runs; use mongo or file");
+  }
+
+  await initializeStorage();
+  try {
+    await initializeRooms();
+    if (command === "export") {
+      await exportRoom(roomName, values);
+    } else {
+      await importRoom(roomName, file);
+    }
+  } finally {
+    await getStorage().close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,47 @@
+// backend/src/attachments/index.js
+// Picks where uploaded files are kept (ATTACHMENT_STORAGE=local by default)
+//
+// An attachment store implements:
+//   connect()
+//   save(name, data)   - store a Buffer under `name`
+//   load(name)         - resolves to the Buffer, or null if nothing is stored under `name`
+//   remove(name)
+//
+// Any value other than "local" is loaded as a module path exporting a store class; it is
+// constructed with { url: ATTACHMENT_STORAGE_URL }, so e.g. an object store can be dropped in.
+
+const path = require("path");
+const LocalAttachmentStore = require("./localAttachmentStore");
+
+let store = null;
+
+function createAttachmentStore(backend = process.env.ATTACHMENT_STORAGE || "local") {
+  if (backend === "local") {
+    return new LocalAttachmentStore({ dir: process.env.ATTACHMENT_DIR || "data/uploads" });
+  }
+
+  const Store = require(path.resolve(backend));
+  return new Store({ url: process.env.ATTACHMENT_STORAGE_URL });
+}
+
+/**
+ * Create and connect the attachment store; must be called once before uploads are accepted
+ */
+async function initializeAttachments(adapter = createAttachmentStore()) {
+  await adapter.connect();
+  store = adapter;
+  return store;
+}
+
+function getAttachmentStore() {
+  if (!store) {
+    throw new Error("Attachment store has not been initialized");
+  }
+  return store;
+}
+
+module.exports = {
+  createAttachmentStore,
+  initializeAttachments,
+  getAttachmentStore
+};
@@ -0,0 +1,45 @@
+// backend/src/attachments/localAttachmentStore.js
+// Keeps uploaded files in a directory on local disk
+
+const fs = require("fs");
+const path = require("path");
+
+// Stored names are generated by the server; anything else is refused rather than resolved
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+class LocalAttachmentStore {
+  constructor({ dir }) {
+    this.dir = path.resolve(dir);
+  }
+
+  async connect() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    console.log(`✓ Storing attachments in ${this.dir}`);
+  }
+
+  resolve(name) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid attachment name '${name}'`);
+    }
+    return path.join(this.dir, name);
+  }
+
+  async save(name, data) {
+    await fs.promises.writeFile(this.resolve(name), data);
+  }
+
+  async load(name) {
+    try {
+      return await fs.promises.readFile(this.resolve(name));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async remove(name) {
+    await fs.promises.rm(this.resolve(name), { force: true });
+  }
+}
+
+module.exports = LocalAttachmentStore;
@@ -1,29 +1,126 @@
 // backend/src/chatServer.js
 // Multi-room chat server with room-based persistence
 
+const crypto = require("crypto");
 const WebSocket = require("ws");
 const MESSAGE_TYPES = require("./messageTypes");
-const { validateMessage } = require("./utils/validateMessage");
+const LocalBroker = require("./cluster/localBroker");
+const PresenceRegistry = require("./cluster/presenceRegistry");
+const { validateMessage, validateFrame } = require("./utils/validateMessage");
+const RateLimiter = require("./utils/rateLimiter");
+const WebhookDispatcher = require("./utils/webhookDispatcher");
+const LinkPreviewer = require("./utils/linkPreviewer");
+const { findFirstLink } = LinkPreviewer;
+const { createCommandRegistry, parseCommandLine, parseArgs, formatUsage } = require("./commands");
 const { 
-  loadRoomHistory, 
+  loadRoomHistoryPage, 
   addMessageToRoom, 
+  editMessageInRoom,
+  setReaction,
+  setLinkPreview,
+  deleteMessageInRoom,
+  addDirectMessage,
+  loadDirectHistoryPage,
+  getDirectConversations,
+  takePendingDirectMessages,
+  addReply,
+  loadThreadPage,
+  loadRoomMessagesSince,
+  searchRoomMessages,
+  loadMessageContext,
+  createRoom,
+  renameRoom,
+  archiveRoom,
   getAvailableRooms, 
-  isValidRoom 
+  getRoomSummaries,
+  isValidRoom,
+  reloadRooms,
+  getRoomRole,
+  canModerate,
+  setRoomRole,
+  setRoomBan,
+  muteUser,
+  isBanned,
+  getMutedUntil,
+  hasRoomRole,
+  getRoomVisibility,
+  canAccessRoom,
+  checkRoomPassword,
+  setRoomAccess,
+  setRoomMember,
+  isRoomMember,
+  setRoomInfo,
+  isPinned,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  getRoomWebhooks,
+  getBotCommands,
+  INITIAL_HISTORY_SIZE
 } = require("./utils/roomPersistence");
+const { userExists, getNickname } = require("./utils/userPersistence");
+const { resolveAttachments } = require("./utils/attachmentPersistence");
+const { resolveMentions } = require("./utils/mentions");
+const { getUnreadCounts, markRoomRead, getReadReceipts } = require("./utils/readPersistence");
+
+// How long a disconnected user keeps their rooms before a leave is announced
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 15000;
+
+// Typing state expires when a client goes quiet; clients refresh it while typing
+const TYPING_TIMEOUT_MS = 5000;
+// Repeated typing_start frames within this window are not re-broadcast
+const TYPING_MIN_INTERVAL_MS = 1000;
+
+// Pub/sub channel carrying broadcasts and room changes between server nodes
+const CLUSTER_CHANNEL = "chat:events";
 
 class ChatServer {
   /**
    * @param {WebSocket.Server} wss - WebSocket server instance
+   * @param {object} [options]
+   * @param [options.broker] - pub/sub adapter shared with the other nodes (see cluster/index.js)
+   * @param {string} [options.nodeId] - ID of this node
+   * @param {CommandRegistry} [options.commands] - slash commands (see commands/index.js)
+   * @param {LinkPreviewer} [options.linkPreviews] - fetches previews of linked pages
    */
-  constructor(wss) {
+  constructor(wss, {
+    broker = new LocalBroker(),
+    nodeId = crypto.randomUUID(),
+    commands = createCommandRegistry(),
+    linkPreviews = new LinkPreviewer()
+  } = {}) {
     this.wss = wss;
+    this.broker = broker;
+    this.nodeId = nodeId;
+    this.commands = commands;
 
-    // Map of WebSocket -> { name: string, currentRoom: string|null }
+    // Map of WebSocket -> { name: string, rooms: Set<string>, currentRoom: string|null, status: "online"|"away" }
+    // A connection can be in several rooms; room-scoped messages that don't name a room go to
+    // `currentRoom`, the one it joined or switched to last
     this.clients = new Map();
 
     // Map of room name -> Set of WebSocket connections in that room
     this.rooms = new Map();
 
+    // Map of username -> { rooms: Set<string>, timer } for users who disconnected
+    // recently; their leaves are only announced once the grace period runs out
+    this.pendingLeaves = new Map();
+
+    // Map of WebSocket -> { room: string, timer, lastBroadcastAt: number } for clients currently typing
+    this.typing = new Map();
+
+    // Flood protection for every incoming frame
+    this.rateLimiter = new RateLimiter();
+
+    // Outgoing webhooks; messages are delivered by the node that stored them
+    this.webhooks = new WebhookDispatcher();
+
+    // Link previews; like webhooks, fetched by the node that stored the message
+    this.linkPreviews = linkPreviews;
+
+    // Who is online on any node
+    this.presence = new PresenceRegistry(broker, nodeId, (name) => this.handleRemotePresence(name));
+
     // Initialize rooms
     getAvailableRooms().forEach(room => {
       this.rooms.set(room, new Set());
@@ -33,19 +130,23 @@ class ChatServer {
   }
 
   setup() {
-    this.wss.on("connection", (ws) => {
-      this.handleConnection(ws);
+    // Receive broadcasts and room changes from the other nodes
+    this.broker.subscribe(CLUSTER_CHANNEL, (event) => this.handleClusterEvent(event))
+      .catch(err => console.error("Error subscribing to cluster events:", err));
+    this.presence.start()
+      .catch(err => console.error("Error starting presence registry:", err));
+
+    // Connections are authenticated during the HTTP upgrade (see server.js),
+    // which passes along the username taken from the session token
+    this.wss.on("connection", (ws, req, username) => {
+      this.handleConnection(ws, username);
     });
   }
 
-  handleConnection(ws) {
-    console.log("New client connected");
-
-    // Send available rooms list
-    this.send(ws, {
-      type: MESSAGE_TYPES.ROOM_LIST,
-      rooms: getAvailableRooms()
-    });
+  handleConnection(ws, name) {
+    // Set user info but don't put them in any room yet
+    this.clients.set(ws, { name, rooms: new Set(), currentRoom: null, status: "online" });
+    console.log(`User connected: ${name}`);
 
     // Set up message handler
     ws.on("message", (data) => this.handleRawMessage(ws, data));
@@ -57,6 +158,9 @@ class ChatServer {
     ws.on("error", (err) => {
       console.error("WebSocket error:", err.message);
     });
+
+    this.sendWelcome(ws, name).catch(err => console.error(err));
+    this.broadcastPresence(name);
   }
 
   send(ws, obj) {
@@ -65,30 +169,268 @@ class ChatServer {
     }
   }
 
+  // Sockets in a room on this node (rooms created on other nodes are added lazily)
+  getRoomClients(roomName) {
+    let roomClients = this.rooms.get(roomName);
+    if (!roomClients) {
+      roomClients = new Set();
+      this.rooms.set(roomName, roomClients);
+    }
+    return roomClients;
+  }
+
+  // Send an object to everyone in a room, on every node
   broadcastToRoom(roomName, obj, excludeWs = null) {
+    this.deliverToRoom(roomName, obj, excludeWs);
+    this.publishEvent({ kind: "room", room: roomName, payload: obj });
+  }
+
+  deliverToRoom(roomName, obj, excludeWs = null) {
     const roomClients = this.rooms.get(roomName);
     if (!roomClients) return;
 
     const data = JSON.stringify(obj);
+    const live = isValidRoom(roomName); // Archived rooms still tell their members about it
     for (const client of roomClients) {
+      const info = this.clients.get(client);
+      // Whoever lost access (e.g. an invitation revoked on another node) hears nothing more
+      if (live && info && !canAccessRoom(roomName, info.name)) continue;
       if (client !== excludeWs && client.readyState === WebSocket.OPEN) {
         client.send(data);
       }
     }
+
+    // Every node sees each room broadcast, so this is where unread counts go up
+    if (obj.type === MESSAGE_TYPES.CHAT) {
+      this.countUnread(roomName, obj);
+    }
+  }
+
+  // All sockets registered under a username on this node
+  getSocketsForUser(name) {
+    const sockets = [];
+    for (const [clientWs, info] of this.clients.entries()) {
+      if (info.name === name) sockets.push(clientWs);
+    }
+    return sockets;
+  }
+
+  // Send an object to every connection of a user, on every node
+  sendToUser(name, obj) {
+    this.deliverToUser(name, obj);
+    this.publishEvent({ kind: "user", user: name, payload: obj });
+  }
+
+  deliverToUser(name, obj) {
+    for (const client of this.getSocketsForUser(name)) {
+      this.send(client, obj);
+    }
+  }
+
+  // Send an object to every registered client, on every node
+  broadcastToAll(obj) {
+    this.deliverToAll(obj);
+    this.publishEvent({ kind: "all", payload: obj });
+  }
+
+  deliverToAll(obj) {
+    const data = JSON.stringify(obj);
+    for (const client of this.clients.keys()) {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(data);
+      }
+    }
+  }
+
+  // ------------------------------
+  // Cluster
+  // ------------------------------
+
+  publishEvent(event) {
+    this.broker.publish(CLUSTER_CHANNEL, { ...event, origin: this.nodeId })
+      .catch(err => console.error("Error publishing cluster event:", err));
+  }
+
+  // Apply a broadcast or room change published by another node to this node's sockets
+  async handleClusterEvent(event) {
+    if (event.origin === this.nodeId) return;
+
+    switch (event.kind) {
+      case "room":
+        this.deliverToRoom(event.room, event.payload);
+        break;
+
+      case "user":
+        this.deliverToUser(event.user, event.payload);
+        break;
+
+      case "all":
+        this.deliverToAll(event.payload);
+        break;
+
+      case "rooms_changed":
+        await reloadRooms();
+        break;
+
+      case "room_renamed":
+        await reloadRooms();
+        this.moveRoomClients(event.from, event.to);
+        break;
+
+      case "room_archived":
+        await reloadRooms();
+        this.evictRoomClients(event.room);
+        break;
+
+      case "room_lists":
+        // Sent right after the change itself; reload so the lists don't miss it
+        await reloadRooms();
+        this.deliverRoomLists(event.user);
+        break;
+
+      case "remove_user":
+        this.evictUser(event.user, event.room, event.by, event.banned);
+        break;
+
+      case "read":
+        this.applyReadPosition(event.user, event.room, event.unread);
+        break;
+
+      default:
+        console.warn(`Unknown cluster event: ${event.kind}`);
+    }
+  }
+
+  // Another node changed a user's presence: drop our pending leaves for the rooms they came back to there
+  handleRemotePresence(name) {
+    const pending = this.pendingLeaves.get(name);
+    if (!pending) return;
+
+    const resumed = [...pending.rooms].filter(roomName => this.presence.isInRoomElsewhere(name, roomName));
+    if (resumed.length === 0) return;
+
+    resumed.forEach(roomName => this.takePendingRoom(name, roomName));
+    this.presence.set(name, this.getLocalPresence(name));
+  }
+
+  // ------------------------------
+  // Presence
+  // ------------------------------
+
+  /**
+   * Presence of one user on this node: { room, rooms, status, grace? } or null
+   * `rooms` lists every room they are in, `room` the one they have open.
+   * A user reconnecting within the grace period still counts as present (`grace`), but away
+   */
+  getLocalPresence(name) {
+    const sockets = this.getSocketsForUser(name);
+    const pending = this.pendingLeaves.get(name);
+    if (sockets.length === 0 && !pending) return null;
+
+    const infos = sockets.map(client => this.clients.get(client));
+    const rooms = new Set(infos.flatMap(info => [...info.rooms]));
+    if (pending) pending.rooms.forEach(roomName => rooms.add(roomName));
+    const inRoom = infos.find(info => info.currentRoom);
+    const presence = {
+      room: inRoom ? inRoom.currentRoom : (rooms.size > 0 ? [...rooms][0] : null),
+      rooms: [...rooms],
+      status: infos.some(info => info.status === "online") ? "online" : "away"
+    };
+    if (sockets.length === 0) presence.grace = true;
+    return presence;
+  }
+
+  // Presence of everyone currently online, on any node
+  getOnlineUsers() {
+    return this.presence.list();
+  }
+
+  // Members of a room with their status and role
+  getRoomMembers(roomName) {
+    return this.getOnlineUsers()
+      .filter(presence => presence.rooms.includes(roomName))
+      .map(({ name, status }) => ({ name, status, role: getRoomRole(roomName, name) }));
+  }
+
+  sendRoomMembers(ws, roomName) {
+    this.send(ws, {
+      type: MESSAGE_TYPES.ROOM_MEMBERS,
+      room: roomName,
+      members: this.getRoomMembers(roomName)
+    });
+  }
+
+  // Tell everyone (and the other nodes) about a change in one user's presence
+  broadcastPresence(name) {
+    this.presence.set(name, this.getLocalPresence(name));
+    const presence = this.presence.get(name);
+    this.broadcastToAll({
+      type: MESSAGE_TYPES.PRESENCE_UPDATE,
+      user: presence || { name, room: null, rooms: [], status: "offline" }
+    });
+  }
+
+  // Push fresh room lists to one user, or to everyone, on every node; each client gets its own list,
+  // since private rooms are only listed for those who can enter them
+  broadcastRoomList(user = null) {
+    this.deliverRoomLists(user);
+    this.publishEvent({ kind: "room_lists", user });
+  }
+
+  deliverRoomLists(user = null) {
+    for (const [client, info] of this.clients.entries()) {
+      if (user === null || info.name === user) {
+        this.send(client, {
+          type: MESSAGE_TYPES.ROOM_LIST,
+          rooms: getRoomSummaries(info.name)
+        });
+      }
+    }
   }
 
   async sendRoomHistory(ws, roomName) {
-    const history = await loadRoomHistory(roomName);
-    if (history.length > 0) {
+    const { messages, hasMore } = await loadRoomHistoryPage(roomName, null, INITIAL_HISTORY_SIZE);
+    if (messages.length > 0) {
       this.send(ws, {
         type: MESSAGE_TYPES.HISTORY,
-        messages: history,
+        messages,
+        hasMore,
         room: roomName
       });
     }
   }
 
+  // Replay messages newer than `since`; falls back to full history if too much was missed
+  async sendMissedMessages(ws, roomName, since) {
+    if (typeof since !== "number") {
+      await this.sendRoomHistory(ws, roomName);
+      return;
+    }
+
+    const { messages, complete } = await loadRoomMessagesSince(roomName, since);
+    if (!complete) {
+      await this.sendRoomHistory(ws, roomName);
+      return;
+    }
+
+    this.send(ws, {
+      type: MESSAGE_TYPES.HISTORY,
+      messages,
+      replay: true,
+      room: roomName
+    });
+  }
+
   handleRawMessage(ws, data) {
+    const frameCheck = validateFrame(data);
+    if (!frameCheck.valid) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: frameCheck.error,
+      });
+      return;
+    }
+
     let msg;
     try {
       msg = JSON.parse(data.toString());
@@ -100,6 +442,15 @@ class ChatServer {
       return;
     }
 
+    // Rate limit before doing any work for the frame
+    const clientInfo = this.clients.get(ws);
+    const type = msg && typeof msg === "object" ? msg.type : undefined;
+    const limit = this.rateLimiter.consume(ws, clientInfo ? clientInfo.name : null, type);
+    if (!limit.allowed) {
+      this.handleRateLimited(ws, limit);
+      return;
+    }
+
     // Validate basic shape depending on type
     const { valid, error } = validateMessage(msg);
     if (!valid) {
@@ -112,18 +463,132 @@ class ChatServer {
 
     // Dispatch by type
     switch (msg.type) {
-      case MESSAGE_TYPES.JOIN:
-        this.handleJoin(ws, msg);
-        break;
-
       case MESSAGE_TYPES.JOIN_ROOM:
         this.handleJoinRoom(ws, msg);
         break;
 
+      case MESSAGE_TYPES.SUBSCRIBE:
+        this.handleSubscribe(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.UNSUBSCRIBE:
+        this.handleUnsubscribe(ws, msg);
+        break;
+
       case MESSAGE_TYPES.CHAT:
         this.handleChatMessage(ws, msg);
         break;
 
+      case MESSAGE_TYPES.DIRECT_MESSAGE:
+        this.handleDirectMessage(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.DIRECT_HISTORY_REQUEST:
+        this.handleDirectHistoryRequest(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.EDIT_MESSAGE:
+        this.handleEditMessage(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.DELETE_MESSAGE:
+        this.handleDeleteMessage(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.ADD_REACTION:
+      case MESSAGE_TYPES.REMOVE_REACTION:
+        this.handleReaction(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.MARK_READ:
+        this.handleMarkRead(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.REPLY:
+        this.handleReply(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.THREAD_REQUEST:
+        this.handleThreadRequest(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.KICK:
+        this.handleKick(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.MUTE:
+        this.handleMute(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.BAN:
+        this.handleBan(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.UNBAN:
+        this.handleUnban(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.SET_ROLE:
+        this.handleSetRole(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.SET_STATUS:
+        this.handleSetStatus(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.TYPING_START:
+        this.handleTypingStart(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.TYPING_STOP:
+        this.clearTyping(ws);
+        break;
+
+      case MESSAGE_TYPES.HISTORY_REQUEST:
+        this.handleHistoryRequest(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.SEARCH:
+        this.handleSearch(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.CONTEXT_REQUEST:
+        this.handleContextRequest(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.CREATE_ROOM:
+        this.handleCreateRoom(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.RENAME_ROOM:
+        this.handleRenameRoom(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.ARCHIVE_ROOM:
+        this.handleArchiveRoom(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.INVITE:
+        this.handleInvite(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.REVOKE:
+        this.handleRevoke(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.SET_ROOM_ACCESS:
+        this.handleSetRoomAccess(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.UPDATE_ROOM_INFO:
+        this.handleUpdateRoomInfo(ws, msg);
+        break;
+
+      case MESSAGE_TYPES.PIN_MESSAGE:
+      case MESSAGE_TYPES.UNPIN_MESSAGE:
+        this.handlePin(ws, msg);
+        break;
+
       default:
         this.send(ws, {
           type: MESSAGE_TYPES.ERROR,
@@ -132,71 +597,168 @@ class ChatServer {
     }
   }
 
-  handleJoin(ws, msg) {
-    const name = msg.name.trim();
-
-    // Enforce unique username across connected clients
-    for (const [clientWs, info] of this.clients.entries()) {
-      if (info && info.name === name) {
-        // Notify the requester that the username is taken
-        this.send(ws, {
-          type: MESSAGE_TYPES.USERNAME_TAKEN,
-          message: `Username '${name}' is already in use. Please choose another.`
-        });
-        return;
-      }
+  async sendWelcome(ws, name) {
+    // Send confirmation and room list (reconnecting clients resume silently)
+    if (!this.pendingLeaves.has(name) && this.presence.getRemoteGraceRooms(name).length === 0) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.SYSTEM,
+        message: `Welcome ${name}! Please select a room to join.`
+      });
     }
 
-    // Set user info but don't put them in any room yet
-    this.clients.set(ws, { name, currentRoom: null });
-    console.log(`User registered: ${name}`);
+    this.send(ws, {
+      type: MESSAGE_TYPES.ROOM_LIST,
+      rooms: getRoomSummaries(name)
+    });
 
-    // Send confirmation and room list
     this.send(ws, {
-      type: MESSAGE_TYPES.SYSTEM,
-      message: `Welcome ${name}! Please select a room to join.`
+      type: MESSAGE_TYPES.PRESENCE,
+      users: this.getOnlineUsers()
     });
 
+    await this.sendUnreadCounts(ws, name);
+    await this.sendDirectConversations(ws, name);
+  }
+
+  // Send the user's direct conversation list, then anything sent to them while offline
+  async sendDirectConversations(ws, name) {
     this.send(ws, {
-      type: MESSAGE_TYPES.ROOM_LIST,
-      rooms: getAvailableRooms()
+      type: MESSAGE_TYPES.DM_CONVERSATIONS,
+      users: await getDirectConversations(name)
+    });
+
+    const pending = await takePendingDirectMessages(name);
+    pending.forEach(message => {
+      this.send(ws, { ...message, type: MESSAGE_TYPES.DIRECT_MESSAGE });
     });
   }
 
-  async handleJoinRoom(ws, msg) {
+  // ------------------------------
+  // Room membership
+  // ------------------------------
+
+  // Room a join_room/subscribe asks for, or null after telling the sender why they can't enter it
+  async checkJoin(ws, msg) {
     const clientInfo = this.clients.get(ws);
+    const roomName = msg.room.trim();
+
+    let error = null;
+    let passwordRequired = false;
     if (!clientInfo) {
+      error = "You must log in first";
+    } else if (!isValidRoom(roomName)) {
+      error = `Invalid room: ${roomName}`;
+    } else if (isBanned(roomName, clientInfo.name)) {
+      error = `You are banned from room: ${roomName}`;
+    } else if (!canAccessRoom(roomName, clientInfo.name)) {
+      if (getRoomVisibility(roomName) !== "password") {
+        // Private rooms aren't listed for outsiders, so don't confirm that they exist either
+        error = `Invalid room: ${roomName}`;
+      } else if (msg.password === undefined || !(await checkRoomPassword(roomName, msg.password))) {
+        error = msg.password === undefined ? `${roomName} needs a password` : `Wrong password for ${roomName}`;
+        passwordRequired = true;
+      } else {
+        error = await this.admitMember(roomName, clientInfo.name);
+      }
+    }
+
+    if (error) {
       this.send(ws, {
         type: MESSAGE_TYPES.ERROR,
-        message: "You must register with a username first",
+        message: error,
+        ...(passwordRequired ? { room: roomName, passwordRequired } : {})
       });
-      return;
+      return null;
+    }
+    return roomName;
+  }
+
+  // Put a user on a room's member list (after the right password); returns an error message or null
+  async admitMember(roomName, name) {
+    // Remembered, so reconnects, other tabs and the HTTP API don't ask for the password again
+    const { success, error } = await setRoomMember(roomName, name, true);
+    if (!success) return error;
+
+    this.publishEvent({ kind: "rooms_changed" });
+    this.broadcastRoomList(name);
+    return null;
+  }
+
+  // Single-room clients: entering a room leaves every other one
+  async handleJoinRoom(ws, msg) {
+    const roomName = await this.checkJoin(ws, msg);
+    if (!roomName) return;
+
+    const clientInfo = this.clients.get(ws);
+    const otherRooms = [...clientInfo.rooms].filter(name => name !== roomName);
+    otherRooms.forEach(name => this.leaveRoom(ws, clientInfo, name));
+    // subscribe() only reports presence when it changes the room or current room
+    if (otherRooms.length > 0 && clientInfo.currentRoom === roomName) {
+      this.broadcastPresence(clientInfo.name);
     }
 
+    await this.subscribe(ws, clientInfo, roomName, msg.since);
+    this.sendSubscriptions(ws);
+  }
+
+  async handleSubscribe(ws, msg) {
+    const roomName = await this.checkJoin(ws, msg);
+    if (!roomName) return;
+
+    await this.subscribe(ws, this.clients.get(ws), roomName, msg.since);
+    this.sendSubscriptions(ws);
+  }
+
+  handleUnsubscribe(ws, msg) {
+    const clientInfo = this.clients.get(ws);
     const roomName = msg.room.trim();
-    if (!isValidRoom(roomName)) {
+    if (!clientInfo || !clientInfo.rooms.has(roomName)) {
       this.send(ws, {
         type: MESSAGE_TYPES.ERROR,
-        message: `Invalid room: ${roomName}`,
+        message: `You are not in room: ${roomName}`,
       });
       return;
     }
 
-    const wasInRoom = !!clientInfo.currentRoom;
+    this.leaveRoom(ws, clientInfo, roomName);
+    this.broadcastPresence(clientInfo.name);
+    this.sendSubscriptions(ws);
+  }
 
-    // Remove from current room if any
-    if (clientInfo.currentRoom) {
-      this.leaveCurrentRoom(ws, clientInfo);
+  /**
+   * Add a connection to a room and make it the current room, then send the room's history,
+   * members, the user's role and read receipts. Subscribing to a room the connection is
+   * already in (e.g. switching back to it) only changes the current room.
+   */
+  async subscribe(ws, clientInfo, roomName, since) {
+    if (clientInfo.rooms.has(roomName)) {
+      if (clientInfo.currentRoom !== roomName) {
+        clientInfo.currentRoom = roomName;
+        this.broadcastPresence(clientInfo.name);
+      }
+      await this.sendRoomState(ws, roomName);
+      return;
     }
 
-    // Add to new room
+    // Reconnecting within the grace period (possibly to another node), or already here through
+    // another connection: join silently. The other node drops its pending leave once it sees us back
+    const present = this.takePendingRoom(clientInfo.name, roomName) ||
+      this.presence.getRemoteGraceRooms(clientInfo.name).includes(roomName) ||
+      this.isUserInRoom(clientInfo.name, roomName);
+
+    clientInfo.rooms.add(roomName);
     clientInfo.currentRoom = roomName;
-    this.rooms.get(roomName).add(ws);
-    
-    console.log(`${clientInfo.name} ${wasInRoom ? 'switched to' : 'joined'} room: ${roomName}`);
+    this.getRoomClients(roomName).add(ws);
+    this.broadcastPresence(clientInfo.name);
+
+    if (present) {
+      console.log(`${clientInfo.name} resumed room: ${roomName}`);
+      await this.sendRoomState(ws, roomName, since);
+      return;
+    }
 
-    // Send room history to the user
-    await this.sendRoomHistory(ws, roomName);
+    console.log(`${clientInfo.name} joined room: ${roomName}`);
+    await this.sendRoomState(ws, roomName);
 
     // Create join message for the room history
     const historySystemMessage = {
@@ -219,96 +781,1527 @@ class ChatServer {
     this.broadcastToRoom(roomName, liveJoinMsg, ws);
 
     // Confirm to user (private message)
-    const confirmText = wasInRoom ? `switched to room: ${roomName}` : `joined room: ${roomName}`;
     this.send(ws, {
       type: MESSAGE_TYPES.SYSTEM,
-      message: `You ${confirmText}`
+      message: `You joined room: ${roomName}`
     });
   }
 
-  async handleChatMessage(ws, msg) {
+  // History (only what was missed since `since`, when given), members, the user's role, pinned messages,
+  // the commands available and how far everyone has read
+  async sendRoomState(ws, roomName, since) {
+    await this.sendMissedMessages(ws, roomName, since);
+    this.sendRoomMembers(ws, roomName);
+    this.sendRoomRole(ws, roomName);
+    await this.sendPinnedMessages(ws, roomName);
+    this.sendCommands(ws, roomName);
+    await this.sendReadReceipts(ws, roomName);
+  }
+
+  // The rooms a connection is in, sent after each change so clients can keep their room list in sync
+  sendSubscriptions(ws) {
     const clientInfo = this.clients.get(ws);
-    if (!clientInfo) {
-      this.send(ws, {
-        type: MESSAGE_TYPES.ERROR,
-        message: "You must join with a username before sending messages",
-      });
-      return;
-    }
+    if (!clientInfo) return;
+
+    this.send(ws, {
+      type: MESSAGE_TYPES.SUBSCRIPTIONS,
+      rooms: [...clientInfo.rooms]
+    });
+  }
+
+  // Whether any connection of a user, on any node, is in a room
+  isUserInRoom(name, roomName) {
+    return this.getSocketsForUser(name).some(client => this.clients.get(client).rooms.has(roomName)) ||
+      this.presence.isInRoomElsewhere(name, roomName);
+  }
+
+  /**
+   * Room a room-scoped message is for: the `room` it names, which the connection must be in,
+   * or the current room when it names none. Returns null if there is no such room
+   */
+  getTargetRoom(clientInfo, msg) {
+    if (msg.room === undefined) return clientInfo.currentRoom;
+
+    const roomName = msg.room.trim();
+    return clientInfo.rooms.has(roomName) ? roomName : null;
+  }
 
-    if (!clientInfo.currentRoom) {
+  // getTargetRoom() for actions the sender should hear about when there is no room
+  requireTargetRoom(ws, msg, action) {
+    const clientInfo = this.clients.get(ws);
+    const roomName = clientInfo ? this.getTargetRoom(clientInfo, msg) : null;
+    if (!roomName) {
       this.send(ws, {
         type: MESSAGE_TYPES.ERROR,
-        message: "You must join a room before sending messages",
+        message: msg.room === undefined
+          ? `You must join a room before ${action}`
+          : `You must join ${msg.room.trim()} before ${action}`,
       });
-      return;
     }
+    return roomName;
+  }
 
-    const text = msg.text.trim();
-    if (!text) return;
+  // Take a connection out of a room without announcing anything
+  removeFromRoom(ws, clientInfo, roomName) {
+    const state = this.typing.get(ws);
+    if (state && state.room === roomName) {
+      this.clearTyping(ws);
+    }
 
-    const payload = {
-      type: MESSAGE_TYPES.CHAT,
+    clientInfo.rooms.delete(roomName);
+    if (clientInfo.currentRoom === roomName) {
+      clientInfo.currentRoom = null;
+    }
+    const roomClients = this.rooms.get(roomName);
+    if (roomClients) {
+      roomClients.delete(ws);
+    }
+  }
+
+  // Take a connection out of a room; the leave is announced once none of the user's connections are left in it
+  leaveRoom(ws, clientInfo, roomName) {
+    this.removeFromRoom(ws, clientInfo, roomName);
+    if (!this.isUserInRoom(clientInfo.name, roomName)) {
+      this.announceLeave(clientInfo.name, roomName);
+    }
+  }
+
+  // ------------------------------
+  // Room messages
+  // ------------------------------
+
+  async handleChatMessage(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in before sending messages",
+      });
+      return;
+    }
+
+    const roomName = this.requireTargetRoom(ws, msg, "sending messages");
+    if (!roomName) return;
+
+    // "/name args" runs a command instead of being posted; "//" posts text starting with "/"
+    const command = parseCommandLine(msg.text);
+    if (command) {
+      if (msg.attachments) {
+        this.send(ws, {
+          type: MESSAGE_TYPES.ERROR,
+          message: "Commands can't have attachments",
+        });
+        return;
+      }
+      await this.runCommand(ws, clientInfo, roomName, command);
+      return;
+    }
+    const text = typeof msg.text === "string" ? msg.text.trim().replace(/^\/\//, "/") : msg.text;
+
+    const { success, error } = await this.postRoomMessage(roomName, clientInfo.name, text, {
+      attachments: msg.attachments,
+      ws
+    });
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+    }
+  }
+
+  /**
+   * Store a chat message from `from` in a room and deliver it live (WebSocket clients, the HTTP API and bots)
+   * `attachments` are IDs of uploads by the same user; `ws` is the sending connection, if any;
+   * `bot` marks messages posted through an incoming webhook and `emote` ones sent with /me
+   * Returns: { success: boolean, error?: string, mutedUntil?: number, message?: object }
+   */
+  async postRoomMessage(roomName, from, text, { attachments: attachmentIds, ws = null, bot = false, emote = false } = {}) {
+    const mutedUntil = getMutedUntil(roomName, from);
+    if (mutedUntil) {
+      const minutes = Math.ceil((mutedUntil - Date.now()) / 60000);
+      return { success: false, error: `You are muted in ${roomName} for ${minutes} more minute(s)`, mutedUntil };
+    }
+
+    const trimmed = (text || "").trim();
+    if (!trimmed && !attachmentIds) {
+      return { success: false, error: "Non-empty 'text' is required" };
+    }
+
+    let attachments;
+    if (attachmentIds) {
+      const result = await resolveAttachments(attachmentIds, from);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+      attachments = result.attachments;
+    }
+
+    if (ws) {
+      this.clearTyping(ws);
+    }
+
+    const payload = {
+      type: MESSAGE_TYPES.CHAT,
+      from,
+      message: trimmed,
+      timestamp: Date.now(),
+      room: roomName
+    };
+    if (attachments) {
+      payload.attachments = attachments;
+    }
+    if (bot) {
+      payload.bot = true;
+    } else {
+      const nick = await getNickname(from);
+      if (nick) {
+        payload.nick = nick;
+      }
+    }
+    if (emote) {
+      payload.emote = true;
+    }
+    const mentions = await resolveMentions(trimmed);
+    if (mentions.length > 0) {
+      payload.mentions = mentions;
+    }
+
+    // Add to room history
+    await addMessageToRoom(roomName, payload);
+
+    // Broadcast to everyone in the room
+    this.broadcastToRoom(roomName, payload);
+    this.notifyMentions(roomName, payload);
+    this.webhooks.deliver(getRoomWebhooks(roomName), roomName, payload);
+    this.updateLinkPreview(roomName, payload);
+    return { success: true, message: payload };
+  }
+
+  /**
+   * Preview the first page linked in a room message, in the background, then store it and show it
+   * to the room. After an edit (`edited`) a preview the new text no longer links to is removed
+   */
+  updateLinkPreview(roomName, message, edited = false) {
+    const link = findFirstLink(message.message);
+    if (!link && !edited) return;
+
+    (async () => {
+      const preview = link ? await this.linkPreviews.preview(link) : null;
+      if (!preview && !edited) return;
+
+      const { updated } = await setLinkPreview(roomName, message.id, message.message, preview);
+      if (!updated) return;
+      this.broadcastToRoom(roomName, {
+        type: MESSAGE_TYPES.LINK_PREVIEW,
+        id: message.id,
+        preview,
+        room: roomName
+      });
+    })().catch(err => console.error(`Error previewing a link in room ${roomName}:`, err));
+  }
+
+  /**
+   * Tell users @mentioned in a new room message about it, wherever they are
+   */
+  notifyMentions(roomName, message) {
+    (message.mentions || [])
+      .filter(name => name !== message.from && canAccessRoom(roomName, name))
+      .forEach(name => {
+        this.sendToUser(name, {
+          type: MESSAGE_TYPES.MENTION,
+          room: roomName,
+          id: message.id,
+          parentId: message.parentId,
+          from: message.from,
+          message: message.message,
+          timestamp: message.timestamp
+        });
+      });
+  }
+
+  // ------------------------------
+  // Commands
+  // ------------------------------
+
+  /**
+   * Run a slash command typed in a room, after checking the user's role and parsing the arguments.
+   * The command gets { server, ws, client, user, room, text, reply(message, fields), fail(message) };
+   * `reply` and `fail` only reach the user who typed it
+   */
+  async runCommand(ws, clientInfo, roomName, { name, argText }) {
+    const fail = (message) => this.send(ws, { type: MESSAGE_TYPES.ERROR, message });
+
+    const command = this.findCommand(roomName, name);
+    if (!command) {
+      fail(`Unknown command: /${name}. Type /help to see the commands you can use`);
+      return;
+    }
+    if (!hasRoomRole(roomName, clientInfo.name, command.role)) {
+      const allowed = command.role === "owner" ? "the room owner" : "moderators and owners";
+      fail(`Only ${allowed} can use /${name} in ${roomName}`);
+      return;
+    }
+
+    const { args, error } = parseArgs(argText, command.args);
+    if (error) {
+      fail(`${error}. Usage: ${formatUsage(command)}`);
+      return;
+    }
+
+    const context = {
+      server: this,
+      ws,
+      client: clientInfo,
+      user: clientInfo.name,
+      room: roomName,
+      text: argText,
+      reply: (message, fields = {}) => this.send(ws, {
+        type: MESSAGE_TYPES.COMMAND_RESULT,
+        command: name,
+        room: roomName,
+        message,
+        ...fields
+      }),
+      fail
+    };
+    try {
+      await command.run(context, args);
+    } catch (err) {
+      console.error(`Error running /${name} for ${clientInfo.name}:`, err);
+      fail(`/${name} failed`);
+    }
+  }
+
+  // Built-in and module commands take precedence over the ones the room's bots registered
+  findCommand(roomName, name) {
+    return this.commands.get(name) || this.listBotCommands(roomName).find(command => command.name === name) || null;
+  }
+
+  listCommands(roomName) {
+    const bots = this.listBotCommands(roomName).filter(command => !this.commands.has(command.name));
+    return [...this.commands.list(), ...bots];
+  }
+
+  // A bot command runs in the bot: the invocation goes to the room's outgoing webhooks as a `command` event,
+  // and the bot answers through its incoming webhook
+  listBotCommands(roomName) {
+    return getBotCommands(roomName).map(command => ({
+      ...command,
+      description: `${command.description || "No description"} (${command.bot.name})`,
+      run: async ({ user, room, text, fail }, args) => {
+        const webhooks = getRoomWebhooks(room);
+        if (webhooks.length === 0) {
+          fail(`${command.bot.name} can't be reached: ${room} has no webhooks`);
+          return;
+        }
+        this.webhooks.deliverCommand(webhooks, room, {
+          name: command.name,
+          bot: command.bot.name,
+          from: user,
+          args,
+          text,
+          timestamp: Date.now()
+        });
+      }
+    }));
+  }
+
+  // Commands the user can pick from in a room; clients filter them by the role from room_role
+  sendCommands(ws, roomName) {
+    this.send(ws, {
+      type: MESSAGE_TYPES.COMMANDS,
+      room: roomName,
+      commands: this.listCommands(roomName).map(command => ({
+        name: command.name,
+        usage: formatUsage(command),
+        description: command.description,
+        role: command.role
+      }))
+    });
+  }
+
+  // ------------------------------
+  // Threads
+  // ------------------------------
+
+  async handleReply(ws, msg) {
+    const roomName = this.requireTargetRoom(ws, msg, "replying");
+    if (!roomName) return;
+
+    const clientInfo = this.clients.get(ws);
+    const mutedUntil = getMutedUntil(roomName, clientInfo.name);
+    if (mutedUntil) {
+      const minutes = Math.ceil((mutedUntil - Date.now()) / 60000);
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: `You are muted in ${roomName} for ${minutes} more minute(s)`,
+      });
+      return;
+    }
+
+    const text = msg.text.trim();
+    const reply = {
+      type: MESSAGE_TYPES.CHAT,
+      from: clientInfo.name,
+      message: text,
+      timestamp: Date.now()
+    };
+    const nick = await getNickname(clientInfo.name);
+    if (nick) {
+      reply.nick = nick;
+    }
+    const mentions = await resolveMentions(text);
+    if (mentions.length > 0) {
+      reply.mentions = mentions;
+    }
+    const { success, error, replyCount } = await addReply(roomName, msg.parentId, reply);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    // Everyone in the room sees the count change; open thread panels also show the reply
+    this.broadcastToRoom(roomName, {
+      ...reply,
+      type: MESSAGE_TYPES.THREAD_REPLY,
+      room: roomName,
+      replyCount
+    });
+    this.notifyMentions(roomName, reply);
+    this.webhooks.deliver(getRoomWebhooks(roomName), roomName, reply);
+  }
+
+  async handleThreadRequest(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in first",
+      });
+      return;
+    }
+
+    const roomName = msg.room.trim();
+    const before = msg.before !== undefined ? msg.before : null;
+    const page = !canAccessRoom(roomName, clientInfo.name)
+      ? null
+      : await loadThreadPage(roomName, msg.parentId, before, undefined, msg.beforeId);
+    if (!page) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "Message not found",
+      });
+      return;
+    }
+
+    this.send(ws, {
+      type: MESSAGE_TYPES.THREAD_HISTORY,
+      room: roomName,
+      parentId: msg.parentId,
+      messages: page.messages,
+      hasMore: page.hasMore,
+      before,
+      beforeId: msg.beforeId
+    });
+  }
+
+  // ------------------------------
+  // Unread counts and read receipts
+  // ------------------------------
+
+  // Unread counts for every room the user can join; kept on the connection and updated as messages arrive
+  async sendUnreadCounts(ws, name) {
+    const roomNames = getAvailableRooms().filter(roomName => canAccessRoom(roomName, name));
+    const counts = await getUnreadCounts(name, roomNames);
+
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) return;
+
+    clientInfo.unread = counts;
+    this.send(ws, {
+      type: MESSAGE_TYPES.UNREAD_COUNTS,
+      counts
+    });
+  }
+
+  // A chat message reached a room: count it for this node's connections that aren't looking at it
+  countUnread(roomName, message) {
+    for (const [client, info] of this.clients.entries()) {
+      if (!info.unread || info.currentRoom === roomName || info.name === message.from) continue;
+      if (!canAccessRoom(roomName, info.name)) continue;
+
+      info.unread[roomName] = (info.unread[roomName] || 0) + 1;
+      this.send(client, {
+        type: MESSAGE_TYPES.UNREAD_COUNTS,
+        counts: { [roomName]: info.unread[roomName] }
+      });
+    }
+  }
+
+  async handleMarkRead(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in first",
+      });
+      return;
+    }
+
+    const roomName = msg.room.trim();
+    if (!canAccessRoom(roomName, clientInfo.name)) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: `Invalid room: ${roomName}`,
+      });
+      return;
+    }
+
+    // Reading ahead of the server's clock isn't possible
+    const timestamp = Math.min(msg.timestamp !== undefined ? msg.timestamp : Date.now(), Date.now());
+    const { success, error, unread } = await markRoomRead(roomName, clientInfo.name, timestamp);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    // Every connection of the user (on any node) picks up the new count
+    this.applyReadPosition(clientInfo.name, roomName, unread);
+    this.publishEvent({ kind: "read", user: clientInfo.name, room: roomName, unread });
+
+    this.broadcastToRoom(roomName, {
+      type: MESSAGE_TYPES.READ_RECEIPT,
+      room: roomName,
+      user: clientInfo.name,
+      timestamp
+    });
+  }
+
+  applyReadPosition(name, roomName, unread) {
+    for (const client of this.getSocketsForUser(name)) {
+      const info = this.clients.get(client);
+      if (info.unread) {
+        info.unread[roomName] = unread;
+      }
+      this.send(client, {
+        type: MESSAGE_TYPES.UNREAD_COUNTS,
+        counts: { [roomName]: unread }
+      });
+    }
+  }
+
+  async sendReadReceipts(ws, roomName) {
+    this.send(ws, {
+      type: MESSAGE_TYPES.READ_RECEIPTS,
+      room: roomName,
+      receipts: await getReadReceipts(roomName)
+    });
+  }
+
+  // ------------------------------
+  // Room access
+  // ------------------------------
+
+  async handleInvite(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    const roomName = msg.room.trim();
+    const target = msg.user.trim();
+
+    let error = null;
+    if (!clientInfo || !isValidRoom(roomName) || !hasRoomRole(roomName, clientInfo.name, "moderator")) {
+      error = `Only moderators and owners can invite people to ${roomName}`;
+    } else if (getRoomVisibility(roomName) === "public") {
+      error = `Anyone can join ${roomName}; invitations are for private and password-protected rooms`;
+    } else if (!(await userExists(target))) {
+      error = `No such user: ${target}`;
+    } else if (isBanned(roomName, target)) {
+      error = `${target} is banned from ${roomName}`;
+    } else if (canAccessRoom(roomName, target)) {
+      error = `${target} can already join ${roomName}`;
+    }
+    if (!error) {
+      ({ error } = await setRoomMember(roomName, target, true));
+    }
+    if (error) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.publishEvent({ kind: "rooms_changed" });
+    console.log(`${clientInfo.name} invited ${target} to room: ${roomName}`);
+    this.sendToUser(target, {
+      type: MESSAGE_TYPES.INVITED,
+      room: roomName,
+      by: clientInfo.name
+    });
+    this.broadcastRoomList(target);
+    await this.announceToRoom(roomName, `${target} was invited by ${clientInfo.name}`);
+  }
+
+  async handleRevoke(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    const roomName = msg.room.trim();
+    const target = msg.user.trim();
+
+    let error = null;
+    if (!clientInfo || !canModerate(roomName, clientInfo.name, target)) {
+      error = `You can't revoke ${target}'s access to ${roomName}`;
+    } else if (!isRoomMember(roomName, target)) {
+      error = `${target} wasn't invited to ${roomName}`;
+    }
+    if (!error) {
+      ({ error } = await setRoomMember(roomName, target, false));
+    }
+    if (error) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.publishEvent({ kind: "rooms_changed" });
+    // In a public room the entry only mattered for when it goes private again
+    if (!canAccessRoom(roomName, target)) {
+      this.removeUserFromRoom(target, roomName, clientInfo.name, false);
+    }
+    console.log(`${clientInfo.name} revoked ${target}'s access to room: ${roomName}`);
+    this.broadcastRoomList(target);
+    await this.announceToRoom(roomName, `${target}'s access was revoked by ${clientInfo.name}`);
+  }
+
+  async handleSetRoomAccess(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    const roomName = msg.room.trim();
+    if (!clientInfo || getRoomRole(roomName, clientInfo.name) !== "owner") {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: `Only the room owner can change who can join ${roomName}`,
+      });
+      return;
+    }
+
+    // Whoever is in the room now stays a member when it stops being public
+    const previous = getRoomVisibility(roomName);
+    const present = this.getRoomMembers(roomName).map(member => member.name);
+    const { success, error } = await setRoomAccess(roomName, msg.visibility, msg.password, present);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.publishEvent({ kind: "rooms_changed" });
+    console.log(`${clientInfo.name} made room ${roomName} ${msg.visibility}`);
+    this.broadcastRoomList();
+
+    let change = null;
+    if (msg.visibility !== previous) {
+      change = { public: "made the room public", private: "made the room invite-only",
+        password: "protected the room with a password" }[msg.visibility];
+    } else if (msg.visibility === "password" && msg.password) {
+      change = "changed the room password";
+    }
+    if (change) {
+      await this.announceToRoom(roomName, `${clientInfo.name} ${change}`);
+    }
+  }
+
+  // ------------------------------
+  // Room info and pins
+  // ------------------------------
+
+  async handleUpdateRoomInfo(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    const roomName = msg.room.trim();
+    if (!clientInfo || !isValidRoom(roomName) || !hasRoomRole(roomName, clientInfo.name, "moderator")) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: `Only moderators and owners can change the info of ${roomName}`,
+      });
+      return;
+    }
+
+    const fields = {};
+    if (msg.topic !== undefined) fields.topic = msg.topic.trim();
+    if (msg.description !== undefined) fields.description = msg.description.trim();
+    const { success, error } = await this.changeRoomInfo(roomName, clientInfo.name, fields);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+    }
+  }
+
+  /**
+   * Store a new topic and/or description, push the room list to everyone and note the change in the room
+   * (shared by update_room_info and /topic; the caller checks permissions)
+   * Returns: { success, error? }
+   */
+  async changeRoomInfo(roomName, actor, fields) {
+    const result = await setRoomInfo(roomName, fields);
+    if (!result.success) return result;
+
+    this.publishEvent({ kind: "rooms_changed" });
+    console.log(`${actor} changed the info of room ${roomName}`);
+    this.broadcastRoomList();
+
+    if (fields.topic !== undefined) {
+      await this.announceToRoom(roomName, fields.topic
+        ? `${actor} changed the topic to: ${fields.topic}`
+        : `${actor} cleared the topic`);
+    }
+    if (fields.description !== undefined) {
+      await this.announceToRoom(roomName, `${actor} updated the room description`);
+    }
+    return result;
+  }
+
+  async handlePin(ws, msg) {
+    const pin = msg.type === MESSAGE_TYPES.PIN_MESSAGE;
+    const roomName = this.requireTargetRoom(ws, msg, pin ? "pinning messages" : "unpinning messages");
+    if (!roomName) return;
+
+    const clientInfo = this.clients.get(ws);
+    if (!hasRoomRole(roomName, clientInfo.name, "moderator")) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: `Only moderators and owners can pin messages in ${roomName}`,
+      });
+      return;
+    }
+
+    const { success, error } = pin
+      ? await pinMessage(roomName, msg.messageId, clientInfo.name)
+      : await unpinMessage(roomName, msg.messageId);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.publishEvent({ kind: "rooms_changed" });
+    console.log(`${clientInfo.name} ${pin ? "pinned" : "unpinned"} message ${msg.messageId} in room ${roomName}`);
+    await this.broadcastPinnedMessages(roomName);
+    await this.announceToRoom(roomName, `${clientInfo.name} ${pin ? "pinned" : "unpinned"} a message`);
+  }
+
+  async sendPinnedMessages(ws, roomName) {
+    this.send(ws, {
+      type: MESSAGE_TYPES.PINNED_MESSAGES,
+      room: roomName,
+      messages: await getPinnedMessages(roomName)
+    });
+  }
+
+  // The whole list goes out after every change; it is short (see MAX_PINS_PER_ROOM)
+  async broadcastPinnedMessages(roomName) {
+    this.broadcastToRoom(roomName, {
+      type: MESSAGE_TYPES.PINNED_MESSAGES,
+      room: roomName,
+      messages: await getPinnedMessages(roomName)
+    });
+  }
+
+  // ------------------------------
+  // Moderation
+  // ------------------------------
+
+  sendRoomRole(ws, roomName) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) return;
+
+    this.send(ws, {
+      type: MESSAGE_TYPES.ROOM_ROLE,
+      room: roomName,
+      role: getRoomRole(roomName, clientInfo.name)
+    });
+  }
+
+  /**
+   * Common checks for moderation commands
+   * Returns { actor, roomName, target } or null after reporting the problem to the sender
+   */
+  checkModeration(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    const roomName = msg.room.trim();
+    const target = msg.user.trim();
+
+    let error = null;
+    if (!clientInfo) {
+      error = "You must log in first";
+    } else if (!isValidRoom(roomName)) {
+      error = `Invalid room: ${roomName}`;
+    } else if (!canModerate(roomName, clientInfo.name, target)) {
+      error = `You don't have permission to moderate ${target} in ${roomName}`;
+    }
+
+    if (error) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return null;
+    }
+    return { actor: clientInfo.name, roomName, target };
+  }
+
+  // Persist a system message in a room and show it to everyone there
+  async announceToRoom(roomName, text) {
+    const systemMessage = {
+      type: MESSAGE_TYPES.SYSTEM,
+      message: text,
+      timestamp: Date.now(),
+      room: roomName
+    };
+    await addMessageToRoom(roomName, systemMessage);
+    this.broadcastToRoom(roomName, systemMessage);
+  }
+
+  // Take every connection of `target` out of a room, on every node
+  removeUserFromRoom(target, roomName, by, banned) {
+    this.evictUser(target, roomName, by, banned);
+    this.publishEvent({ kind: "remove_user", user: target, room: roomName, by, banned });
+  }
+
+  evictUser(target, roomName, by, banned) {
+    let changed = false;
+    for (const client of this.getSocketsForUser(target)) {
+      const info = this.clients.get(client);
+      if (!info.rooms.has(roomName)) continue;
+
+      changed = true;
+      this.removeFromRoom(client, info, roomName);
+
+      this.send(client, {
+        type: MESSAGE_TYPES.KICKED,
+        room: roomName,
+        by,
+        banned
+      });
+      this.sendSubscriptions(client);
+    }
+
+    // Drop a pending (grace period) leave too, so nothing else gets announced
+    if (this.takePendingRoom(target, roomName)) {
+      changed = true;
+    }
+
+    // Only the node(s) holding the user's connections report the change
+    if (changed) {
+      this.broadcastPresence(target);
+    }
+  }
+
+  async handleKick(ws, msg) {
+    const checked = this.checkModeration(ws, msg);
+    if (!checked) return;
+    const { actor, roomName, target } = checked;
+
+    this.removeUserFromRoom(target, roomName, actor, false);
+    console.log(`${actor} kicked ${target} from room: ${roomName}`);
+    await this.announceToRoom(roomName, `${target} was kicked by ${actor}`);
+  }
+
+  async handleMute(ws, msg) {
+    const checked = this.checkModeration(ws, msg);
+    if (!checked) return;
+    const { actor, roomName, target } = checked;
+
+    const until = Date.now() + msg.duration * 1000;
+    const { success, error } = await muteUser(roomName, target, until);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.publishEvent({ kind: "rooms_changed" });
+    console.log(`${actor} muted ${target} in room ${roomName} for ${msg.duration}s`);
+    const minutes = Math.ceil(msg.duration / 60);
+    await this.announceToRoom(roomName, `${target} was muted by ${actor} for ${minutes} minute(s)`);
+  }
+
+  async handleBan(ws, msg) {
+    const checked = this.checkModeration(ws, msg);
+    if (!checked) return;
+    const { actor, roomName, target } = checked;
+
+    const { success, error } = await setRoomBan(roomName, target, true);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.publishEvent({ kind: "rooms_changed" });
+    this.removeUserFromRoom(target, roomName, actor, true);
+    console.log(`${actor} banned ${target} from room: ${roomName}`);
+    await this.announceToRoom(roomName, `${target} was banned by ${actor}`);
+  }
+
+  async handleUnban(ws, msg) {
+    const checked = this.checkModeration(ws, msg);
+    if (!checked) return;
+    const { actor, roomName, target } = checked;
+
+    const { success, error } = await setRoomBan(roomName, target, false);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.publishEvent({ kind: "rooms_changed" });
+    console.log(`${actor} unbanned ${target} from room: ${roomName}`);
+    await this.announceToRoom(roomName, `${target} was unbanned by ${actor}`);
+  }
+
+  async handleSetRole(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    const roomName = msg.room.trim();
+    const target = msg.user.trim();
+
+    // Only owners hand out (or take away) the moderator role
+    if (!clientInfo || getRoomRole(roomName, clientInfo.name) !== "owner" ||
+        getRoomRole(roomName, target) === "owner") {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: `You don't have permission to change roles in ${roomName}`,
+      });
+      return;
+    }
+
+    const { success, error } = await setRoomRole(roomName, target, msg.role);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.publishEvent({ kind: "rooms_changed" });
+    console.log(`${clientInfo.name} set ${target}'s role in ${roomName} to ${msg.role}`);
+    this.sendToUser(target, {
+      type: MESSAGE_TYPES.ROOM_ROLE,
+      room: roomName,
+      role: getRoomRole(roomName, target)
+    });
+    this.broadcastToRoom(roomName, {
+      type: MESSAGE_TYPES.ROOM_MEMBERS,
+      room: roomName,
+      members: this.getRoomMembers(roomName)
+    });
+    await this.announceToRoom(roomName, `${target} is now a ${msg.role} (set by ${clientInfo.name})`);
+  }
+
+  handleRateLimited(ws, { category, retryAfter, disconnect }) {
+    if (disconnect) {
+      const info = this.clients.get(ws);
+      console.warn(`Disconnecting ${info ? info.name : "client"} for repeatedly exceeding rate limits`);
+      ws.close(1008, "Rate limit exceeded");
+      return;
+    }
+
+    this.send(ws, {
+      type: MESSAGE_TYPES.RATE_LIMITED,
+      message: "You are sending messages too quickly",
+      category,
+      retryAfter
+    });
+  }
+
+  handleSetStatus(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo || clientInfo.status === msg.status) return;
+
+    clientInfo.status = msg.status;
+    this.broadcastPresence(clientInfo.name);
+  }
+
+  handleTypingStart(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    const roomName = clientInfo ? this.getTargetRoom(clientInfo, msg) : null;
+    if (!roomName) return;
+
+    const now = Date.now();
+    const state = this.typing.get(ws);
+
+    // Typing in another room than the last frame: stop in that one first
+    if (state && state.room !== roomName) {
+      this.clearTyping(ws);
+    }
+
+    const current = this.typing.get(ws);
+    if (current) {
+      clearTimeout(current.timer);
+    }
+
+    const entry = {
+      room: roomName,
+      timer: setTimeout(() => this.clearTyping(ws), TYPING_TIMEOUT_MS),
+      lastBroadcastAt: current ? current.lastBroadcastAt : 0
+    };
+    this.typing.set(ws, entry);
+
+    // Rate limit the fan-out; the expiry timer is refreshed either way
+    if (now - entry.lastBroadcastAt < TYPING_MIN_INTERVAL_MS) return;
+    entry.lastBroadcastAt = now;
+
+    this.broadcastToRoom(roomName, {
+      type: MESSAGE_TYPES.TYPING,
+      user: clientInfo.name,
+      typing: true,
+      room: roomName
+    }, ws);
+  }
+
+  // Drop a client's typing state and tell the room they stopped
+  clearTyping(ws) {
+    const state = this.typing.get(ws);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    this.typing.delete(ws);
+
+    const clientInfo = this.clients.get(ws);
+    this.broadcastToRoom(state.room, {
+      type: MESSAGE_TYPES.TYPING,
+      user: clientInfo ? clientInfo.name : null,
+      typing: false,
+      room: state.room
+    }, ws);
+  }
+
+  async handleDirectMessage(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in before sending messages",
+      });
+      return;
+    }
+
+    const to = msg.to.trim();
+    if (to === clientInfo.name) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You cannot send a direct message to yourself",
+      });
+      return;
+    }
+
+    if (!(await userExists(to))) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: `Unknown user: ${to}`,
+      });
+      return;
+    }
+
+    const text = msg.text.trim();
+    const payload = {
+      type: MESSAGE_TYPES.DIRECT_MESSAGE,
       from: clientInfo.name,
+      to,
+      message: text,
+      timestamp: Date.now()
+    };
+
+    // Offline recipients (not connected to any node) get the message when they next join
+    await addDirectMessage(clientInfo.name, to, payload, !this.presence.isConnected(to));
+
+    // Deliver only to the two participants (sender's own sockets get the echo)
+    this.sendToUser(to, payload);
+    this.sendToUser(clientInfo.name, payload);
+  }
+
+  async handleDirectHistoryRequest(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in first",
+      });
+      return;
+    }
+
+    const other = msg.with.trim();
+    const before = msg.before !== undefined ? msg.before : null;
+    const { messages, hasMore } = await loadDirectHistoryPage(clientInfo.name, other, before, undefined, msg.beforeId);
+    this.send(ws, {
+      type: MESSAGE_TYPES.DIRECT_HISTORY,
+      with: other,
+      messages,
+      hasMore,
+      before,
+      beforeId: msg.beforeId
+    });
+  }
+
+  async handleEditMessage(ws, msg) {
+    const roomName = this.requireTargetRoom(ws, msg, "editing messages");
+    if (!roomName) return;
+
+    const clientInfo = this.clients.get(ws);
+    const text = msg.text.trim();
+    const mentions = await resolveMentions(text);
+    const { success, error, editedAt } = await editMessageInRoom(
+      roomName, msg.messageId, clientInfo.name, text, mentions, msg.parentId || null
+    );
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.broadcastToRoom(roomName, {
+      type: MESSAGE_TYPES.MESSAGE_EDITED,
+      id: msg.messageId,
       message: text,
+      mentions,
+      editedAt,
+      room: roomName,
+      ...(msg.parentId ? { parentId: msg.parentId } : {})
+    });
+    if (!msg.parentId) {
+      this.updateLinkPreview(roomName, { id: msg.messageId, message: text }, true);
+    }
+    if (isPinned(roomName, msg.messageId)) {
+      await this.broadcastPinnedMessages(roomName);
+    }
+  }
+
+  async handleDeleteMessage(ws, msg) {
+    const roomName = this.requireTargetRoom(ws, msg, "deleting messages");
+    if (!roomName) return;
+
+    const clientInfo = this.clients.get(ws);
+    const { success, error } = await deleteMessageInRoom(
+      roomName, msg.messageId, clientInfo.name, msg.parentId || null
+    );
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.broadcastToRoom(roomName, {
+      type: MESSAGE_TYPES.MESSAGE_DELETED,
+      id: msg.messageId,
+      room: roomName,
+      ...(msg.parentId ? { parentId: msg.parentId } : {})
+    });
+    // A deleted message can't stay pinned
+    if (isPinned(roomName, msg.messageId) && (await unpinMessage(roomName, msg.messageId)).success) {
+      this.publishEvent({ kind: "rooms_changed" });
+      await this.broadcastPinnedMessages(roomName);
+    }
+  }
+
+  async handleReaction(ws, msg) {
+    const roomName = this.requireTargetRoom(ws, msg, "reacting to messages");
+    if (!roomName) return;
+
+    const clientInfo = this.clients.get(ws);
+    const added = msg.type === MESSAGE_TYPES.ADD_REACTION;
+    const { success, error, changed, count } = await setReaction(
+      roomName, msg.messageId, clientInfo.name, msg.emoji, added, msg.parentId || null
+    );
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+    if (!changed) return;
+
+    // Send only the change; clients apply it to the reactions they already have
+    this.broadcastToRoom(roomName, {
+      type: MESSAGE_TYPES.REACTION_CHANGED,
+      id: msg.messageId,
+      emoji: msg.emoji,
+      user: clientInfo.name,
+      added,
+      count,
+      room: roomName,
+      ...(msg.parentId ? { parentId: msg.parentId } : {})
+    });
+  }
+
+  async handleHistoryRequest(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in first",
+      });
+      return;
+    }
+
+    const roomName = msg.room.trim();
+    if (!canAccessRoom(roomName, clientInfo.name)) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: `Invalid room: ${roomName}`,
+      });
+      return;
+    }
+
+    const { messages, hasMore } = await loadRoomHistoryPage(roomName, msg.before, msg.limit, msg.beforeId);
+    this.send(ws, {
+      type: MESSAGE_TYPES.HISTORY_PAGE,
+      messages,
+      hasMore,
+      before: msg.before,
+      beforeId: msg.beforeId,
+      room: roomName
+    });
+  }
+
+  async handleSearch(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in first",
+      });
+      return;
+    }
+
+    const roomName = msg.room.trim();
+    if (!canAccessRoom(roomName, clientInfo.name)) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: `Invalid room: ${roomName}`,
+      });
+      return;
+    }
+
+    const filters = {
+      from: msg.from !== undefined ? msg.from.trim() : undefined,
+      after: msg.after,
+      before: msg.before
+    };
+    const { messages, hasMore } = await searchRoomMessages(roomName, msg.query, filters, msg.limit);
+    this.send(ws, {
+      type: MESSAGE_TYPES.SEARCH_RESULTS,
+      room: roomName,
+      query: msg.query,
+      results: messages,
+      hasMore,
+      before: msg.before
+    });
+  }
+
+  async handleContextRequest(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in first",
+      });
+      return;
+    }
+
+    const roomName = msg.room.trim();
+    const context = !canAccessRoom(roomName, clientInfo.name)
+      ? null
+      : await loadMessageContext(roomName, msg.messageId);
+    if (!context) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "Message not found",
+      });
+      return;
+    }
+
+    this.send(ws, {
+      type: MESSAGE_TYPES.MESSAGE_CONTEXT,
+      room: roomName,
+      messageId: msg.messageId,
+      messages: context.messages,
+      hasMore: context.hasMore
+    });
+  }
+
+  async handleCreateRoom(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in first",
+      });
+      return;
+    }
+
+    const roomName = msg.room.trim();
+    const retention = msg.retention !== undefined ? msg.retention : null;
+    const { success, error } = await createRoom(roomName, clientInfo.name, retention, {
+      visibility: msg.visibility,
+      password: msg.password
+    });
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.rooms.set(roomName, new Set());
+    this.publishEvent({ kind: "rooms_changed" });
+    console.log(`${clientInfo.name} created room: ${roomName}`);
+
+    this.broadcastRoomList();
+  }
+
+  async handleRenameRoom(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in first",
+      });
+      return;
+    }
+
+    const roomName = msg.room.trim();
+    const newName = msg.newName.trim();
+    const { success, error } = await renameRoom(roomName, newName, clientInfo.name);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    this.moveRoomClients(roomName, newName);
+    this.publishEvent({ kind: "room_renamed", from: roomName, to: newName });
+
+    console.log(`${clientInfo.name} renamed room ${roomName} to ${newName}`);
+
+    const renameSystemMessage = {
+      type: MESSAGE_TYPES.SYSTEM,
+      message: `${clientInfo.name} renamed the room from ${roomName} to ${newName}`,
       timestamp: Date.now(),
-      room: clientInfo.currentRoom
+      room: newName
     };
+    await addMessageToRoom(newName, renameSystemMessage);
 
-    // Add to room history
-    await addMessageToRoom(clientInfo.currentRoom, payload);
+    this.broadcastToRoom(newName, {
+      type: MESSAGE_TYPES.ROOM_RENAMED,
+      from: roomName,
+      to: newName,
+      by: clientInfo.name,
+      timestamp: renameSystemMessage.timestamp
+    });
 
-    // Broadcast to everyone in the room
-    this.broadcastToRoom(clientInfo.currentRoom, payload);
+    this.broadcastRoomList();
   }
 
-  leaveCurrentRoom(ws, clientInfo) {
-    if (!clientInfo.currentRoom) return;
+  async handleArchiveRoom(ws, msg) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: "You must log in first",
+      });
+      return;
+    }
 
-    const roomClients = this.rooms.get(clientInfo.currentRoom);
-    if (roomClients) {
-      roomClients.delete(ws);
+    const roomName = msg.room.trim();
+    const { success, error } = await archiveRoom(roomName, clientInfo.name);
+    if (!success) {
+      this.send(ws, {
+        type: MESSAGE_TYPES.ERROR,
+        message: error,
+      });
+      return;
+    }
+
+    // Everyone still in the room is moved out; they can pick another room from the list
+    this.broadcastToRoom(roomName, {
+      type: MESSAGE_TYPES.ROOM_ARCHIVED,
+      room: roomName,
+      by: clientInfo.name,
+      timestamp: Date.now()
+    });
+
+    this.evictRoomClients(roomName);
+    this.publishEvent({ kind: "room_archived", room: roomName });
+
+    console.log(`${clientInfo.name} archived room: ${roomName}`);
+
+    this.broadcastRoomList();
+  }
+
+  // Move this node's members of a renamed room over to the new name
+  moveRoomClients(roomName, newName) {
+    const roomClients = this.rooms.get(roomName) || new Set();
+    this.rooms.delete(roomName);
+    this.rooms.set(newName, roomClients);
+
+    const names = new Set();
+    for (const client of roomClients) {
+      const info = this.clients.get(client);
+      if (info) {
+        info.rooms.delete(roomName);
+        info.rooms.add(newName);
+        if (info.currentRoom === roomName) {
+          info.currentRoom = newName;
+        }
+        names.add(info.name);
+        this.sendSubscriptions(client);
+      }
     }
+    for (const [name, pending] of this.pendingLeaves.entries()) {
+      if (pending.rooms.delete(roomName)) {
+        pending.rooms.add(newName);
+        names.add(name);
+      }
+    }
+    for (const state of this.typing.values()) {
+      if (state.room === roomName) state.room = newName;
+    }
+    for (const info of this.clients.values()) {
+      if (info.unread && roomName in info.unread) {
+        info.unread[newName] = info.unread[roomName];
+        delete info.unread[roomName];
+      }
+    }
+    names.forEach(name => this.broadcastPresence(name));
+  }
+
+  // Move this node's members out of an archived room
+  evictRoomClients(roomName) {
+    const roomClients = this.rooms.get(roomName) || new Set();
+    const names = new Set();
+    for (const client of roomClients) {
+      const info = this.clients.get(client);
+      if (info) {
+        this.removeFromRoom(client, info, roomName);
+        names.add(info.name);
+        this.sendSubscriptions(client);
+      }
+    }
+    this.rooms.delete(roomName);
+
+    // Users in their grace period won't come back to an archived room
+    for (const name of [...this.pendingLeaves.keys()]) {
+      if (this.takePendingRoom(name, roomName)) {
+        names.add(name);
+      }
+    }
+    names.forEach(name => this.broadcastPresence(name));
+  }
 
-    console.log(`${clientInfo.name} left room: ${clientInfo.currentRoom}`);
+  // Persist and broadcast that a user left a room
+  announceLeave(name, roomName) {
+    console.log(`${name} left room: ${roomName}`);
     // Persist a system leave message into history
     const leaveHistoryMsg = {
       type: MESSAGE_TYPES.SYSTEM,
-      message: `${clientInfo.name} left the room`,
+      message: `${name} left the room`,
       timestamp: Date.now(),
-      room: clientInfo.currentRoom
+      room: roomName
     };
     // Note: we persist asynchronously (don't await here to avoid blocking)
-    addMessageToRoom(clientInfo.currentRoom, leaveHistoryMsg).catch(err => console.error(err));
+    addMessageToRoom(roomName, leaveHistoryMsg).catch(err => console.error(err));
 
     // Broadcast a single live leave event to remaining room members
     const liveLeave = {
       type: MESSAGE_TYPES.USER_LEFT_ROOM,
-      user: clientInfo.name,
+      user: name,
       timestamp: Date.now(),
-      room: clientInfo.currentRoom
+      room: roomName
     };
-    this.broadcastToRoom(clientInfo.currentRoom, liveLeave, ws);
+    this.broadcastToRoom(roomName, liveLeave);
+  }
+
+  // Cancel a user's pending leave; returns the rooms it was for
+  takePendingLeave(name) {
+    const pending = this.pendingLeaves.get(name);
+    if (!pending) return [];
+
+    clearTimeout(pending.timer);
+    this.pendingLeaves.delete(name);
+    return [...pending.rooms];
+  }
+
+  // Cancel the pending leave of one room; returns whether there was one
+  takePendingRoom(name, roomName) {
+    const pending = this.pendingLeaves.get(name);
+    if (!pending || !pending.rooms.delete(roomName)) return false;
 
-    // Clear current room
-    clientInfo.currentRoom = null;
+    if (pending.rooms.size === 0) {
+      this.takePendingLeave(name);
+    }
+    return true;
   }
 
   async handleClose(ws) {
     const info = this.clients.get(ws);
-    if (!info) {
-      console.log("Client disconnected before joining");
-      return;
+    if (!info) return;
+
+    this.clearTyping(ws);
+    this.rateLimiter.removeConnection(ws);
+    this.clients.delete(ws);
+    console.log(`Client disconnected: ${info.name}`);
+
+    for (const roomName of info.rooms) {
+      const roomClients = this.rooms.get(roomName);
+      if (roomClients) {
+        roomClients.delete(ws);
+      }
     }
 
-    // If user was in a room, notify others they left
-    if (info.currentRoom) {
-      // When closing, reuse leaveCurrentRoom logic so leave is handled consistently
-      this.leaveCurrentRoom(ws, info);
+    // Rooms the user is still in through another connection need no announcement
+    const leftRooms = [...info.rooms].filter(roomName => !this.isUserInRoom(info.name, roomName));
+    if (leftRooms.length === 0) {
+      this.broadcastPresence(info.name);
+      return;
     }
 
-    this.clients.delete(ws);
-    console.log(`Client disconnected: ${info.name}`);
+    // Wait before announcing the leaves so a quick reconnect goes unnoticed; rooms
+    // the user comes back to are taken out of the set before the timer fires
+    const rooms = new Set([...this.takePendingLeave(info.name), ...leftRooms]);
+    const timer = setTimeout(() => {
+      this.pendingLeaves.delete(info.name);
+      rooms.forEach(roomName => this.announceLeave(info.name, roomName));
+      this.broadcastPresence(info.name);
+    }, RECONNECT_GRACE_MS);
+    this.pendingLeaves.set(info.name, { rooms, timer });
+    this.broadcastPresence(info.name);
   }
 }
 
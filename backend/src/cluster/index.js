@@ -0,0 +1,27 @@
+// backend/src/cluster/index.js
+// Picks the pub/sub broker used to fan messages out between server nodes
+//
+// A broker adapter implements:
+//   connect(), close()
+//   publish(channel, message)       - deliver a JSON-serializable message to every subscriber, on every node
+//   subscribe(channel, handler)     - resolves to a function that removes the subscription
+//
+// PUBSUB_BACKEND=local (default) uses the in-process broker, which is all a single node needs.
+// Any other value is loaded as a module path exporting an adapter class; it is constructed
+// with { url: PUBSUB_URL }, so an external broker (Redis, NATS, ...) can be dropped in.
+
+const path = require("path");
+const LocalBroker = require("./localBroker");
+
+function createBroker(backend = process.env.PUBSUB_BACKEND || "local") {
+  if (backend === "local") {
+    return new LocalBroker();
+  }
+
+  const Broker = require(path.resolve(backend));
+  return new Broker({ url: process.env.PUBSUB_URL });
+}
+
+module.exports = {
+  createBroker
+};
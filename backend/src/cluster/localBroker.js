@@ -0,0 +1,51 @@
+// backend/src/cluster/localBroker.js
+// In-process pub/sub broker: connects ChatServer instances living in the same process
+// (a single server, or several nodes in a test). Messages go through JSON like they
+// would over the network, and are delivered asynchronously.
+
+class LocalBroker {
+  constructor() {
+    // Map of channel -> Set of handlers
+    this.channels = new Map();
+  }
+
+  async connect() {}
+
+  async close() {
+    this.channels.clear();
+  }
+
+  async publish(channel, message) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) return;
+
+    const data = JSON.stringify(message);
+    for (const handler of [...handlers]) {
+      setImmediate(() => {
+        try {
+          handler(JSON.parse(data));
+        } catch (error) {
+          console.error(`Error handling message on channel ${channel}:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Returns a function that removes the subscription
+   */
+  async subscribe(channel, handler) {
+    let handlers = this.channels.get(channel);
+    if (!handlers) {
+      handlers = new Set();
+      this.channels.set(channel, handlers);
+    }
+    handlers.add(handler);
+
+    return async () => {
+      handlers.delete(handler);
+    };
+  }
+}
+
+module.exports = LocalBroker;
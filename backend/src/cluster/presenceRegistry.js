@@ -0,0 +1,198 @@
+// backend/src/cluster/presenceRegistry.js
+// Presence shared by every node: each node owns the entries for its own connections
+// and publishes them; the other nodes keep a copy. Works on top of any broker.
+
+const PRESENCE_CHANNEL = "chat:presence";
+
+// Nodes re-publish their entries this often; a node that stays silent for
+// PRESENCE_TTL_MS (e.g. because it crashed) is dropped from the registry
+const SNAPSHOT_INTERVAL_MS = 10 * 1000;
+const PRESENCE_TTL_MS = 3 * SNAPSHOT_INTERVAL_MS;
+
+class PresenceRegistry {
+  /**
+   * @param broker - pub/sub adapter (see cluster/index.js)
+   * @param {string} nodeId - ID of this node
+   * @param {Function} onRemoteUpdate - called with a username when another node changes its presence
+   */
+  constructor(broker, nodeId, onRemoteUpdate = () => {}) {
+    this.broker = broker;
+    this.nodeId = nodeId;
+    this.onRemoteUpdate = onRemoteUpdate;
+
+    // Map of username -> { room, rooms, status, grace? } for this node's connections
+    this.local = new Map();
+
+    // Map of node ID -> { entries: Map<username, presence>, seenAt: number }
+    this.remote = new Map();
+
+    this.snapshotTimer = null;
+  }
+
+  async start() {
+    this.unsubscribe = await this.broker.subscribe(PRESENCE_CHANNEL, (msg) => this.handle(msg));
+
+    // Ask the other nodes for their entries, and keep ours fresh on theirs
+    this.publish({ kind: "sync" });
+    this.snapshotTimer = setInterval(() => {
+      this.publishSnapshot();
+      this.prune();
+    }, SNAPSHOT_INTERVAL_MS);
+    this.snapshotTimer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.snapshotTimer);
+    if (this.unsubscribe) await this.unsubscribe();
+    await this.publish({ kind: "leave" });
+  }
+
+  publish(msg) {
+    return this.broker.publish(PRESENCE_CHANNEL, { ...msg, origin: this.nodeId })
+      .catch(err => console.error("Error publishing presence:", err));
+  }
+
+  publishSnapshot() {
+    this.publish({ kind: "snapshot", entries: [...this.local] });
+  }
+
+  /**
+   * Record this node's view of a user ({ room, rooms, status, grace? }, or null when they have no presence here)
+   */
+  set(name, presence) {
+    if (presence) {
+      this.local.set(name, presence);
+    } else if (this.local.has(name)) {
+      this.local.delete(name);
+    } else {
+      return;
+    }
+    this.publish({ kind: "update", name, presence });
+  }
+
+  handle(msg) {
+    if (msg.origin === this.nodeId) return;
+
+    switch (msg.kind) {
+      case "sync":
+        this.publishSnapshot();
+        break;
+
+      case "snapshot": {
+        const previous = this.getNode(msg.origin).entries;
+        const entries = new Map(msg.entries);
+        this.remote.set(msg.origin, { entries, seenAt: Date.now() });
+        new Set([...previous.keys(), ...entries.keys()]).forEach(name => this.onRemoteUpdate(name));
+        break;
+      }
+
+      case "update": {
+        const node = this.getNode(msg.origin);
+        if (msg.presence) {
+          node.entries.set(msg.name, msg.presence);
+        } else {
+          node.entries.delete(msg.name);
+        }
+        node.seenAt = Date.now();
+        this.onRemoteUpdate(msg.name);
+        break;
+      }
+
+      case "leave":
+        this.dropNode(msg.origin);
+        break;
+    }
+  }
+
+  getNode(nodeId) {
+    let node = this.remote.get(nodeId);
+    if (!node) {
+      node = { entries: new Map(), seenAt: Date.now() };
+      this.remote.set(nodeId, node);
+    }
+    return node;
+  }
+
+  dropNode(nodeId) {
+    const node = this.remote.get(nodeId);
+    if (!node) return;
+
+    this.remote.delete(nodeId);
+    node.entries.forEach((presence, name) => this.onRemoteUpdate(name));
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [nodeId, node] of this.remote.entries()) {
+      if (now - node.seenAt > PRESENCE_TTL_MS) {
+        console.warn(`Dropping presence of unresponsive node ${nodeId}`);
+        this.dropNode(nodeId);
+      }
+    }
+  }
+
+  // Every entry for a user across nodes (this node first)
+  getEntries(name) {
+    const entries = [];
+    if (this.local.has(name)) entries.push(this.local.get(name));
+    for (const node of this.remote.values()) {
+      if (node.entries.has(name)) entries.push(node.entries.get(name));
+    }
+    return entries;
+  }
+
+  /**
+   * Presence of one user across all nodes: { name, room, rooms, status } or null when offline
+   * `rooms` is every room they are in; `room` the one they have open.
+   * Live connections win over users only kept around by a reconnect grace period
+   */
+  get(name) {
+    const entries = this.getEntries(name);
+    if (entries.length === 0) return null;
+
+    const live = entries.filter(entry => !entry.grace);
+    const inRoom = live.find(entry => entry.room) || entries.find(entry => entry.room);
+    const rooms = new Set(entries.flatMap(entry => entry.rooms));
+    return {
+      name,
+      room: inRoom ? inRoom.room : null,
+      rooms: [...rooms].sort(),
+      status: live.some(entry => entry.status === "online") ? "online" : "away"
+    };
+  }
+
+  // Presence of everyone online on any node
+  list() {
+    const names = new Set(this.local.keys());
+    for (const node of this.remote.values()) {
+      for (const name of node.entries.keys()) names.add(name);
+    }
+    return [...names].sort().map(name => this.get(name));
+  }
+
+  // Whether the user has an open connection on any node
+  isConnected(name) {
+    return this.getEntries(name).some(entry => !entry.grace);
+  }
+
+  // Rooms a user was in on other nodes before disconnecting, while their grace period runs
+  getRemoteGraceRooms(name) {
+    const rooms = [];
+    for (const node of this.remote.values()) {
+      const entry = node.entries.get(name);
+      if (entry && entry.grace) rooms.push(...entry.rooms);
+    }
+    return rooms;
+  }
+
+  // Whether another node has a live connection of the user inside a room
+  isInRoomElsewhere(name, roomName) {
+    for (const node of this.remote.values()) {
+      const entry = node.entries.get(name);
+      if (entry && !entry.grace && entry.rooms.includes(roomName)) return true;
+    }
+    return false;
+  }
+}
+
+module.exports = PresenceRegistry;
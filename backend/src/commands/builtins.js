@@ -0,0 +1,142 @@
+// backend/src/commands/builtins.js
+// Slash commands every room has: /me, /nick, /join, /who, /topic and /help
+
+const MESSAGE_TYPES = require("../messageTypes");
+const { formatUsage } = require("./commandRegistry");
+const { getRoomInfo, hasRoomRole, isBotName } = require("../utils/roomPersistence");
+const { setNickname } = require("../utils/userPersistence");
+const { validateUsername } = require("../utils/auth");
+
+const me = {
+  name: "me",
+  description: "Describe what you're doing, e.g. /me waves",
+  args: [{ name: "action", rest: true }],
+  async run({ server, ws, user, room, fail }, { action }) {
+    const result = await server.postRoomMessage(room, user, action, { ws, emote: true });
+    if (!result.success) {
+      fail(result.error);
+    }
+  }
+};
+
+const nick = {
+  name: "nick",
+  description: "Show a nickname next to your username; without one, clears it",
+  args: [{ name: "nickname", optional: true, rest: true }],
+  async run({ server, user, reply, fail }, { nickname }) {
+    // Going back to the plain username clears the nickname
+    const name = nickname && nickname !== user ? nickname : null;
+    if (name) {
+      const { valid, error } = validateUsername(name);
+      if (!valid) {
+        fail(error.replace("Username", "Nickname"));
+        return;
+      }
+      // Nobody gets to look like a bot; setNickname() checks other users' names
+      if (isBotName(name)) {
+        fail(`'${name}' is someone else's name`);
+        return;
+      }
+    }
+
+    const result = await setNickname(user, name);
+    if (!result.success) {
+      fail(result.error);
+      return;
+    }
+
+    reply(name ? `You are now known as ${name}` : "Your nickname was cleared");
+    const presence = server.presence.get(user);
+    const announcement = name ? `${user} is now known as ${name}` : `${user} dropped their nickname`;
+    for (const roomName of presence ? presence.rooms : []) {
+      await server.announceToRoom(roomName, announcement);
+    }
+  }
+};
+
+const join = {
+  name: "join",
+  description: "Join a room (or switch to it if you're already in)",
+  args: [{ name: "room" }, { name: "password", optional: true }],
+  async run({ server, ws, client, user, reply }, { room, password }) {
+    // The frame only paid into the chat bucket; joining costs what a subscribe frame would
+    const limit = server.rateLimiter.consume(ws, user, MESSAGE_TYPES.SUBSCRIBE);
+    if (!limit.allowed) {
+      server.handleRateLimited(ws, limit);
+      return;
+    }
+
+    const roomName = await server.checkJoin(ws, { room: room.replace(/^#/, ""), password });
+    if (!roomName) return;
+
+    // Sent first, so the client has the room on screen when its history arrives
+    reply(null, { switchTo: roomName });
+    await server.subscribe(ws, client, roomName);
+    server.sendSubscriptions(ws);
+  }
+};
+
+const who = {
+  name: "who",
+  description: "List who is in this room",
+  async run({ server, room, reply }) {
+    const members = server.getRoomMembers(room).map(({ name, status, role }) => {
+      const details = [role !== "member" ? role : null, status === "away" ? "away" : null].filter(Boolean);
+      return details.length > 0 ? `${name} (${details.join(", ")})` : name;
+    });
+    reply(`${members.length} in ${room}: ${members.join(", ")}`);
+  }
+};
+
+const topic = {
+  name: "topic",
+  description: "Show the room's topic; moderators can change it",
+  args: [{ name: "topic", optional: true, rest: true }],
+  async run({ server, user, room, reply, fail }, args) {
+    if (args.topic === undefined) {
+      const current = getRoomInfo(room).topic;
+      reply(current ? `Topic of ${room}: ${current}` : `No topic is set in ${room}`);
+      return;
+    }
+
+    if (!hasRoomRole(room, user, "moderator")) {
+      fail(`Only moderators and owners can change the topic of ${room}`);
+      return;
+    }
+    const result = await server.changeRoomInfo(room, user, { topic: args.topic });
+    if (!result.success) {
+      fail(result.error);
+    }
+  }
+};
+
+const help = {
+  name: "help",
+  description: "List the commands you can use here, or explain one",
+  args: [{ name: "command", optional: true }],
+  async run({ server, user, room, reply, fail }, args) {
+    const available = server.listCommands(room).filter(command => hasRoomRole(room, user, command.role));
+    const describe = (command) => `${formatUsage(command)} - ${command.description}`;
+
+    if (args.command) {
+      const name = args.command.replace(/^\//, "").toLowerCase();
+      const command = available.find(candidate => candidate.name === name);
+      if (!command) {
+        fail(`Unknown command: /${name}`);
+        return;
+      }
+      reply(describe(command));
+      return;
+    }
+    reply(["Commands (start a message with // to send a literal /):", ...available.map(describe)].join("\n"));
+  }
+};
+
+/**
+ * Register the built-in commands on a registry
+ */
+function registerBuiltins(registry) {
+  [me, nick, join, who, topic, help].forEach(command => registry.register(command));
+}
+
+module.exports = registerBuiltins;
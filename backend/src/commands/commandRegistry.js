@@ -0,0 +1,147 @@
+// backend/src/commands/commandRegistry.js
+// Slash commands: parsing "/name args" out of chat text and the registry commands are looked up in
+
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const ROLES = ["member", "moderator", "owner"];
+
+/**
+ * Split chat text into a command name and its argument text
+ * Returns { name, argText } or null if the text isn't a command ("//" escapes a leading slash)
+ */
+function parseCommandLine(text) {
+  if (typeof text !== "string") return null;
+
+  const match = /^\/([a-zA-Z][\w-]*)(?:\s+([\s\S]*))?$/.exec(text.trim());
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), argText: (match[2] || "").trim() };
+}
+
+/**
+ * Fill a command's declared arguments from its argument text
+ * Words are split on whitespace ("double quotes" group words); a `rest` argument takes the remaining text as typed
+ * Returns { args } or { error }
+ */
+function parseArgs(argText, specs = []) {
+  const tokens = [...argText.matchAll(/"((?:[^"\\]|\\.)*)"|(\S+)/g)];
+  const args = {};
+
+  let index = 0;
+  for (const spec of specs) {
+    const token = tokens[index];
+    if (!token) {
+      if (!spec.optional) {
+        return { error: `Missing <${spec.name}>` };
+      }
+      continue;
+    }
+
+    if (spec.rest) {
+      args[spec.name] = argText.slice(token.index).trim();
+      index = tokens.length;
+      break;
+    }
+    args[spec.name] = token[1] !== undefined ? token[1].replace(/\\(.)/g, "$1") : token[2];
+    index++;
+  }
+
+  if (index < tokens.length) {
+    return { error: "Too many arguments" };
+  }
+  return { args };
+}
+
+/**
+ * "/name <required> [optional] <rest...>", or the usage the command declared itself
+ */
+function formatUsage(command) {
+  if (command.usage) return command.usage;
+
+  const args = (command.args || []).map(spec => {
+    const label = spec.rest ? `${spec.name}...` : spec.name;
+    return spec.optional ? `[${label}]` : `<${label}>`;
+  });
+  return [`/${command.name}`, ...args].join(" ");
+}
+
+/**
+ * Check a command definition; bot commands come from outside, so this reports rather than throws
+ * Returns: { valid: boolean, error?: string }
+ */
+function validateCommand(command) {
+  if (!command || typeof command.name !== "string" || !COMMAND_NAME_PATTERN.test(command.name)) {
+    return { valid: false, error: "Command names are 1-32 lowercase letters, digits, '-' or '_', starting with a letter" };
+  }
+  if (command.role !== undefined && !ROLES.includes(command.role)) {
+    return { valid: false, error: `'role' must be one of: ${ROLES.join(", ")}` };
+  }
+  if (command.args !== undefined) {
+    if (!Array.isArray(command.args)) {
+      return { valid: false, error: "'args' must be an array" };
+    }
+    for (const [i, spec] of command.args.entries()) {
+      if (!spec || typeof spec.name !== "string" || !/^[a-z][a-z0-9_]{0,31}$/.test(spec.name)) {
+        return { valid: false, error: "Argument names are lowercase letters, digits or '_', starting with a letter" };
+      }
+      if (spec.rest && i !== command.args.length - 1) {
+        return { valid: false, error: "Only the last argument can take the rest of the text" };
+      }
+    }
+  }
+  return { valid: true };
+}
+
+class CommandRegistry {
+  constructor() {
+    // Map of name -> { name, description, usage?, args, role, run(context, args) }
+    this.commands = new Map();
+  }
+
+  /**
+   * Add a command
+   * @param {object} command
+   * @param {string} command.name - typed after the slash
+   * @param {string} command.description - shown by /help and in autocomplete
+   * @param {Array<{name: string, optional?: boolean, rest?: boolean}>} [command.args]
+   * @param {"member"|"moderator"|"owner"} [command.role] - lowest room role allowed to run it
+   * @param {Function} command.run - async (context, args); see ChatServer.runCommand for the context
+   */
+  register(command) {
+    const { valid, error } = validateCommand(command);
+    if (!valid) {
+      throw new Error(`Invalid command '/${command && command.name}': ${error}`);
+    }
+    if (typeof command.run !== "function") {
+      throw new Error(`Command '/${command.name}' has no run() function`);
+    }
+    if (this.commands.has(command.name)) {
+      throw new Error(`Command '/${command.name}' is already registered`);
+    }
+
+    this.commands.set(command.name, {
+      description: "",
+      args: [],
+      role: "member",
+      ...command
+    });
+  }
+
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  has(name) {
+    return this.commands.has(name);
+  }
+
+  list() {
+    return [...this.commands.values()];
+  }
+}
+
+module.exports = {
+  CommandRegistry,
+  parseCommandLine,
+  parseArgs,
+  formatUsage,
+  validateCommand
+};
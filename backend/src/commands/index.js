@@ -0,0 +1,43 @@
+// backend/src/commands/index.js
+// Builds the slash-command registry: the built-in commands plus any COMMAND_MODULES
+//
+// COMMAND_MODULES is a comma-separated list of module paths. Each module exports a function
+// that is called with the registry and registers its commands:
+//   module.exports = (registry) => registry.register({ name, description, args, role, run })
+// run(context, args) gets the parsed `args` and a context of
+//   { server, ws, client, user, room, text, reply(message, fields), fail(message) }
+// where `reply` answers only the user who typed the command and `fail` reports an error to them.
+// Bots register commands over HTTP instead (see PUT /api/hooks/:token/commands).
+
+const path = require("path");
+const {
+  CommandRegistry,
+  parseCommandLine,
+  parseArgs,
+  formatUsage,
+  validateCommand
+} = require("./commandRegistry");
+const registerBuiltins = require("./builtins");
+
+function createCommandRegistry(modules = process.env.COMMAND_MODULES || "") {
+  const registry = new CommandRegistry();
+  registerBuiltins(registry);
+
+  modules.split(",")
+    .map(modulePath => modulePath.trim())
+    .filter(Boolean)
+    .forEach(modulePath => {
+      const register = require(path.resolve(modulePath));
+      register(registry);
+    });
+  return registry;
+}
+
+module.exports = {
+  createCommandRegistry,
+  CommandRegistry,
+  parseCommandLine,
+  parseArgs,
+  formatUsage,
+  validateCommand
+};
@@ -2,10 +2,36 @@
 // MongoDB schema for efficient message storage
 // Similar to WhatsApp's approach: messages are grouped in batches per room
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// File attached to a chat message (the file itself lives in the attachment store)
+const attachmentSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  type: { type: String, required: true },  // MIME type
+  size: { type: Number, required: true },  // bytes
+  thumbnail: { type: Boolean, default: false },
+  width: { type: Number },                 // images only
+  height: { type: Number }
+}, { _id: false });
+
+// Preview of the first web page linked in a chat message (see utils/linkPreviewer.js)
+const previewSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  title: { type: String, required: true },
+  description: { type: String },
+  siteName: { type: String }
+}, { _id: false });
+
 // Individual message schema (embedded in the batch)
 const individualMessageSchema = new mongoose.Schema({
+  // Server-generated message ID, stable across edits
+  id: {
+    type: String,
+    required: true,
+    default: () => crypto.randomUUID()
+  },
   type: {
     type: String,
     required: true,
@@ -17,24 +43,92 @@ const individualMessageSchema = new mongoose.Schema({
       return this.type === 'message';
     }
   },
+  // May be empty when the message only carries attachments
   message: {
     type: String,
-    required: true
+    required: function() {
+      return !this.deleted && !(this.attachments && this.attachments.length > 0);
+    }
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: undefined
+  },
+  // The author's nickname when the message was sent (see /nick)
+  nick: {
+    type: String
+  },
+  // Sent with /me: shown as "* nick text"
+  emote: {
+    type: Boolean
+  },
+  // Posted by a bot through an incoming webhook (`from` is the bot's name)
+  bot: {
+    type: Boolean
+  },
+  // Registered users @mentioned in the text
+  mentions: {
+    type: [String],
+    default: undefined
+  },
+  // Added once the linked page has been fetched, after the message was sent
+  preview: {
+    type: previewSchema,
+    default: undefined
   },
   timestamp: {
     type: Number,
     required: true
+  },
+  // Set when the author edits the message
+  editedAt: {
+    type: Number
+  },
+  // Deleted messages stay in the batch as tombstones with their text cleared
+  deleted: {
+    type: Boolean
+  },
+  // Direct messages sent while the recipient was offline, until delivered
+  pendingFor: {
+    type: String
+  },
+  // Thread replies: the message being replied to (replies are stored under a "thread:" key)
+  parentId: {
+    type: String
+  },
+  // Thread parents: number of replies and when the latest one was posted
+  replyCount: {
+    type: Number
+  },
+  lastReplyAt: {
+    type: Number
+  },
+  // Emoji reactions and who added them (entries are removed once nobody reacts with that emoji)
+  reactions: {
+    type: [{
+      _id: false,
+      emoji: { type: String, required: true },
+      users: { type: [String], default: [] }
+    }],
+    default: undefined
   }
-}, { _id: false }); // No separate _id for each message in the batch
+}, { _id: false }); // Messages are addressed by `id`; no separate Mongo _id in the batch
 
 // Message batch schema - groups multiple messages together
 // This reduces database documents and improves query performance
 const messageBatchSchema = new mongoose.Schema({
+  // Room name, a "dm:" conversation key for direct messages, or a "thread:" key for replies
   room: {
     type: String,
     required: true,
     index: true
   },
+  // Both usernames of a direct conversation (empty for rooms)
+  participants: {
+    type: [String],
+    default: undefined,
+    index: true
+  },
   // Array of messages in this batch (up to 100 messages)
   messages: {
     type: [individualMessageSchema],
@@ -62,6 +156,8 @@ const messageBatchSchema = new mongoose.Schema({
 // Compound index for efficient room + time range queries
 messageBatchSchema.index({ room: 1, startTime: -1 });
 messageBatchSchema.index({ room: 1, endTime: -1 });
+// Locate the batch holding a given message for edits/deletes
+messageBatchSchema.index({ 'messages.id': 1 });
 
 const MessageBatch = mongoose.model('MessageBatch', messageBatchSchema);
 
@@ -0,0 +1,175 @@
+// backend/src/db/models/Room.js
+// MongoDB schema for chat rooms
+// Rooms used to be a hardcoded list; they are now persisted so users can create them at runtime
+
+const mongoose = require('mongoose');
+
+// A temporary mute: the user can't post in the room until `until`
+const muteSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true
+  },
+  until: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A message pinned to the top of the room
+const pinSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true
+  },
+  pinnedBy: String,
+  pinnedAt: Number
+}, { _id: false });
+
+// An outgoing webhook: every new message in the room is POSTed to `url`, signed with `secret`
+const webhookSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  secret: {
+    type: String,
+    required: true
+  },
+  createdBy: String,
+  createdAt: Number
+}, { _id: false });
+
+// A slash command a bot handles; invocations reach the bot through the room's outgoing webhooks
+const botCommandSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  usage: String,
+  role: {
+    type: String,
+    enum: ['member', 'moderator', 'owner'],
+    default: 'member'
+  },
+  args: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+}, { _id: false });
+
+// An incoming webhook: holders of the token post to the room as bot user `name`
+// Only a hash of the token is kept
+const botSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  commands: {
+    type: [botCommandSchema],
+    default: []
+  },
+  createdBy: String,
+  createdAt: Number
+}, { _id: false });
+
+const roomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Username of the creator, who owns the room (null for the built-in default rooms)
+  createdBy: {
+    type: String,
+    default: null
+  },
+  // Who can find and join the room: anyone ('public'), invited users ('private') or anyone with the
+  // password ('password'); owners and moderators always can
+  visibility: {
+    type: String,
+    enum: ['public', 'private', 'password'],
+    default: 'public'
+  },
+  // Users let in by invitation or by entering the password; they keep access until it is revoked
+  members: {
+    type: [String],
+    default: []
+  },
+  // scrypt hash ("salt:hash") of the room password
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  // Moderation: usernames with the moderator role, banned users and active mutes
+  moderators: {
+    type: [String],
+    default: []
+  },
+  banned: {
+    type: [String],
+    default: []
+  },
+  mutes: {
+    type: [muteSchema],
+    default: []
+  },
+  // Shown to everyone in the room list and header; moderators can change them
+  topic: {
+    type: String,
+    default: ''
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Pinned messages, oldest pin first
+  pins: {
+    type: [pinSchema],
+    default: []
+  },
+  // Integrations: outgoing webhooks and incoming bot tokens
+  webhooks: {
+    type: [webhookSchema],
+    default: []
+  },
+  bots: {
+    type: [botSchema],
+    default: []
+  },
+  // Number of messages kept for this room (null uses the server default, 0 keeps everything)
+  retention: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Archived rooms keep their history but can no longer be joined
+  archived: {
+    type: Boolean,
+    default: false,
+    index: true
+  }
+}, {
+  timestamps: true // Track when room was created/updated
+});
+
+const Room = mongoose.model('Room', roomSchema);
+
+module.exports = Room;
@@ -0,0 +1,36 @@
+// backend/src/db/models/User.js
+// MongoDB schema for registered user accounts
+
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // scrypt hash in the form "salt:hash" (both hex); the plain password is never stored
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  // Shown next to the username on messages (set with /nick); no two users share one
+  nickname: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Room name -> timestamp of the newest message the user has read there
+  readPositions: {
+    type: Map,
+    of: Number,
+    default: undefined
+  }
+}, {
+  timestamps: true // Track when account was created/updated
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
@@ -2,19 +2,78 @@
 // Message type constants for WebSocket communication
 
 const MESSAGE_TYPES = {
-  // Client → Server
-  JOIN: "join",                       // Register with username
-  JOIN_ROOM: "join_room",             // Join/switch to a room
-  CHAT: "message",                    // Send chat message
+  // Client → Server (identity comes from the session token used to connect)
+  JOIN_ROOM: "join_room",             // Switch to a room, leaving every other one (single-room clients)
+  SUBSCRIBE: "subscribe",             // Join a room while staying in the others; makes it your current room
+                                      // (both take a `password` for password-protected rooms)
+  UNSUBSCRIBE: "unsubscribe",         // Leave one of your rooms
+  CHAT: "message",                    // Send chat message (to `room`, or your current room); "/name args" runs a command
+  DIRECT_MESSAGE: "direct_message",   // Send a private message to one user
+  DIRECT_HISTORY_REQUEST: "direct_history_request", // Load a direct conversation
+  EDIT_MESSAGE: "edit_message",       // Edit one of your own messages (a reply: with its `parentId`)
+  DELETE_MESSAGE: "delete_message",   // Delete one of your own messages (a reply: with its `parentId`)
+  ADD_REACTION: "add_reaction",       // React to a message (or, with `parentId`, a reply) with an emoji
+  REMOVE_REACTION: "remove_reaction", // Take your emoji reaction back
+  REPLY: "reply",                     // Reply to a message (starts/extends its thread)
+  THREAD_REQUEST: "thread_request",   // Load the replies to a message
+  KICK: "kick",                       // Moderator: remove a user from a room
+  MUTE: "mute",                       // Moderator: stop a user posting for `duration` seconds
+  BAN: "ban",                         // Moderator: kick and keep a user out of a room
+  UNBAN: "unban",                     // Moderator: lift a ban
+  SET_ROLE: "set_role",               // Owner: make a user moderator or member
+  MARK_READ: "mark_read",             // You have read a room up to `timestamp`
+  SET_STATUS: "set_status",           // Mark yourself online or away
+  TYPING_START: "typing_start",       // Started typing in a room
+  TYPING_STOP: "typing_stop",         // Stopped typing
+  HISTORY_REQUEST: "history_request", // Request an older page of history
+  SEARCH: "search",                   // Search a room's messages
+  CONTEXT_REQUEST: "context_request", // Load the messages around one message
+  CREATE_ROOM: "create_room",         // Create a new room (public, private or password-protected)
+  RENAME_ROOM: "rename_room",         // Rename a room you created
+  ARCHIVE_ROOM: "archive_room",       // Archive a room you created
+  UPDATE_ROOM_INFO: "update_room_info", // Moderator: change a room's topic and/or description
+  INVITE: "invite",                   // Moderator: let a user into a private or password-protected room
+  REVOKE: "revoke",                   // Moderator: take an invitation back (removes the user from the room)
+  SET_ROOM_ACCESS: "set_room_access", // Owner: change a room's visibility and/or password
+  PIN_MESSAGE: "pin_message",         // Moderator: pin a message to the top of the room
+  UNPIN_MESSAGE: "unpin_message",     // Moderator: take a pin down
   
   // Server → Client
-  ROOM_LIST: "room_list",             // Available rooms
+  ROOM_LIST: "room_list",             // Rooms you can see, each with its topic, description and visibility
+  SUBSCRIPTIONS: "subscriptions",     // Rooms this connection is in, after every change
   HISTORY: "history",                 // Room message history
+  HISTORY_PAGE: "history_page",       // Older page of room history
+  SEARCH_RESULTS: "search_results",   // One page of search results
+  MESSAGE_CONTEXT: "message_context", // A message with its surrounding messages
+  DIRECT_HISTORY: "direct_history",   // Page of a direct conversation
+  DM_CONVERSATIONS: "dm_conversations", // Users you have direct conversations with
   SYSTEM: "system",                   // System notifications
+  MESSAGE_EDITED: "message_edited",   // A message in the room was edited
+  MESSAGE_DELETED: "message_deleted", // A message in the room was deleted
+  REACTION_CHANGED: "reaction_changed", // Someone added/removed a reaction, with the emoji's new count
+  LINK_PREVIEW: "link_preview",       // Preview of the page linked in a room message (null when an edit removed it)
+  MENTION: "mention",                 // You were @mentioned in a room message
+  THREAD_REPLY: "thread_reply",       // New reply in a thread, with the parent's reply count
+  THREAD_HISTORY: "thread_history",   // Page of a thread's replies
   USER_JOINED_ROOM: "user_joined_room", // User joined notification
   USER_LEFT_ROOM: "user_left_room",   // User left notification
-  ERROR: "error",                     // Error messages
-  USERNAME_TAKEN: "username_taken"    // Username already in use
+  TYPING: "typing",                   // Someone started/stopped typing
+  ROOM_MEMBERS: "room_members",       // Snapshot of who is in a room (with roles)
+  ROOM_ROLE: "room_role",             // Your role in a room
+  PINNED_MESSAGES: "pinned_messages", // A room's pinned messages (on join, then after every change)
+  COMMANDS: "commands",               // Slash commands available in a room (each with the role it needs)
+  COMMAND_RESULT: "command_result",   // Output of a command you ran, only shown to you
+  KICKED: "kicked",                   // You were removed from a room
+  INVITED: "invited",                 // You were let into a private or password-protected room
+  UNREAD_COUNTS: "unread_counts",     // Unread messages per room (all rooms on connect, then changes)
+  READ_RECEIPTS: "read_receipts",     // How far everyone has read in the room you joined
+  READ_RECEIPT: "read_receipt",       // Someone in the room read up to `timestamp`
+  PRESENCE: "presence",               // Snapshot of everyone online
+  PRESENCE_UPDATE: "presence_update", // One user's rooms/status changed
+  ROOM_RENAMED: "room_renamed",       // Current room was renamed
+  ROOM_ARCHIVED: "room_archived",     // Current room was archived
+  RATE_LIMITED: "rate_limited",       // Too many frames; includes retryAfter (ms)
+  ERROR: "error"                      // Error messages
 };
 
 module.exports = MESSAGE_TYPES;
@@ -9,7 +9,57 @@ const path = require("path");
 const WebSocket = require("ws");
 
 const ChatServer = require("./chatServer");
-const { connectToDatabase } = require("./db/connection");
+const { createBroker } = require("./cluster");
+const { initializeStorage } = require("./storage");
+const { initializeAttachments } = require("./attachments");
+const {
+  initializeRooms,
+  getRoomSummaries,
+  canAccessRoom,
+  canExportRoom,
+  getRoomRole,
+  loadRoomHistoryPage,
+  searchRoomMessages,
+  exportRoomMessages,
+  importRoomMessages,
+  getPinnedMessages,
+  listIntegrations,
+  addWebhook,
+  removeWebhook,
+  addBot,
+  removeBot,
+  setBotCommands,
+  findBotByToken,
+  isBotName
+} = require("./utils/roomPersistence");
+const { registerUser, authenticateUser, userExists } = require("./utils/userPersistence");
+const {
+  formatExport,
+  parseJsonLines,
+  parseDateBound,
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_EXTENSIONS
+} = require("./utils/roomExport");
+const {
+  saveAttachment,
+  loadAttachment,
+  isAllowedType,
+  isImageType,
+  matchesType,
+  MAX_ATTACHMENT_BYTES
+} = require("./utils/attachmentPersistence");
+const { validateMessage, MAX_FRAME_BYTES } = require("./utils/validateMessage");
+const { MAX_HISTORY_PAGE_SIZE } = require("./utils/roomLimits");
+const MESSAGE_TYPES = require("./messageTypes");
+const { validateCommand } = require("./commands");
+const { checkWebhookUrl } = require("./utils/webhookDispatcher");
+const {
+  validateUsername,
+  validateCredentials,
+  createSessionToken,
+  verifySessionToken
+} = require("./utils/auth");
 
 // ------------------------------
 // Express app to serve frontend
@@ -21,30 +71,636 @@ const app = express();
 const frontendPath = path.join(__dirname, "..", "..", "frontend");
 app.use(express.static(frontendPath));
 
+// Request and response formats of everything under /api
+const openApiPath = path.join(__dirname, "..", "openapi.yaml");
+
+// Created once storage is ready (see startServer); the rooms API posts messages through it
+let chatServer = null;
+
+// ------------------------------
+// Account API
+// ------------------------------
+app.use("/api", express.json());
+
+// The frontend may be served from another port during development
+app.use("/api", (req, res, next) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.sendStatus(204);
+    return;
+  }
+  next();
+});
+
+app.post("/api/register", async (req, res) => {
+  const { username, password } = req.body || {};
+  const { valid, error } = validateCredentials(username, password);
+  if (!valid) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const name = username.trim();
+  if (isBotName(name)) {
+    res.status(409).json({ error: `Username '${name}' is already taken` });
+    return;
+  }
+
+  const result = await registerUser(name, password);
+  if (!result.success) {
+    res.status(409).json({ error: result.error });
+    return;
+  }
+
+  res.status(201).json({ username: name, token: createSessionToken(name) });
+});
+
+app.post("/api/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") {
+    res.status(400).json({ error: "'username' and 'password' are required" });
+    return;
+  }
+
+  const name = username.trim();
+  const result = await authenticateUser(name, password);
+  if (!result.success) {
+    res.status(401).json({ error: result.error });
+    return;
+  }
+
+  res.json({ username: name, token: createSessionToken(name) });
+});
+
+// Routes below need `Authorization: Bearer <token>`; sets req.username
+function requireSession(req, res, next) {
+  const header = req.get("Authorization") || "";
+  const username = verifySessionToken(header.replace(/^Bearer /, ""));
+  if (!username) {
+    res.status(401).json({ error: "Invalid or expired session" });
+    return;
+  }
+
+  req.username = username;
+  next();
+}
+
+// Lets clients tell an expired session apart from a server that is down
+app.get("/api/session", requireSession, (req, res) => {
+  res.json({ username: req.username });
+});
+
+app.get("/api/openapi.yaml", (req, res) => {
+  res.sendFile(openApiPath);
+});
+
+// ------------------------------
+// Rooms API
+// ------------------------------
+
+// Numbers from the query string; undefined when left out (anything else non-numeric becomes NaN)
+function toNumber(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+// Rooms that don't exist and rooms the caller can't enter (banned, or private without an invite) look the same
+function requireRoom(req, res, next) {
+  const { room } = req.params;
+  if (!canAccessRoom(room, req.username)) {
+    res.status(404).json({ error: `Invalid room: ${room}` });
+    return;
+  }
+  next();
+}
+
+// Rooms the caller can read and post to, with their topic, description, visibility and the caller's role in each
+app.get("/api/rooms", requireSession, (req, res) => {
+  const rooms = getRoomSummaries(req.username)
+    .filter(room => canAccessRoom(room.name, req.username))
+    .map(room => ({ ...room, role: getRoomRole(room.name, req.username) }));
+  res.json({ rooms });
+});
+
+// Pinned messages, oldest pin first
+app.get("/api/rooms/:room/pins", requireSession, requireRoom, async (req, res) => {
+  res.json({ room: req.params.room, messages: await getPinnedMessages(req.params.room) });
+});
+
+// One page of history, oldest first: ?before=&beforeId=&limit=. Pass `nextCursor` as `before` and
+// `nextCursorId` as `beforeId` for the page before it
+app.get("/api/rooms/:room/messages", requireSession, requireRoom, async (req, res) => {
+  const before = toNumber(req.query.before);
+  const { beforeId } = req.query;
+  const limit = toNumber(req.query.limit);
+  if (before !== undefined && (!Number.isFinite(before) || before <= 0)) {
+    res.status(400).json({ error: "'before' must be a timestamp" });
+    return;
+  }
+  if (beforeId !== undefined && (typeof beforeId !== "string" || beforeId.length === 0)) {
+    res.status(400).json({ error: "'beforeId' must be a message ID" });
+    return;
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE)) {
+    res.status(400).json({ error: `'limit' must be an integer between 1 and ${MAX_HISTORY_PAGE_SIZE}` });
+    return;
+  }
+
+  const { room } = req.params;
+  const { messages, hasMore } = await loadRoomHistoryPage(room, before !== undefined ? before : null, limit, beforeId);
+  const oldest = hasMore && messages.length > 0 ? messages[0] : null;
+  res.json({
+    room,
+    messages,
+    hasMore,
+    nextCursor: oldest ? oldest.timestamp : null,
+    nextCursorId: oldest ? oldest.id : null
+  });
+});
+
+// Post as the caller: { text, attachments? }. Stored and delivered live like a WebSocket `message`,
+// and counted against the same per-user rate limit
+app.post("/api/rooms/:room/messages", requireSession, requireRoom, async (req, res) => {
+  const { text, attachments } = req.body || {};
+  const { valid, error } = validateMessage({ type: MESSAGE_TYPES.CHAT, text, attachments });
+  if (!valid) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const limit = chatServer.rateLimiter.consumeUser(req.username, MESSAGE_TYPES.CHAT);
+  if (!limit.allowed) {
+    res.set("Retry-After", String(Math.ceil(limit.retryAfter / 1000)));
+    res.status(429).json({ error: "You are sending messages too quickly", retryAfter: limit.retryAfter });
+    return;
+  }
+
+  const result = await chatServer.postRoomMessage(req.params.room, req.username, text, { attachments });
+  if (!result.success) {
+    res.status(result.mutedUntil ? 403 : 400).json({ error: result.error });
+    return;
+  }
+  res.status(201).json({ message: result.message });
+});
+
+// Same search as the `search` WebSocket message: ?q=&from=&after=&before=&limit=
+app.get("/api/rooms/:room/search", requireSession, requireRoom, async (req, res) => {
+  const { room } = req.params;
+  const search = {
+    type: MESSAGE_TYPES.SEARCH,
+    room,
+    query: req.query.q,
+    from: req.query.from,
+    after: toNumber(req.query.after),
+    before: toNumber(req.query.before),
+    limit: toNumber(req.query.limit)
+  };
+  const { valid, error } = validateMessage(search);
+  if (!valid) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  // Shares the `search` bucket with the WebSocket message
+  const limit = chatServer.rateLimiter.consumeUser(req.username, MESSAGE_TYPES.SEARCH);
+  if (!limit.allowed) {
+    res.set("Retry-After", String(Math.ceil(limit.retryAfter / 1000)));
+    res.status(429).json({ error: "You are searching too quickly", retryAfter: limit.retryAfter });
+    return;
+  }
+
+  const filters = {
+    from: search.from !== undefined ? search.from.trim() : undefined,
+    after: search.after,
+    before: search.before
+  };
+  const { messages, hasMore } = await searchRoomMessages(room, search.query, filters, search.limit);
+  res.json({ room, query: search.query, results: messages, hasMore });
+});
+
+// ------------------------------
+// Export and import
+// ------------------------------
+
+// Largest JSON-lines export an import request may send
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+const readImport = express.text({ type: () => true, limit: MAX_IMPORT_BYTES });
+
+// The room's whole stored history: ?format=json|text|html&from=&to= (timestamps or ISO dates, both inclusive)
+// Archived rooms can be exported by those who could read them before
+app.get("/api/rooms/:room/export", requireSession, async (req, res) => {
+  if (!(await canExportRoom(req.params.room, req.username))) {
+    res.status(404).json({ error: `Invalid room: ${req.params.room}` });
+    return;
+  }
+
+  const format = req.query.format || "json";
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: `'format' must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    return;
+  }
+  const from = parseDateBound(req.query.from);
+  const to = parseDateBound(req.query.to, true);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    res.status(400).json({ error: "'from' and 'to' must be timestamps or dates" });
+    return;
+  }
+  if (from !== null && to !== null && from > to) {
+    res.status(400).json({ error: "'from' must not be after 'to'" });
+    return;
+  }
+
+  const { room } = req.params;
+  const result = await exportRoomMessages(room, { from, to });
+  if (!result.success) {
+    res.status(500).json({ error: result.error });
+    return;
+  }
+
+  res.set("Content-Type", EXPORT_CONTENT_TYPES[format]);
+  res.set("Content-Disposition", `attachment; filename="${room}.${EXPORT_EXTENSIONS[format]}"`);
+  // The HTML page only needs its own inline styles
+  res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'");
+  res.set("X-Content-Type-Options", "nosniff");
+  res.send(formatExport(room, result.messages, format, { from, to }));
+});
+
+// Owners restore or migrate history: the body is a JSON-lines export (Content-Type: application/x-ndjson)
+// The role is checked before the body is read, so nobody else can make the server read a large upload
+app.post("/api/rooms/:room/import", requireSession, requireRoom, (req, res, next) => {
+  if (getRoomRole(req.params.room, req.username) !== "owner") {
+    res.status(403).json({ error: "Only the room owner can import history" });
+    return;
+  }
+  next();
+}, readImport, async (req, res) => {
+  const { room } = req.params;
+  if (typeof req.body !== "string") {
+    res.status(400).json({ error: "Send the export as application/x-ndjson" });
+    return;
+  }
+
+  const { messages, error } = parseJsonLines(req.body);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const result = await importRoomMessages(room, messages);
+  if (!result.success) {
+    res.status(500).json({ error: result.error });
+    return;
+  }
+  res.json({ room, imported: result.imported, skipped: messages.length - result.imported });
+});
+
+// ------------------------------
+// Integrations
+// ------------------------------
+
+// Only room owners see and manage a room's webhooks and bots
+function requireOwner(req, res, next) {
+  if (getRoomRole(req.params.room, req.username) !== "owner") {
+    res.status(403).json({ error: "Only the room owner can manage integrations" });
+    return;
+  }
+  next();
+}
+
+// Integrations are cached on every node; tell the others to reload after a change
+function announceIntegrationChange() {
+  chatServer.publishEvent({ kind: "rooms_changed" });
+}
+
+app.get("/api/rooms/:room/webhooks", requireSession, requireRoom, requireOwner, (req, res) => {
+  res.json({ webhooks: listIntegrations(req.params.room).webhooks });
+});
+
+// Outgoing webhook: { url }. Every new message in the room is POSTed there, signed with the
+// returned `secret` (only shown in this response). Hosts that resolve to loopback, private or
+// link-local addresses are refused unless listed in WEBHOOK_ALLOWED_HOSTS
+app.post("/api/rooms/:room/webhooks", requireSession, requireRoom, requireOwner, async (req, res) => {
+  const { url } = req.body || {};
+  let parsed = null;
+  try {
+    parsed = typeof url === "string" && url.length <= 2048 ? new URL(url) : null;
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    res.status(400).json({ error: "'url' must be an http or https URL" });
+    return;
+  }
+  const check = await checkWebhookUrl(parsed.href);
+  if (!check.valid) {
+    res.status(400).json({ error: check.error });
+    return;
+  }
+
+  const result = await addWebhook(req.params.room, parsed.href, req.username);
+  if (!result.success) {
+    res.status(400).json({ error: result.error });
+    return;
+  }
+
+  announceIntegrationChange();
+  console.log(`${req.username} added webhook ${result.webhook.id} to room ${req.params.room}`);
+  res.status(201).json({ webhook: result.webhook });
+});
+
+app.delete("/api/rooms/:room/webhooks/:id", requireSession, requireRoom, requireOwner, async (req, res) => {
+  const result = await removeWebhook(req.params.room, req.params.id);
+  if (!result.success) {
+    res.status(404).json({ error: result.error });
+    return;
+  }
+
+  announceIntegrationChange();
+  res.sendStatus(204);
+});
+
+app.get("/api/rooms/:room/bots", requireSession, requireRoom, requireOwner, (req, res) => {
+  res.json({ bots: listIntegrations(req.params.room).bots });
+});
+
+// Incoming webhook: { name }. Returns the bot and its `token` (only shown in this response);
+// POST { text } to /api/hooks/<token> to post in the room as the bot
+app.post("/api/rooms/:room/bots", requireSession, requireRoom, requireOwner, async (req, res) => {
+  const { name } = req.body || {};
+  const { valid, error } = validateUsername(name);
+  if (!valid) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  const botName = name.trim();
+  if (await userExists(botName)) {
+    res.status(409).json({ error: `'${botName}' is the name of a user` });
+    return;
+  }
+
+  const result = await addBot(req.params.room, botName, req.username);
+  if (!result.success) {
+    res.status(409).json({ error: result.error });
+    return;
+  }
+
+  announceIntegrationChange();
+  console.log(`${req.username} added bot ${botName} to room ${req.params.room}`);
+  res.status(201).json({ bot: result.bot, token: result.token, url: `/api/hooks/${result.token}` });
+});
+
+app.delete("/api/rooms/:room/bots/:id", requireSession, requireRoom, requireOwner, async (req, res) => {
+  const result = await removeBot(req.params.room, req.params.id);
+  if (!result.success) {
+    res.status(404).json({ error: result.error });
+    return;
+  }
+
+  announceIntegrationChange();
+  res.sendStatus(204);
+});
+
+// Post as a bot: { text }. The token in the URL is the only credential, so no session is needed
+app.post("/api/hooks/:token", async (req, res) => {
+  const bot = findBotByToken(req.params.token);
+  if (!bot) {
+    res.status(404).json({ error: "Unknown webhook token" });
+    return;
+  }
+
+  const { text } = req.body || {};
+  const { valid, error } = validateMessage({ type: MESSAGE_TYPES.CHAT, text });
+  if (!valid) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  // Every bot has its own bucket, separate from the users' ones
+  const limit = chatServer.rateLimiter.consumeUser(`bot:${bot.id}`, MESSAGE_TYPES.CHAT);
+  if (!limit.allowed) {
+    res.set("Retry-After", String(Math.ceil(limit.retryAfter / 1000)));
+    res.status(429).json({ error: "You are sending messages too quickly", retryAfter: limit.retryAfter });
+    return;
+  }
+
+  const result = await chatServer.postRoomMessage(bot.room, bot.name, text, { bot: true });
+  if (!result.success) {
+    res.status(result.mutedUntil ? 403 : 400).json({ error: result.error });
+    return;
+  }
+  res.status(201).json({ message: result.message });
+});
+
+// Register the slash commands the bot handles, replacing earlier ones:
+// { commands: [{ name, description?, usage?, role?, args? }] }. Running one sends a `command` event to the room's webhooks
+app.put("/api/hooks/:token/commands", async (req, res) => {
+  const bot = findBotByToken(req.params.token);
+  if (!bot) {
+    res.status(404).json({ error: "Unknown webhook token" });
+    return;
+  }
+
+  const { commands } = req.body || {};
+  if (!Array.isArray(commands)) {
+    res.status(400).json({ error: "'commands' must be an array" });
+    return;
+  }
+  const names = new Set();
+  for (const command of commands) {
+    const { valid, error } = validateCommand(command);
+    if (!valid) {
+      res.status(400).json({ error });
+      return;
+    }
+    if ((command.description !== undefined && typeof command.description !== "string") ||
+        (command.usage !== undefined && typeof command.usage !== "string")) {
+      res.status(400).json({ error: "'description' and 'usage' must be strings" });
+      return;
+    }
+    if (names.has(command.name)) {
+      res.status(400).json({ error: `/${command.name} is listed twice` });
+      return;
+    }
+    if (chatServer.commands.has(command.name)) {
+      res.status(409).json({ error: `/${command.name} is a built-in command` });
+      return;
+    }
+    names.add(command.name);
+  }
+
+  const normalized = commands.map(({ name, description = "", usage, role = "member", args = [] }) => ({
+    name,
+    description: description.slice(0, 200),
+    ...(usage ? { usage: usage.slice(0, 100) } : {}),
+    role,
+    args: args.map(({ name: argName, optional, rest }) => ({ name: argName, optional: !!optional, rest: !!rest }))
+  }));
+  const result = await setBotCommands(bot.room, bot.id, normalized);
+  if (!result.success) {
+    res.status(409).json({ error: result.error });
+    return;
+  }
+
+  announceIntegrationChange();
+  res.json({ commands: normalized });
+});
+
+// ------------------------------
+// Attachments
+// ------------------------------
+
+const readUpload = express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES });
+
+// Upload one file as the raw request body, with its MIME type as Content-Type:
+// POST /api/attachments?name=<file name>. Returns the attachment; send its `id` in a chat message.
+app.post("/api/attachments", requireSession, (req, res, next) => {
+  const type = (req.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+  if (!isAllowedType(type)) {
+    res.status(415).json({ error: `Files of type '${type}' can't be attached` });
+    return;
+  }
+
+  readUpload(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.type === "entity.too.large";
+      res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `Attachments are limited to ${MAX_ATTACHMENT_BYTES} bytes` : "Could not read upload"
+      });
+      return;
+    }
+    req.attachmentType = type;
+    next();
+  });
+}, async (req, res) => {
+  // Keep only the file name itself, without control characters or directories
+  const name = typeof req.query.name === "string"
+    ? req.query.name.replace(/[\x00-\x1f\x7f/\\]/g, "").trim().slice(0, 255)
+    : "";
+  if (!name) {
+    res.status(400).json({ error: "'name' is required" });
+    return;
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400).json({ error: "The upload is empty" });
+    return;
+  }
+  if (!matchesType(req.attachmentType, req.body)) {
+    res.status(415).json({ error: `The file is not a valid ${req.attachmentType}` });
+    return;
+  }
+
+  const result = await saveAttachment({
+    name,
+    type: req.attachmentType,
+    data: req.body,
+    uploadedBy: req.username
+  });
+  if (!result.success) {
+    res.status(500).json({ error: result.error });
+    return;
+  }
+  res.status(201).json({ attachment: result.attachment });
+});
+
+// Downloads need no session: attachment IDs are unguessable and only shared through chat messages
+async function sendAttachment(req, res, thumbnail) {
+  const attachment = await loadAttachment(req.params.id, thumbnail);
+  if (!attachment) {
+    res.status(404).json({ error: "Attachment not found" });
+    return;
+  }
+
+  const { metadata, data } = attachment;
+  res.set("Content-Type", thumbnail ? "image/jpeg" : metadata.type);
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("Content-Security-Policy", "default-src 'none'; sandbox");
+  res.set("Cache-Control", "private, max-age=31536000, immutable");
+  // Images are shown inline; anything else is downloaded under its original name
+  if (!thumbnail && !isImageType(metadata.type)) {
+    res.attachment(metadata.name);
+  }
+  res.send(data);
+}
+
+app.get("/api/attachments/:id", (req, res) => sendAttachment(req, res, false));
+app.get("/api/attachments/:id/thumbnail", (req, res) => sendAttachment(req, res, true));
+
+// ------------------------------
+// API errors
+// ------------------------------
+
+// Unknown endpoints and failed requests (e.g. malformed JSON) answer with the same { error } body as the routes
+app.use("/api", (req, res) => {
+  res.status(404).json({ error: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}` });
+});
+
+// Express only treats handlers with four parameters as error handlers, so `next` stays
+app.use("/api", (err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    console.error("API request failed:", err);
+  }
+
+  let error = err.message;
+  if (err.type === "entity.parse.failed") {
+    error = "Request body is not valid JSON";
+  } else if (status >= 500) {
+    error = "Internal server error";
+  }
+  res.status(status).json({ error });
+});
+
 // Create HTTP server and attach Express
 const server = http.createServer(app);
 
-// Attach WebSocket server to the same HTTP server
-const wss = new WebSocket.Server({ server });
+// WebSocket server shares the HTTP server; upgrades are authenticated below.
+// Frames far beyond the validated limit are rejected by ws itself (closes with 1009).
+const wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_FRAME_BYTES * 2 });
+
+// Only upgrade connections carrying a valid session token (?token=...)
+server.on("upgrade", (req, socket, head) => {
+  const { searchParams } = new URL(req.url, "http://localhost");
+  const username = verifySessionToken(searchParams.get("token"));
+
+  if (!username) {
+    socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+    socket.destroy();
+    return;
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit("connection", ws, req, username);
+  });
+});
 
 // ------------------------------
-// Start server with MongoDB
+// Start server with the configured storage
 // ------------------------------
 const PORT = process.env.PORT || 3000;
-const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/tiny_group_chat';
 
 async function startServer() {
   try {
-    // Connect to MongoDB first
-    await connectToDatabase(MONGO_URI);
-    
-    // Wire our chat logic after DB is connected
-    new ChatServer(wss);
-    
+    // Connect to storage first (MongoDB unless STORAGE_BACKEND says otherwise)
+    await initializeStorage();
+
+    // Uploaded files (local disk unless ATTACHMENT_STORAGE says otherwise)
+    await initializeAttachments();
+
+    // Load persisted rooms (seeding defaults on first run)
+    await initializeRooms();
+
+    // Pub/sub shared with the other server nodes (in-process unless PUBSUB_BACKEND is set)
+    const broker = createBroker();
+    await broker.connect();
+
+    // Wire our chat logic after storage is ready
+    chatServer = new ChatServer(wss, { broker });
+
     // Start HTTP server
     server.listen(PORT, () => {
       console.log(`Server running at http://localhost:${PORT}`);
-      console.log(`MongoDB URI: ${MONGO_URI}`);
+      console.log(`Storage backend: ${process.env.STORAGE_BACKEND || "mongo"}`);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -0,0 +1,23 @@
+// backend/src/storage/cursor.js
+// History paging order shared by the storage adapters: messages are ordered by (timestamp, id), so a
+// page that ends inside one millisecond picks up exactly where it stopped
+
+function compareCursor(a, b) {
+  if (a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? -1 : 1;
+}
+
+/**
+ * Whether a message comes before the cursor `before` (a timestamp) / `beforeId`
+ * Without `beforeId`, messages at exactly `before` are left out, as older clients expect
+ */
+function isBeforeCursor(message, before, beforeId = null) {
+  if (message.timestamp !== before) return message.timestamp < before;
+  return beforeId !== null && message.id < beforeId;
+}
+
+module.exports = {
+  compareCursor,
+  isBeforeCursor
+};
@@ -0,0 +1,183 @@
+// backend/src/storage/fileStorage.js
+// File storage adapter: keeps everything in memory and appends each change to a JSON-lines log
+// The log is replayed on start and then compacted, so trimmed/edited messages don't pile up
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const MemoryStorage = require('./memoryStorage');
+
+// Changes written to the log; each line is { op, args } and replays the MemoryStorage method `op`
+const LOGGED_OPERATIONS = [
+  'appendMessage',
+  'importMessages',
+  'trimMessages',
+  'updateMessage',
+  'takePendingMessages',
+  'createRoom',
+  'updateRoom',
+  'renameRoom',
+  'createUser',
+  'updateUser',
+  'setReadPosition'
+];
+
+class FileStorage extends MemoryStorage {
+  constructor({ file }) {
+    super();
+    this.file = path.resolve(file);
+    this.stream = null;
+  }
+
+  async connect() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await this.replay();
+    await this.compact();
+
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      console.error(`Error writing to ${this.file}:`, error);
+    });
+    console.log(`✓ Using file storage at ${this.file}`);
+  }
+
+  async close() {
+    if (!this.stream) return;
+
+    await new Promise(resolve => this.stream.end(resolve));
+    this.stream = null;
+  }
+
+  /**
+   * Rebuild the in-memory state from the log
+   */
+  async replay() {
+    if (!fs.existsSync(this.file)) return;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Most likely a write cut short by a crash; everything before it is still good
+        console.warn(`Skipping unreadable line ${lineNumber} in ${this.file}`);
+        continue;
+      }
+
+      if (!LOGGED_OPERATIONS.includes(entry.op)) {
+        console.warn(`Skipping unknown operation '${entry.op}' on line ${lineNumber} in ${this.file}`);
+        continue;
+      }
+      await MemoryStorage.prototype[entry.op].apply(this, entry.args);
+    }
+  }
+
+  /**
+   * Rewrite the log as the minimal set of operations that recreates the current state
+   */
+  async compact() {
+    const entries = [];
+    this.users.forEach(({ readPositions, username, passwordHash, ...fields }) => {
+      entries.push({ op: 'createUser', args: [{ username, passwordHash }] });
+      if (Object.keys(fields).length > 0) {
+        entries.push({ op: 'updateUser', args: [username, fields] });
+      }
+      Object.entries(readPositions || {}).forEach(([roomName, timestamp]) => {
+        entries.push({ op: 'setReadPosition', args: [username, roomName, timestamp] });
+      });
+    });
+    this.rooms.forEach(({ name, createdBy, retention, createdAt, ...fields }) => {
+      entries.push({ op: 'createRoom', args: [{ name, createdBy, retention, createdAt }] });
+      entries.push({ op: 'updateRoom', args: [name, fields] });
+    });
+    this.conversations.forEach(({ participants, messages }, key) => {
+      const fields = participants ? { participants } : {};
+      messages.forEach(message => entries.push({ op: 'appendMessage', args: [key, message, fields] }));
+    });
+
+    const tempFile = `${this.file}.tmp`;
+    await fs.promises.writeFile(tempFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    await fs.promises.rename(tempFile, this.file);
+  }
+
+  record(op, args) {
+    this.stream.write(JSON.stringify({ op, args }) + '\n');
+  }
+
+  async appendMessage(key, message, fields = {}) {
+    await super.appendMessage(key, message, fields);
+    this.record('appendMessage', [key, message, fields]);
+  }
+
+  async importMessages(key, messages) {
+    const imported = await super.importMessages(key, messages);
+    if (imported > 0) {
+      this.record('importMessages', [key, messages]);
+    }
+    return imported;
+  }
+
+  async trimMessages(key, retention) {
+    await super.trimMessages(key, retention);
+    this.record('trimMessages', [key, retention]);
+  }
+
+  async updateMessage(key, messageId, fields) {
+    await super.updateMessage(key, messageId, fields);
+    this.record('updateMessage', [key, messageId, fields]);
+  }
+
+  async takePendingMessages(username) {
+    const pending = await super.takePendingMessages(username);
+    if (pending.length > 0) {
+      this.record('takePendingMessages', [username]);
+    }
+    return pending;
+  }
+
+  async createRoom(room) {
+    // Log the creation time so replaying keeps the room order
+    const record = { ...room, createdAt: room.createdAt || Date.now() };
+    await super.createRoom(record);
+    this.record('createRoom', [record]);
+  }
+
+  async updateRoom(name, fields) {
+    await super.updateRoom(name, fields);
+    this.record('updateRoom', [name, fields]);
+  }
+
+  async renameRoom(name, newName) {
+    await super.renameRoom(name, newName);
+    this.record('renameRoom', [name, newName]);
+  }
+
+  async setReadPosition(username, roomName, timestamp) {
+    await super.setReadPosition(username, roomName, timestamp);
+    this.record('setReadPosition', [username, roomName, timestamp]);
+  }
+
+  async createUser(user) {
+    const created = await super.createUser(user);
+    if (created) {
+      this.record('createUser', [user]);
+    }
+    return created;
+  }
+
+  async updateUser(username, fields) {
+    await super.updateUser(username, fields);
+    this.record('updateUser', [username, fields]);
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,71 @@
+// backend/src/storage/index.js
+// Picks the storage adapter (STORAGE_BACKEND=mongo|memory|file) and shares it with the persistence helpers
+//
+// Every adapter implements the same async interface:
+//   connect(), close()
+//   Messages (stored under a room name or direct conversation key):
+//     appendMessage(key, message, fields), loadPage(key, before, limit, beforeId), loadSince(key, since),
+//     loadPageAfter(key, after, limit), loadRange(key, from, to), importMessages(key, messages),
+//     searchMessages(key, filters, limit), trimMessages(key, retention),
+//     findMessage(key, id), findMessageIds(key, ids), updateMessage(key, id, fields),
+//     countMessagesSince(key, since, excludeFrom),
+//     getConversationPartners(username), takePendingMessages(username)
+//   Rooms: ensureRoom(name), loadRooms(), findRoom(name), createRoom(room), updateRoom(name, fields),
+//     renameRoom(name, newName)
+//   Users: findUser(username), findUserByNickname(nickname), createUser(user), updateUser(username, fields)
+//   Read positions: getReadPositions(username), setReadPosition(username, room, timestamp),
+//     getRoomReadPositions(room)
+
+const STORAGE_BACKENDS = ['mongo', 'memory', 'file'];
+
+let storage = null;
+
+/**
+ * Build the adapter selected by the environment (adapters are loaded lazily,
+ * so the memory and file backends don't touch Mongoose at all)
+ */
+function createStorage(backend = process.env.STORAGE_BACKEND || 'mongo') {
+  switch (backend) {
+    case 'mongo': {
+      const MongoStorage = require('./mongoStorage');
+      return new MongoStorage({
+        uri: process.env.MONGO_URI || 'mongodb://localhost:27017/tiny_group_chat'
+      });
+    }
+
+    case 'memory': {
+      const MemoryStorage = require('./memoryStorage');
+      return new MemoryStorage();
+    }
+
+    case 'file': {
+      const FileStorage = require('./fileStorage');
+      return new FileStorage({ file: process.env.STORAGE_FILE || 'data/chat.jsonl' });
+    }
+
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND '${backend}' (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+  }
+}
+
+/**
+ * Create and connect the storage adapter; must be called once before anything is persisted
+ */
+async function initializeStorage(adapter = createStorage()) {
+  await adapter.connect();
+  storage = adapter;
+  return storage;
+}
+
+function getStorage() {
+  if (!storage) {
+    throw new Error('Storage has not been initialized');
+  }
+  return storage;
+}
+
+module.exports = {
+  createStorage,
+  initializeStorage,
+  getStorage
+};
@@ -0,0 +1,313 @@
+// backend/src/storage/memoryStorage.js
+// In-memory storage adapter: nothing survives a restart; handy for demos and local testing
+
+const { compareCursor, isBeforeCursor } = require('./cursor');
+
+class MemoryStorage {
+  constructor() {
+    // Map of key (room name or direct conversation key) -> { participants, messages: [] }
+    this.conversations = new Map();
+    // Map of room name -> room record (same shape as the Room model)
+    this.rooms = new Map();
+    // Map of username -> { username, passwordHash }
+    this.users = new Map();
+  }
+
+  async connect() {}
+
+  async close() {}
+
+  getConversation(key, fields = {}) {
+    let conversation = this.conversations.get(key);
+    if (!conversation) {
+      conversation = { participants: fields.participants || null, messages: [] };
+      this.conversations.set(key, conversation);
+    }
+    return conversation;
+  }
+
+  // ------------------------------
+  // Messages
+  // ------------------------------
+
+  async appendMessage(key, message, fields = {}) {
+    this.getConversation(key, fields).messages.push({ ...message });
+  }
+
+  async loadPage(key, before, limit, beforeId = null) {
+    const conversation = this.conversations.get(key);
+    if (!conversation) {
+      return { messages: [], hasMore: false };
+    }
+
+    const older = before === null
+      ? conversation.messages
+      : conversation.messages.filter(m => isBeforeCursor(m, before, beforeId));
+
+    // Messages are kept in timestamp order; only the page's messages (and any sharing the
+    // timestamp of its oldest one) need putting in (timestamp, id) order
+    let start = Math.max(older.length - limit, 0);
+    while (start > 0 && older[start - 1].timestamp === older[start].timestamp) start--;
+    const page = older.slice(start).sort(compareCursor).slice(-limit);
+
+    return {
+      messages: page.map(m => ({ ...m })),
+      hasMore: older.length > limit
+    };
+  }
+
+  async loadSince(key, since) {
+    const conversation = this.conversations.get(key);
+    if (!conversation) return [];
+
+    return conversation.messages
+      .filter(m => m.timestamp > since)
+      .map(m => ({ ...m }));
+  }
+
+  async loadPageAfter(key, after, limit) {
+    const conversation = this.conversations.get(key);
+    if (!conversation) return [];
+
+    return conversation.messages
+      .filter(m => m.timestamp > after)
+      .slice(0, limit)
+      .map(m => ({ ...m }));
+  }
+
+  async loadRange(key, from, to) {
+    const conversation = this.conversations.get(key);
+    if (!conversation) return [];
+
+    return conversation.messages
+      .filter(m => (from === null || m.timestamp >= from) && (to === null || m.timestamp <= to))
+      .map(m => ({ ...m }));
+  }
+
+  async importMessages(key, messages) {
+    const conversation = this.getConversation(key);
+    const known = new Set(conversation.messages.map(m => m.id));
+    const added = messages.filter(m => !known.has(m.id)).map(m => ({ ...m }));
+
+    // Stable sort: messages sharing a timestamp keep their order
+    conversation.messages = conversation.messages.concat(added).sort((a, b) => a.timestamp - b.timestamp);
+    return added.length;
+  }
+
+  async searchMessages(key, { terms, from, after, before }, limit) {
+    const conversation = this.conversations.get(key);
+    if (!conversation) {
+      return { messages: [], hasMore: false };
+    }
+
+    const lowerTerms = terms.map(term => term.toLowerCase());
+    const found = conversation.messages.filter(m =>
+      m.type === 'message' &&
+      !m.deleted &&
+      (!from || m.from === from) &&
+      (after === undefined || m.timestamp > after) &&
+      (before === undefined || m.timestamp < before) &&
+      lowerTerms.every(term => m.message.toLowerCase().includes(term))
+    );
+    found.reverse();
+
+    return {
+      messages: found.slice(0, limit).map(m => ({ ...m })),
+      hasMore: found.length > limit
+    };
+  }
+
+  async countMessagesSince(key, since, excludeFrom) {
+    const conversation = this.conversations.get(key);
+    if (!conversation) return 0;
+
+    return conversation.messages.filter(m =>
+      m.type === 'message' && !m.deleted && m.timestamp > since && m.from !== excludeFrom
+    ).length;
+  }
+
+  async trimMessages(key, retention) {
+    const conversation = this.conversations.get(key);
+    if (conversation && conversation.messages.length > retention) {
+      conversation.messages = conversation.messages.slice(-retention);
+    }
+  }
+
+  async findMessage(key, messageId) {
+    const conversation = this.conversations.get(key);
+    const message = conversation && conversation.messages.find(m => m.id === messageId);
+    return message ? { ...message } : null;
+  }
+
+  async findMessageIds(key, ids) {
+    const conversation = this.conversations.get(key);
+    if (!conversation) return [];
+
+    const wanted = new Set(ids);
+    return conversation.messages.filter(m => wanted.has(m.id)).map(m => m.id);
+  }
+
+  async updateMessage(key, messageId, fields) {
+    const conversation = this.conversations.get(key);
+    const message = conversation && conversation.messages.find(m => m.id === messageId);
+    if (message) {
+      Object.assign(message, fields);
+    }
+  }
+
+  async getConversationPartners(username) {
+    const partners = new Set();
+    for (const { participants } of this.conversations.values()) {
+      if (participants && participants.includes(username)) {
+        participants.filter(name => name !== username).forEach(name => partners.add(name));
+      }
+    }
+    return [...partners];
+  }
+
+  async takePendingMessages(username) {
+    const pending = [];
+    for (const { participants, messages } of this.conversations.values()) {
+      if (!participants || !participants.includes(username)) continue;
+
+      messages
+        .filter(m => m.pendingFor === username)
+        .forEach(m => {
+          delete m.pendingFor;
+          pending.push({ ...m });
+        });
+    }
+    return pending;
+  }
+
+  // ------------------------------
+  // Rooms
+  // ------------------------------
+
+  async ensureRoom(name) {
+    if (!this.rooms.has(name)) {
+      await this.createRoom({ name, createdBy: null, retention: null });
+    }
+  }
+
+  async loadRooms() {
+    return [...this.rooms.values()]
+      .filter(room => !room.archived)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(room => structuredClone(room));
+  }
+
+  async findRoom(name) {
+    const room = this.rooms.get(name);
+    return room ? structuredClone(room) : null;
+  }
+
+  async createRoom({ name, createdBy, retention, visibility = 'public', passwordHash = null, createdAt = Date.now() }) {
+    this.rooms.set(name, {
+      name,
+      createdBy,
+      visibility,
+      passwordHash,
+      members: [],
+      moderators: [],
+      banned: [],
+      mutes: [],
+      topic: '',
+      description: '',
+      pins: [],
+      webhooks: [],
+      bots: [],
+      retention,
+      archived: false,
+      createdAt
+    });
+  }
+
+  async updateRoom(name, fields) {
+    const room = this.rooms.get(name);
+    if (room) {
+      Object.assign(room, structuredClone(fields));
+    }
+  }
+
+  async renameRoom(name, newName) {
+    const room = this.rooms.get(name);
+    if (room) {
+      this.rooms.delete(name);
+      room.name = newName;
+      this.rooms.set(newName, room);
+    }
+
+    const conversation = this.conversations.get(name);
+    if (conversation) {
+      this.conversations.delete(name);
+      this.conversations.set(newName, conversation);
+    }
+
+    for (const user of this.users.values()) {
+      if (user.readPositions && name in user.readPositions) {
+        user.readPositions[newName] = user.readPositions[name];
+        delete user.readPositions[name];
+      }
+    }
+  }
+
+  // ------------------------------
+  // Users
+  // ------------------------------
+
+  async findUser(username) {
+    const user = this.users.get(username);
+    return user ? { ...user } : null;
+  }
+
+  async findUserByNickname(nickname) {
+    for (const user of this.users.values()) {
+      if (user.nickname === nickname) return { ...user };
+    }
+    return null;
+  }
+
+  async createUser({ username, passwordHash }) {
+    if (this.users.has(username)) return false;
+
+    this.users.set(username, { username, passwordHash });
+    return true;
+  }
+
+  async updateUser(username, fields) {
+    const user = this.users.get(username);
+    if (user) {
+      Object.assign(user, fields);
+    }
+  }
+
+  // ------------------------------
+  // Read positions
+  // ------------------------------
+
+  async getReadPositions(username) {
+    const user = this.users.get(username);
+    return user && user.readPositions ? { ...user.readPositions } : {};
+  }
+
+  async setReadPosition(username, roomName, timestamp) {
+    const user = this.users.get(username);
+    if (!user) return;
+
+    user.readPositions = user.readPositions || {};
+    user.readPositions[roomName] = Math.max(user.readPositions[roomName] || 0, timestamp);
+  }
+
+  async getRoomReadPositions(roomName) {
+    const positions = {};
+    for (const { username, readPositions } of this.users.values()) {
+      if (readPositions && roomName in readPositions) {
+        positions[username] = readPositions[roomName];
+      }
+    }
+    return positions;
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,469 @@
+// backend/src/storage/mongoStorage.js
+// MongoDB storage adapter - messages stored in batches like WhatsApp
+// Benefits: Fewer documents, faster queries, less storage space
+
+const MessageBatch = require('../db/models/Message');
+const Room = require('../db/models/Room');
+const User = require('../db/models/User');
+const { connectToDatabase, closeDatabase } = require('../db/connection');
+const { compareCursor, isBeforeCursor } = require('./cursor');
+
+const MESSAGES_PER_BATCH = 50; // Group messages in batches of 50
+// Message IDs looked up per query by findMessageIds
+const ID_LOOKUP_CHUNK = 1000;
+
+// Oldest first, in the (timestamp, id) order history pages use
+function sortByTime(messages) {
+  return messages.sort(compareCursor);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class MongoStorage {
+  constructor({ uri }) {
+    this.uri = uri;
+  }
+
+  async connect() {
+    await connectToDatabase(this.uri);
+  }
+
+  async close() {
+    await closeDatabase();
+  }
+
+  // ------------------------------
+  // Messages
+  // ------------------------------
+
+  /**
+   * Append a message to the batches stored under `key`
+   * Uses batching strategy: adds to the newest batch while it has room, otherwise creates a new one
+   * `fields` are set on newly created batches (e.g. DM participants)
+   */
+  async appendMessage(key, message, fields = {}) {
+    // Only the newest batch is filled up; an older one with room (e.g. the last batch of an
+    // import) is left alone so it doesn't stretch over the time between its messages and now
+    let batch = await MessageBatch.findOne({ room: key }).sort({ endTime: -1 });
+
+    if (batch && batch.messageCount < MESSAGES_PER_BATCH) {
+      // Add message to existing batch
+      batch.messages.push(message);
+      batch.endTime = message.timestamp;
+      batch.messageCount = batch.messages.length;
+      await batch.save();
+    } else {
+      // Create new batch
+      batch = new MessageBatch({
+        ...fields,
+        room: key,
+        messages: [message],
+        startTime: message.timestamp,
+        endTime: message.timestamp,
+        messageCount: 1
+      });
+      await batch.save();
+    }
+  }
+
+  /**
+   * Page through the batches stored under `key`
+   * Walks batches by newest message using the { room, endTime } index and stops once the page is full
+   * and no remaining batch can hold a newer message (imported batches may overlap others in time)
+   */
+  async loadPage(key, before, limit, beforeId = null) {
+    const query = { room: key };
+    if (before !== null) {
+      query.startTime = beforeId !== null ? { $lte: before } : { $lt: before };
+    }
+
+    const cursor = MessageBatch.find(query)
+      .sort({ endTime: -1 })
+      .lean()
+      .cursor();
+
+    // Collect one message more than needed so we know whether older ones exist
+    let collected = [];
+    for await (const batch of cursor) {
+      if (collected.length > limit && batch.endTime < collected[collected.length - limit - 1].timestamp) break;
+
+      const older = before === null
+        ? batch.messages
+        : batch.messages.filter(m => isBeforeCursor(m, before, beforeId));
+      collected = sortByTime(older.concat(collected));
+    }
+    await cursor.close();
+
+    return {
+      messages: collected.slice(-limit),
+      hasMore: collected.length > limit
+    };
+  }
+
+  /**
+   * Messages newer than `since`, using the { room, endTime } index
+   */
+  async loadSince(key, since) {
+    const batches = await MessageBatch.find({ room: key, endTime: { $gt: since } })
+      .sort({ startTime: 1 })
+      .lean()
+      .exec();
+
+    const messages = [];
+    batches.forEach(batch => {
+      messages.push(...batch.messages.filter(m => m.timestamp > since));
+    });
+    return sortByTime(messages);
+  }
+
+  /**
+   * Up to `limit` messages newer than `after`, oldest first
+   */
+  async loadPageAfter(key, after, limit) {
+    const cursor = MessageBatch.find({ room: key, endTime: { $gt: after } })
+      .sort({ startTime: 1 })
+      .lean()
+      .cursor();
+
+    // Stop once the page is full and the remaining batches only hold newer messages
+    let collected = [];
+    for await (const batch of cursor) {
+      if (collected.length >= limit && batch.startTime > collected[limit - 1].timestamp) break;
+      collected = sortByTime(collected.concat(batch.messages.filter(m => m.timestamp > after)));
+    }
+    await cursor.close();
+
+    return collected.slice(0, limit);
+  }
+
+  /**
+   * Every message between `from` and `to` (inclusive; null for no limit), oldest first
+   */
+  async loadRange(key, from, to) {
+    const query = { room: key };
+    if (from !== null) {
+      query.endTime = { $gte: from };
+    }
+    if (to !== null) {
+      query.startTime = { $lte: to };
+    }
+
+    const batches = await MessageBatch.find(query)
+      .sort({ startTime: 1 })
+      .lean()
+      .exec();
+
+    const messages = [];
+    batches.forEach(batch => {
+      messages.push(...batch.messages.filter(m =>
+        (from === null || m.timestamp >= from) && (to === null || m.timestamp <= to)
+      ));
+    });
+    return sortByTime(messages);
+  }
+
+  /**
+   * Add messages to `key` in new batches of their own, skipping IDs already stored
+   * Existing batches are never rewritten, so appends during an import can't be lost, and an
+   * interrupted import can simply be run again. Returns the number of messages added
+   */
+  async importMessages(key, messages) {
+    const known = new Set(await this.findMessageIds(key, messages.map(m => m.id)));
+    const added = sortByTime(messages.filter(m => !known.has(m.id)));
+    if (added.length === 0) return 0;
+
+    const batches = [];
+    for (let i = 0; i < added.length; i += MESSAGES_PER_BATCH) {
+      const chunk = added.slice(i, i + MESSAGES_PER_BATCH);
+      batches.push({
+        room: key,
+        messages: chunk,
+        startTime: chunk[0].timestamp,
+        endTime: chunk[chunk.length - 1].timestamp,
+        messageCount: chunk.length
+      });
+    }
+    await MessageBatch.insertMany(batches);
+    return added.length;
+  }
+
+  /**
+   * Chat messages containing every term (case-insensitive), newest first
+   * `filters`: { terms: string[], from?: string, after?: number, before?: number }
+   */
+  async searchMessages(key, { terms, from, after, before }, limit) {
+    const batchQuery = { room: key };
+    const match = {
+      'messages.type': 'message',
+      'messages.deleted': { $ne: true },
+      $and: terms.map(term => ({ 'messages.message': { $regex: escapeRegExp(term), $options: 'i' } }))
+    };
+    if (from) {
+      match['messages.from'] = from;
+    }
+    if (after !== undefined || before !== undefined) {
+      match['messages.timestamp'] = {};
+    }
+    if (after !== undefined) {
+      batchQuery.endTime = { $gt: after };
+      match['messages.timestamp'].$gt = after;
+    }
+    if (before !== undefined) {
+      batchQuery.startTime = { $lt: before };
+      match['messages.timestamp'].$lt = before;
+    }
+
+    const found = await MessageBatch.aggregate([
+      { $match: batchQuery },
+      { $unwind: '$messages' },
+      { $match: match },
+      { $sort: { 'messages.timestamp': -1 } },
+      { $limit: limit + 1 },
+      { $replaceRoot: { newRoot: '$messages' } }
+    ]);
+
+    return {
+      messages: found.slice(0, limit),
+      hasMore: found.length > limit
+    };
+  }
+
+  /**
+   * Number of chat messages newer than `since` that weren't written by `excludeFrom`
+   */
+  async countMessagesSince(key, since, excludeFrom) {
+    const [result] = await MessageBatch.aggregate([
+      { $match: { room: key, endTime: { $gt: since } } },
+      { $unwind: '$messages' },
+      {
+        $match: {
+          'messages.type': 'message',
+          'messages.deleted': { $ne: true },
+          'messages.timestamp': { $gt: since },
+          'messages.from': { $ne: excludeFrom }
+        }
+      },
+      { $count: 'count' }
+    ]);
+    return result ? result.count : 0;
+  }
+
+  /**
+   * Delete the oldest batches once more than `retention` messages are stored
+   * Deletes entire batches instead of individual messages, so slightly more may be kept
+   * (batches go in order of their newest message, so none newer than a kept batch's is lost)
+   */
+  async trimMessages(key, retention) {
+    const batches = await MessageBatch.find({ room: key })
+      .sort({ endTime: 1 })
+      .select('messageCount')
+      .lean();
+
+    const totalMessages = batches.reduce((sum, b) => sum + b.messageCount, 0);
+    if (totalMessages <= retention) return;
+
+    const batchesToDelete = [];
+    let messagesToRemove = totalMessages - retention;
+
+    for (const batch of batches) {
+      if (messagesToRemove <= 0) break;
+
+      batchesToDelete.push(batch._id);
+      messagesToRemove -= batch.messageCount;
+    }
+
+    if (batchesToDelete.length > 0) {
+      await MessageBatch.deleteMany({ _id: { $in: batchesToDelete } });
+    }
+  }
+
+  async findMessage(key, messageId) {
+    const batch = await MessageBatch.findOne(
+      { room: key, 'messages.id': messageId },
+      { 'messages.$': 1 }
+    ).lean();
+    return batch ? batch.messages[0] : null;
+  }
+
+  /**
+   * Which of `ids` are stored under `key`, using the messages.id index
+   */
+  async findMessageIds(key, ids) {
+    const wanted = new Set(ids);
+    const found = new Set();
+    for (let i = 0; i < ids.length; i += ID_LOOKUP_CHUNK) {
+      const chunk = ids.slice(i, i + ID_LOOKUP_CHUNK);
+      // Gives every ID in the matching batches; keep the ones asked for
+      const stored = await MessageBatch.distinct('messages.id', { room: key, 'messages.id': { $in: chunk } });
+      stored.filter(id => wanted.has(id)).forEach(id => found.add(id));
+    }
+    return [...found];
+  }
+
+  /**
+   * Set `fields` on a stored message
+   */
+  async updateMessage(key, messageId, fields) {
+    const update = {};
+    for (const [field, value] of Object.entries(fields)) {
+      update[`messages.$.${field}`] = value;
+    }
+    await MessageBatch.updateOne({ room: key, 'messages.id': messageId }, { $set: update });
+  }
+
+  /**
+   * Usernames `username` shares a direct conversation with
+   */
+  async getConversationPartners(username) {
+    const participants = await MessageBatch.distinct('participants', { participants: username });
+    return participants.filter(name => name !== username);
+  }
+
+  /**
+   * Fetch direct messages waiting for `username` and clear their pending flag
+   * Returns messages without `pendingFor`, oldest batches first
+   */
+  async takePendingMessages(username) {
+    const batches = await MessageBatch.find({
+      participants: username,
+      'messages.pendingFor': username
+    })
+      .sort({ startTime: 1 })
+      .lean();
+
+    const pending = [];
+    batches.forEach(batch => {
+      batch.messages
+        .filter(m => m.pendingFor === username)
+        .forEach(({ pendingFor, ...m }) => pending.push(m));
+    });
+
+    if (batches.length > 0) {
+      await MessageBatch.updateMany(
+        { _id: { $in: batches.map(b => b._id) } },
+        { $unset: { 'messages.$[m].pendingFor': '' } },
+        { arrayFilters: [{ 'm.pendingFor': username }] }
+      );
+    }
+    return pending;
+  }
+
+  // ------------------------------
+  // Rooms
+  // ------------------------------
+
+  /**
+   * Create a room if it doesn't exist yet (used to seed the default rooms)
+   */
+  async ensureRoom(name) {
+    await Room.updateOne(
+      { name },
+      { $setOnInsert: { name, createdBy: null, archived: false } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Active (non-archived) rooms, oldest first
+   */
+  async loadRooms() {
+    return Room.find({ archived: false })
+      .sort({ createdAt: 1 })
+      .lean()
+      .exec();
+  }
+
+  async findRoom(name) {
+    return Room.findOne({ name }).lean();
+  }
+
+  async createRoom({ name, createdBy, retention, visibility, passwordHash }) {
+    await Room.create({ name, createdBy, retention, visibility, passwordHash });
+  }
+
+  /**
+   * Set `fields` on a room (e.g. { archived: true } or { moderators: [...] })
+   */
+  async updateRoom(name, fields) {
+    await Room.updateOne({ name }, { $set: fields });
+  }
+
+  /**
+   * Rename a room and carry its message history over
+   */
+  async renameRoom(name, newName) {
+    await Room.updateOne({ name }, { $set: { name: newName } });
+    await MessageBatch.updateMany({ room: name }, { $set: { room: newName } });
+    await User.updateMany(
+      { [`readPositions.${name}`]: { $exists: true } },
+      { $rename: { [`readPositions.${name}`]: `readPositions.${newName}` } }
+    );
+  }
+
+  // ------------------------------
+  // Users
+  // ------------------------------
+
+  async findUser(username) {
+    return User.findOne({ username }).lean();
+  }
+
+  async findUserByNickname(nickname) {
+    return User.findOne({ nickname }).lean();
+  }
+
+  /**
+   * Returns false if the username is already taken
+   */
+  async createUser({ username, passwordHash }) {
+    try {
+      await User.create({ username, passwordHash });
+      return true;
+    } catch (error) {
+      // Lost a race with another registration for the same name
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Set `fields` on an account (e.g. { nickname })
+   */
+  async updateUser(username, fields) {
+    await User.updateOne({ username }, { $set: fields });
+  }
+
+  // ------------------------------
+  // Read positions
+  // ------------------------------
+
+  /**
+   * Room name -> timestamp up to which `username` has read
+   */
+  async getReadPositions(username) {
+    const user = await User.findOne({ username }, { readPositions: 1 }).lean();
+    return (user && user.readPositions) || {};
+  }
+
+  /**
+   * Move a user's read position in a room forward (never back)
+   */
+  async setReadPosition(username, roomName, timestamp) {
+    await User.updateOne({ username }, { $max: { [`readPositions.${roomName}`]: timestamp } });
+  }
+
+  /**
+   * Username -> read position, for everyone who has read `roomName`
+   */
+  async getRoomReadPositions(roomName) {
+    const users = await User.find(
+      { [`readPositions.${roomName}`]: { $exists: true } },
+      { username: 1, readPositions: 1 }
+    ).lean();
+    return Object.fromEntries(users.map(user => [user.username, user.readPositions[roomName]]));
+  }
+}
+
+module.exports = MongoStorage;
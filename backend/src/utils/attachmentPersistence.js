@@ -0,0 +1,186 @@
+// backend/src/utils/attachmentPersistence.js
+// Uploaded files: type checks, image thumbnails and the metadata chat messages carry
+// Each upload is stored as `<id>` plus `<id>.json` (metadata) and, for images, `<id>.thumb`
+
+const crypto = require('crypto');
+const { getAttachmentStore } = require('../attachments');
+
+// Limits on uploads (override with MAX_ATTACHMENT_BYTES / ATTACHMENT_TYPES)
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_ATTACHMENT_BYTES, 10) || 10 * 1024 * 1024;
+const ALLOWED_ATTACHMENT_TYPES = (process.env.ATTACHMENT_TYPES ||
+  'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,application/zip')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+// Thumbnails fit in a square of this many pixels
+const THUMBNAIL_SIZE = 320;
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Leading bytes of the image formats we preview, so a file can't pose as an image
+const IMAGE_SIGNATURES = {
+  'image/png': [[0, '89504e47']],
+  'image/jpeg': [[0, 'ffd8ff']],
+  'image/gif': [[0, '47494638']],
+  'image/webp': [[0, '52494646'], [8, '57454250']] // "RIFF" .... "WEBP"
+};
+
+// sharp is an optional dependency: without it uploads still work, just without thumbnails
+let sharp;
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      console.warn('sharp is not installed; image thumbnails are disabled');
+      sharp = null;
+    }
+  }
+  return sharp;
+}
+
+function isAllowedType(type) {
+  return ALLOWED_ATTACHMENT_TYPES.includes(type);
+}
+
+function isImageType(type) {
+  return Object.prototype.hasOwnProperty.call(IMAGE_SIGNATURES, type);
+}
+
+/**
+ * Whether `data` looks like `type` (only images are checked; other types are served as downloads)
+ */
+function matchesType(type, data) {
+  if (!isImageType(type)) return true;
+
+  return IMAGE_SIGNATURES[type].every(([offset, hex]) =>
+    data.subarray(offset, offset + hex.length / 2).toString('hex') === hex
+  );
+}
+
+/**
+ * Scale an image down to a JPEG thumbnail
+ * Returns: { thumbnail: Buffer, width, height } (size of the original), or null if it can't be read
+ */
+async function createThumbnail(data) {
+  const sharpLib = loadSharp();
+  if (!sharpLib) return null;
+
+  try {
+    const image = sharpLib(data);
+    const { width, height } = await image.metadata();
+    const thumbnail = await image
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+    return { thumbnail, width, height };
+  } catch (error) {
+    console.warn('Could not create thumbnail:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store an uploaded file (already checked with isAllowedType/matchesType)
+ * Returns: { success: boolean, error?: string, attachment?: object }
+ */
+async function saveAttachment({ name, type, data, uploadedBy }) {
+  try {
+    const store = getAttachmentStore();
+    const id = crypto.randomUUID();
+    const metadata = {
+      id,
+      name,
+      type,
+      size: data.length,
+      thumbnail: false,
+      uploadedBy,
+      uploadedAt: Date.now()
+    };
+
+    if (isImageType(type)) {
+      const result = await createThumbnail(data);
+      if (result) {
+        await store.save(`${id}.thumb`, result.thumbnail);
+        metadata.thumbnail = true;
+        metadata.width = result.width;
+        metadata.height = result.height;
+      }
+    }
+
+    await store.save(id, data);
+    await store.save(`${id}.json`, Buffer.from(JSON.stringify(metadata)));
+    return { success: true, attachment: toMessageAttachment(metadata) };
+  } catch (error) {
+    console.error(`Error saving attachment from ${uploadedBy}:`, error);
+    return { success: false, error: 'Could not save attachment' };
+  }
+}
+
+async function loadMetadata(id) {
+  if (!ID_PATTERN.test(id)) return null;
+
+  const json = await getAttachmentStore().load(`${id}.json`);
+  return json ? JSON.parse(json.toString()) : null;
+}
+
+/**
+ * Load an attachment (or its thumbnail) for download
+ * Returns: { metadata, data } or null if there is no such attachment
+ */
+async function loadAttachment(id, thumbnail = false) {
+  try {
+    const metadata = await loadMetadata(id);
+    if (!metadata || (thumbnail && !metadata.thumbnail)) return null;
+
+    const data = await getAttachmentStore().load(thumbnail ? `${id}.thumb` : id);
+    return data ? { metadata, data } : null;
+  } catch (error) {
+    console.error(`Error loading attachment ${id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Look up the attachments a chat message refers to; each must have been uploaded by `username`
+ * Returns: { success: boolean, error?: string, attachments?: object[] }
+ */
+async function resolveAttachments(ids, username) {
+  try {
+    const attachments = [];
+    for (const id of new Set(ids)) {
+      const metadata = await loadMetadata(id);
+      if (!metadata || metadata.uploadedBy !== username) {
+        return { success: false, error: 'Attachment not found' };
+      }
+      attachments.push(toMessageAttachment(metadata));
+    }
+    return { success: true, attachments };
+  } catch (error) {
+    console.error(`Error resolving attachments for ${username}:`, error);
+    return { success: false, error: 'Could not load attachments' };
+  }
+}
+
+// What a chat message carries about an attachment (no uploader details)
+function toMessageAttachment({ id, name, type, size, width, height, thumbnail }) {
+  const attachment = { id, name, type, size, thumbnail };
+  if (width && height) {
+    attachment.width = width;
+    attachment.height = height;
+  }
+  return attachment;
+}
+
+module.exports = {
+  saveAttachment,
+  loadAttachment,
+  resolveAttachments,
+  isAllowedType,
+  isImageType,
+  matchesType,
+  MAX_ATTACHMENT_BYTES,
+  ALLOWED_ATTACHMENT_TYPES
+};
@@ -0,0 +1,106 @@
+// backend/src/utils/auth.js
+// Password hashing and signed session tokens
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SESSION_TTL = process.env.SESSION_TTL || '7d';
+
+// Without a configured secret, sessions only survive until the next restart
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET not set; using a random secret (sessions end on restart)');
+}
+
+const USERNAME_MAX_LENGTH = 20;
+// Letters, digits, '_' and '-': names show up in @mentions, exports and logs as they are
+const USERNAME_PATTERN = new RegExp(`^[A-Za-z0-9_-]{1,${USERNAME_MAX_LENGTH}}$`);
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Validate a username (also used for bot names, which share the namespace, and nicknames)
+ * Returns: { valid: boolean, error?: string }
+ */
+function validateUsername(username) {
+  if (typeof username !== 'string' || username.trim().length === 0) {
+    return { valid: false, error: "Valid 'username' is required" };
+  }
+  if (username.trim().length > USERNAME_MAX_LENGTH) {
+    return { valid: false, error: `Username must be at most ${USERNAME_MAX_LENGTH} characters` };
+  }
+  if (!USERNAME_PATTERN.test(username.trim())) {
+    return { valid: false, error: "Username may only contain letters, digits, '_' and '-'" };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validate registration/login input
+ * Returns: { valid: boolean, error?: string }
+ */
+function validateCredentials(username, password) {
+  const checked = validateUsername(username);
+  if (!checked.valid) {
+    return checked;
+  }
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return { valid: false, error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Hash a password with a random salt
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored "salt:hash" string
+ */
+async function verifyPassword(password, passwordHash) {
+  const [salt, storedHex] = passwordHash.split(':');
+  if (!salt || !storedHex) return false;
+
+  const stored = Buffer.from(storedHex, 'hex');
+  const hash = await scrypt(password, salt, stored.length);
+  return crypto.timingSafeEqual(hash, stored);
+}
+
+/**
+ * Issue a signed session token for a username
+ */
+function createSessionToken(username) {
+  return jwt.sign({ sub: username }, SESSION_SECRET, { expiresIn: SESSION_TTL });
+}
+
+/**
+ * Verify a session token
+ * Returns the username, or null if the token is missing, invalid or expired
+ */
+function verifySessionToken(token) {
+  if (!token) return null;
+
+  try {
+    const payload = jwt.verify(token, SESSION_SECRET);
+    return typeof payload.sub === 'string' ? payload.sub : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  validateUsername,
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  verifySessionToken
+};
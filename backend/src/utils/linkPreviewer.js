@@ -0,0 +1,218 @@
+// backend/src/utils/linkPreviewer.js
+// Link previews: the title, description and site name of the first web page linked in a message,
+// fetched by the server with the same private address checks as webhooks
+
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { parseHostList, isBlockedAddress, hostOf, lookupPublic } = require("./publicAddress");
+
+// LINK_PREVIEWS=off stops the server from fetching linked pages at all
+const ENABLED = process.env.LINK_PREVIEWS !== "off";
+const TIMEOUT_MS = parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS, 10) || 5000;
+// Hosts previews may be fetched from even though they are loopback or private
+const ALLOWED_HOSTS = parseHostList(process.env.LINK_PREVIEW_ALLOWED_HOSTS);
+
+// Only the start of a page is read; the <head> is almost always within it
+const MAX_BYTES = 256 * 1024;
+const MAX_REDIRECTS = 3;
+const FOLLOWED_REDIRECTS = [301, 302, 303, 307, 308];
+const HTML_TYPES = ["text/html", "application/xhtml+xml"];
+
+// Previews (and failures) are remembered per URL for a while, so a link posted again isn't refetched
+const CACHE_SIZE = 500;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_SITE_NAME_LENGTH = 100;
+
+// Same URL syntax as the client's auto-linking (frontend/markdown.js); links inside code don't count
+const LINK_PATTERN = /https?:\/\/[^\s<>"`]+/;
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]+`/g;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]'"]+$/;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+/**
+ * The first http(s) URL in chat text, or null
+ */
+function findFirstLink(text) {
+  const match = LINK_PATTERN.exec((text || "").replace(CODE_PATTERN, " "));
+  if (!match) return null;
+
+  const link = match[0].replace(TRAILING_PUNCTUATION, "");
+  try {
+    return new URL(link).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] || entity;
+  });
+}
+
+// Plain text for a preview field: entities decoded, whitespace collapsed, cut to `maxLength`
+function cleanText(value, maxLength) {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, " ").trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-z][a-z0-9:_-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+}
+
+/**
+ * Preview of a page from its HTML: Open Graph tags, falling back to <title> and the meta description
+ * Returns: { url, title, description?, siteName? } or null when the page has no title
+ */
+function parsePreview(html, url) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const { property, name, content } = parseAttributes(tag);
+    const key = (property || name || "").toLowerCase();
+    if (key && content !== undefined && !(key in meta)) {
+      meta[key] = content;
+    }
+  }
+  const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+
+  const title = cleanText(meta["og:title"] || (titleTag && titleTag[1]), MAX_TITLE_LENGTH);
+  if (!title) return null;
+
+  const preview = { url, title };
+  const description = cleanText(meta["og:description"] || meta.description, MAX_DESCRIPTION_LENGTH);
+  if (description) {
+    preview.description = description;
+  }
+  const siteName = cleanText(meta["og:site_name"], MAX_SITE_NAME_LENGTH);
+  if (siteName) {
+    preview.siteName = siteName;
+  }
+  return preview;
+}
+
+class LinkPreviewer {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.enabled]
+   * @param {number} [options.timeoutMs]
+   * @param {string[]} [options.allowedHosts] - hosts exempt from the private address check
+   */
+  constructor({ enabled = ENABLED, timeoutMs = TIMEOUT_MS, allowedHosts = ALLOWED_HOSTS } = {}) {
+    this.enabled = enabled;
+    this.timeoutMs = timeoutMs;
+    this.allowedHosts = allowedHosts;
+
+    // Map of URL -> { expiresAt, preview: Promise }, oldest first
+    this.cache = new Map();
+  }
+
+  /**
+   * Preview of the page at `url`; resolves to null when there is none (or it can't be fetched)
+   */
+  preview(url) {
+    if (!this.enabled) return Promise.resolve(null);
+
+    const now = Date.now();
+    const cached = this.cache.get(url);
+    if (cached && cached.expiresAt > now) {
+      return cached.preview;
+    }
+
+    const preview = this.fetchPreview(url).catch(() => null);
+    this.cache.delete(url);
+    this.cache.set(url, { expiresAt: now + CACHE_TTL_MS, preview });
+    if (this.cache.size > CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return preview;
+  }
+
+  // GET the page, following redirects to hosts that pass the same checks
+  async fetchPreview(link) {
+    let url = new URL(link);
+    for (let redirects = 0; ; redirects++) {
+      const host = hostOf(url);
+      if (!["http:", "https:"].includes(url.protocol) ||
+          (!this.allowedHosts.includes(host) && net.isIP(host) && isBlockedAddress(host))) {
+        return null;
+      }
+
+      const response = await this.request(url);
+      if (FOLLOWED_REDIRECTS.includes(response.status) && response.location) {
+        if (redirects >= MAX_REDIRECTS) return null;
+        url = new URL(response.location, url);
+        continue;
+      }
+      return response.status === 200 && response.html !== null ? parsePreview(response.html, link) : null;
+    }
+  }
+
+  /**
+   * One GET; resolves to { status, location, html } with `html` null unless the response is a web page
+   */
+  request(url) {
+    const transport = url.protocol === "https:" ? https : http;
+    const allowed = this.allowedHosts.includes(hostOf(url));
+
+    return new Promise((resolve, reject) => {
+      const request = transport.get(url, {
+        headers: { "Accept": "text/html", "User-Agent": "TinyGroupChat-LinkPreview" },
+        // Allowed hosts may resolve to local addresses; everything else is checked when connecting
+        lookup: allowed ? undefined : lookupPublic
+      }, (response) => {
+        const type = (response.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+        if (response.statusCode !== 200 || !HTML_TYPES.includes(type)) {
+          clearTimeout(timer);
+          response.resume();
+          resolve({ status: response.statusCode, location: response.headers.location, html: null });
+          request.destroy();
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        const finish = () => {
+          clearTimeout(timer);
+          resolve({ status: response.statusCode, location: null, html: Buffer.concat(chunks).toString("utf8") });
+        };
+        response.on("data", (chunk) => {
+          chunks.push(chunk);
+          size += chunk.length;
+          if (size >= MAX_BYTES) {
+            finish();
+            request.destroy();
+          }
+        });
+        response.on("end", finish);
+        response.on("error", reject);
+      });
+
+      const timer = setTimeout(() => request.destroy(new Error("timed out")), this.timeoutMs);
+      request.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+}
+
+module.exports = LinkPreviewer;
+module.exports.findFirstLink = findFirstLink;
+module.exports.parsePreview = parsePreview;
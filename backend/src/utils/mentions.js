@@ -0,0 +1,46 @@
+// backend/src/utils/mentions.js
+// @username mentions: parsed from chat text when a message is stored
+
+const { userExists } = require('./userPersistence');
+
+// "@name" at the start of the text or after whitespace; trailing punctuation is not part of the name
+const MENTION_PATTERN = /(^|\s)@([^\s@]+)/g;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]'"]+$/;
+
+// Code spans and blocks are left alone, so "`@home`" mentions nobody
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]+`/g;
+
+const MAX_MENTIONS_PER_MESSAGE = 10;
+
+/**
+ * Names written as @mentions in `text`, in order, without duplicates
+ */
+function extractMentionNames(text) {
+  const names = new Set();
+  const prose = text.replace(CODE_PATTERN, ' ');
+
+  for (const match of prose.matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(TRAILING_PUNCTUATION, '');
+    if (name) names.add(name);
+    if (names.size >= MAX_MENTIONS_PER_MESSAGE) break;
+  }
+  return [...names];
+}
+
+/**
+ * Mentioned names that belong to registered users
+ */
+async function resolveMentions(text) {
+  const mentions = [];
+  for (const name of extractMentionNames(text)) {
+    if (await userExists(name)) {
+      mentions.push(name);
+    }
+  }
+  return mentions;
+}
+
+module.exports = {
+  extractMentionNames,
+  resolveMentions
+};
@@ -0,0 +1,70 @@
+// backend/src/utils/publicAddress.js
+// Keeps server-side requests to user-supplied URLs (webhooks, link previews) off private networks
+
+const dns = require("dns");
+const net = require("net");
+
+// Addresses the server must never reach on a user's behalf: this machine, the local network and cloud metadata services
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+// Comma-separated host names, e.g. from WEBHOOK_ALLOWED_HOSTS
+function parseHostList(value) {
+  return (value || "")
+    .split(",")
+    .map(host => host.trim().toLowerCase().replace(/^\[|\]$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * (IPv4-mapped IPv6 addresses are judged by their IPv4 address)
+ */
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (mapped) {
+    const ipv4 = mapped[1] || [parseInt(mapped[2], 16), parseInt(mapped[3], 16)]
+      .flatMap(part => [part >> 8, part & 255])
+      .join(".");
+    return BLOCKED_ADDRESSES.check(ipv4, "ipv4");
+  }
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// URL.hostname keeps the brackets around IPv6 addresses
+function hostOf(url) {
+  return url.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+}
+
+/**
+ * dns.lookup() that refuses hosts resolving to blocked addresses. Used for the connection itself,
+ * so a name that resolves differently after it was checked (DNS rebinding) still can't get through
+ */
+function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      callback(new Error(`${hostname} resolves to a private or local address (${blocked.address})`));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  parseHostList,
+  isBlockedAddress,
+  hostOf,
+  lookupPublic
+};
@@ -0,0 +1,189 @@
+// backend/src/utils/rateLimiter.js
+// Token-bucket rate limiting per connection and per username
+
+const MESSAGE_TYPES = require("../messageTypes");
+
+// Bucket settings per category: `capacity` is the allowed burst, `refillPerSecond` the sustained rate.
+// Override with env vars like RATE_LIMIT_CHAT=10:1 (capacity:refillPerSecond).
+const DEFAULT_LIMITS = {
+  chat: { capacity: 10, refillPerSecond: 1 },
+  join_room: { capacity: 10, refillPerSecond: 0.2 }, // a reconnect resubscribes every joined room at once
+  search: { capacity: 5, refillPerSecond: 0.5 },
+  default: { capacity: 30, refillPerSecond: 5 }
+};
+
+// Message types that count against a specific bucket; anything not listed uses `default`
+const TYPE_CATEGORIES = {
+  [MESSAGE_TYPES.CHAT]: "chat",
+  [MESSAGE_TYPES.DIRECT_MESSAGE]: "chat",
+  [MESSAGE_TYPES.REPLY]: "chat",
+  [MESSAGE_TYPES.EDIT_MESSAGE]: "chat",
+  [MESSAGE_TYPES.DELETE_MESSAGE]: "chat",
+  [MESSAGE_TYPES.JOIN_ROOM]: "join_room",
+  [MESSAGE_TYPES.SUBSCRIBE]: "join_room",
+  [MESSAGE_TYPES.SEARCH]: "search"
+};
+
+// Over-limit frames tolerated within the window before the connection is dropped
+const MAX_VIOLATIONS = parseInt(process.env.RATE_LIMIT_MAX_VIOLATIONS, 10) || 20;
+const VIOLATION_WINDOW_MS = 60 * 1000;
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function parseLimit(value, fallback) {
+  if (!value) return fallback;
+
+  const [capacity, refillPerSecond] = value.split(":").map(Number);
+  if (!(capacity > 0) || !(refillPerSecond > 0)) {
+    console.warn(`Ignoring invalid rate limit '${value}'`);
+    return fallback;
+  }
+  return { capacity, refillPerSecond };
+}
+
+function loadLimits() {
+  const limits = {};
+  for (const [category, fallback] of Object.entries(DEFAULT_LIMITS)) {
+    limits[category] = parseLimit(process.env[`RATE_LIMIT_${category.toUpperCase()}`], fallback);
+  }
+  return limits;
+}
+
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until one token is available (0 if one is available now)
+  waitTime(now) {
+    this.refill(now);
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+class RateLimiter {
+  constructor(limits = loadLimits()) {
+    this.limits = limits;
+
+    // Map of connection key -> { buckets: Map<category, TokenBucket>, violations: number[] }
+    this.connections = new Map();
+
+    // Map of username -> Map<category, TokenBucket>; shared by all of a user's connections
+    this.users = new Map();
+
+    // Drop idle (fully refilled) user buckets so the map doesn't grow forever
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  getCategory(type) {
+    return TYPE_CATEGORIES[type] || "default";
+  }
+
+  getBucket(buckets, category) {
+    let bucket = buckets.get(category);
+    if (!bucket) {
+      bucket = new TokenBucket(this.limits[category]);
+      buckets.set(category, bucket);
+    }
+    return bucket;
+  }
+
+  getUserBuckets(username) {
+    let userBuckets = this.users.get(username);
+    if (!userBuckets) {
+      userBuckets = new Map();
+      this.users.set(username, userBuckets);
+    }
+    return userBuckets;
+  }
+
+  /**
+   * Try to spend one token for a frame of `type` from both the connection and the user bucket
+   * Returns: { allowed: boolean, category: string, retryAfter?: number, disconnect?: boolean }
+   */
+  consume(connectionKey, username, type) {
+    const now = Date.now();
+    const category = this.getCategory(type);
+
+    let connection = this.connections.get(connectionKey);
+    if (!connection) {
+      connection = { buckets: new Map(), violations: [] };
+      this.connections.set(connectionKey, connection);
+    }
+
+    const connectionBucket = this.getBucket(connection.buckets, category);
+    const userBucket = this.getBucket(this.getUserBuckets(username), category);
+
+    // Only spend tokens when both buckets allow it
+    const retryAfter = Math.max(connectionBucket.waitTime(now), userBucket.waitTime(now));
+    if (retryAfter === 0) {
+      connectionBucket.take();
+      userBucket.take();
+      return { allowed: true, category };
+    }
+
+    connection.violations = connection.violations.filter(at => now - at < VIOLATION_WINDOW_MS);
+    connection.violations.push(now);
+
+    return {
+      allowed: false,
+      category,
+      retryAfter,
+      disconnect: connection.violations.length >= MAX_VIOLATIONS
+    };
+  }
+
+  /**
+   * Spend one token from the user bucket only, for requests that don't come over a connection (HTTP API)
+   * Returns: { allowed: boolean, category: string, retryAfter?: number }
+   */
+  consumeUser(username, type) {
+    const now = Date.now();
+    const category = this.getCategory(type);
+
+    const userBucket = this.getBucket(this.getUserBuckets(username), category);
+    const retryAfter = userBucket.waitTime(now);
+    if (retryAfter > 0) {
+      return { allowed: false, category, retryAfter };
+    }
+
+    userBucket.take();
+    return { allowed: true, category };
+  }
+
+  // Forget a closed connection (user buckets stay, so reconnecting doesn't reset limits)
+  removeConnection(connectionKey) {
+    this.connections.delete(connectionKey);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [username, buckets] of this.users.entries()) {
+      if ([...buckets.values()].every(bucket => bucket.isFull(now))) {
+        this.users.delete(username);
+      }
+    }
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,67 @@
+// backend/src/utils/readPersistence.js
+// Per-user read positions in rooms: unread counts and "seen by" receipts
+
+const { getStorage } = require('../storage');
+
+/**
+ * Unread chat messages per room for `username` (messages they wrote don't count)
+ * Rooms the user has never read start counting from now rather than from their whole history
+ * Returns: { [room]: count }
+ */
+async function getUnreadCounts(username, roomNames) {
+  const counts = {};
+  try {
+    const storage = getStorage();
+    const positions = await storage.getReadPositions(username);
+
+    for (const roomName of roomNames) {
+      if (positions[roomName] === undefined) {
+        await storage.setReadPosition(username, roomName, Date.now());
+        counts[roomName] = 0;
+      } else {
+        counts[roomName] = await storage.countMessagesSince(roomName, positions[roomName], username);
+      }
+    }
+  } catch (error) {
+    console.error(`Error loading unread counts for ${username}:`, error);
+  }
+  return counts;
+}
+
+/**
+ * Record that `username` has read `roomName` up to `timestamp`
+ * Returns: { success: boolean, error?: string, unread?: number }
+ */
+async function markRoomRead(roomName, username, timestamp) {
+  try {
+    const storage = getStorage();
+    await storage.setReadPosition(username, roomName, timestamp);
+
+    // Positions only move forward, so count from wherever it ended up
+    const positions = await storage.getReadPositions(username);
+    const unread = await storage.countMessagesSince(roomName, positions[roomName], username);
+    return { success: true, unread };
+  } catch (error) {
+    console.error(`Error marking room ${roomName} read for ${username}:`, error);
+    return { success: false, error: 'Could not update read position' };
+  }
+}
+
+/**
+ * How far everyone has read in a room
+ * Returns: { [username]: timestamp }
+ */
+async function getReadReceipts(roomName) {
+  try {
+    return await getStorage().getRoomReadPositions(roomName);
+  } catch (error) {
+    console.error(`Error loading read receipts for room ${roomName}:`, error);
+    return {};
+  }
+}
+
+module.exports = {
+  getUnreadCounts,
+  markRoomRead,
+  getReadReceipts
+};
@@ -0,0 +1,249 @@
+// backend/src/utils/roomExport.js
+// Room history exports: JSON lines (which can be imported again), plain-text transcripts and standalone HTML pages
+
+const EXPORT_FORMATS = ['json', 'text', 'html'];
+
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/x-ndjson; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+};
+
+const EXPORT_EXTENSIONS = { json: 'jsonl', text: 'txt', html: 'html' };
+
+// Messages one import may hold
+const MAX_IMPORT_MESSAGES = 100000;
+
+// Stored message fields an import keeps; anything else on a line is dropped
+const IMPORTED_FIELDS = [
+  'id', 'type', 'from', 'message', 'timestamp', 'editedAt', 'deleted', 'parentId',
+  'replyCount', 'lastReplyAt', 'attachments', 'mentions', 'reactions', 'nick', 'emote', 'bot'
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A date range bound from a query string or command line: a millisecond timestamp or an ISO date.
+ * A bare date ("2026-10-19") at the `end` of a range covers that whole day (UTC).
+ * Returns null when left out and NaN when unreadable
+ */
+function parseDateBound(value, end = false) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return NaN;
+  return end && DATE_ONLY.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// "2026-10-19 14:03:05", always UTC so an export reads the same wherever it was made
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function describeRange(from, to) {
+  if (from === null && to === null) return null;
+  return `${from !== null ? formatTimestamp(from) : 'the beginning'} to ${to !== null ? formatTimestamp(to) : 'now'} (UTC)`;
+}
+
+/**
+ * Render exported messages (see exportRoomMessages) in one of EXPORT_FORMATS
+ * `from` and `to` are the range the export was limited to, shown in the text and HTML headers
+ */
+function formatExport(roomName, messages, format, { from = null, to = null } = {}) {
+  switch (format) {
+    case 'json':
+      return messages.map(message => JSON.stringify(message) + '\n').join('');
+    case 'text':
+      return formatTranscript(roomName, messages, describeRange(from, to));
+    case 'html':
+      return formatHtml(roomName, messages, describeRange(from, to));
+    default:
+      throw new Error(`Unknown export format '${format}'`);
+  }
+}
+
+// Who wrote a message: "nick (username)" when sent under a nickname, "name [bot]" for bots
+function describeAuthor(message) {
+  if (message.bot) return `${message.from} [bot]`;
+  return message.nick ? `${message.nick} (${message.from})` : message.from;
+}
+
+// What a message says, without its time and author
+function describeBody(message) {
+  if (message.deleted) return '(message deleted)';
+
+  const parts = [];
+  if (message.message) parts.push(message.message);
+  (message.attachments || []).forEach(attachment => parts.push(`[attachment: ${attachment.name}]`));
+  if (message.editedAt) parts.push('(edited)');
+  return parts.join(' ');
+}
+
+function formatTranscript(roomName, messages, range) {
+  const lines = [`# ${roomName}`, `# Exported ${formatTimestamp(Date.now())} UTC`];
+  if (range) lines.push(`# Messages from ${range}`);
+  lines.push('');
+
+  messages.forEach(message => {
+    // Thread replies are indented under their parent
+    const indent = message.parentId ? '    ' : '';
+    const time = `[${formatTimestamp(message.timestamp)}]`;
+    let text = `${time} ${describeAuthor(message)}: ${describeBody(message)}`;
+    if (message.type === 'system') {
+      text = `${time} * ${message.message}`;
+    } else if (message.emote && !message.deleted) {
+      text = `${time} * ${describeAuthor(message)} ${describeBody(message)}`;
+    }
+    lines.push(...text.split('\n').map((line, i) => (i === 0 ? indent : `${indent}    `) + line));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatHtml(roomName, messages, range) {
+  const items = messages.map(message => {
+    const classes = [
+      'message',
+      message.type === 'system' ? 'system' : null,
+      message.emote ? 'emote' : null,
+      message.parentId ? 'reply' : null
+    ]
+      .filter(Boolean)
+      .join(' ');
+    const time = `<time datetime="${new Date(message.timestamp).toISOString()}">${formatTimestamp(message.timestamp)}</time>`;
+    const author = message.type === 'system' ? '' : `<span class="from">${escapeHtml(describeAuthor(message))}</span>`;
+    const body = message.type === 'system' ? message.message : describeBody(message);
+    const reactions = (message.reactions || [])
+      .map(reaction => `${escapeHtml(reaction.emoji)} ${reaction.users.length}`)
+      .join(' ');
+    return `    <div class="${classes}">${time}${author}<div class="text">${escapeHtml(body)}</div>` +
+      (reactions ? `<div class="reactions">${reactions}</div>` : '') + '</div>';
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(roomName)} - chat export</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 800px; margin: 2em auto; padding: 0 1em; color: #1f2937; }
+    header { border-bottom: 1px solid #e5e7eb; margin-bottom: 1em; }
+    header p { color: #6b7280; margin: 0.25em 0 1em; }
+    .message { padding: 0.4em 0; }
+    .message time { color: #9ca3af; font-size: 0.8em; margin-right: 0.5em; }
+    .message .from { font-weight: 600; }
+    .message .text { white-space: pre-wrap; overflow-wrap: anywhere; }
+    .message.system { color: #6b7280; font-style: italic; }
+    .message.system .text, .message.emote .text { display: inline; }
+    .message.emote .from::before { content: "* "; }
+    .message.emote .from { margin-right: 0.3em; }
+    .message.reply { margin-left: 2em; padding-left: 0.75em; border-left: 2px solid #e5e7eb; }
+    .reactions { font-size: 0.85em; color: #6b7280; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(roomName)}</h1>
+    <p>Exported ${formatTimestamp(Date.now())} UTC${range ? ` &middot; messages from ${escapeHtml(range)}` : ''} &middot; ${messages.length} messages</p>
+  </header>
+  <main>
+${items.join('\n')}
+  </main>
+</body>
+</html>
+`;
+}
+
+// Why a parsed export line can't be imported, or null if it can
+function checkImportedMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) return 'not a message object';
+  if (typeof message.id !== 'string' || message.id.length === 0 || message.id.length > 100) return "missing 'id'";
+  if (message.type !== 'message' && message.type !== 'system') return "'type' must be message or system";
+  if (!Number.isFinite(message.timestamp) || message.timestamp <= 0) return "missing 'timestamp'";
+  if (typeof message.message !== 'string') return "missing 'message'";
+  if (message.type === 'message' && (typeof message.from !== 'string' || message.from.length === 0)) {
+    return "missing 'from'";
+  }
+  if (message.parentId !== undefined && typeof message.parentId !== 'string') return "'parentId' must be a string";
+  if (message.nick !== undefined && typeof message.nick !== 'string') return "'nick' must be a string";
+  if (message.emote !== undefined && typeof message.emote !== 'boolean') return "'emote' must be true or false";
+  if (message.bot !== undefined && typeof message.bot !== 'boolean') return "'bot' must be true or false";
+  if (message.attachments !== undefined && !isListOf(message.attachments, isAttachment)) {
+    return "'attachments' must be a list of attachments";
+  }
+  if (message.mentions !== undefined && !isListOf(message.mentions, name => typeof name === 'string')) {
+    return "'mentions' must be a list of usernames";
+  }
+  if (message.reactions !== undefined && !isListOf(message.reactions, isReaction)) {
+    return "'reactions' must be a list of { emoji, users }";
+  }
+  return null;
+}
+
+function isListOf(value, check) {
+  return Array.isArray(value) && value.every(check);
+}
+
+function isAttachment(attachment) {
+  return !!attachment && typeof attachment.id === 'string' && typeof attachment.name === 'string' &&
+    typeof attachment.type === 'string' && Number.isFinite(attachment.size);
+}
+
+function isReaction(reaction) {
+  return !!reaction && typeof reaction.emoji === 'string' &&
+    isListOf(reaction.users, name => typeof name === 'string');
+}
+
+/**
+ * Read a JSON-lines export back into messages
+ * Returns: { messages: Array } or { error: string } naming the first bad line
+ */
+function parseJsonLines(text) {
+  const messages = [];
+  const lines = text.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    if (messages.length >= MAX_IMPORT_MESSAGES) {
+      return { error: `An import can hold at most ${MAX_IMPORT_MESSAGES} messages` };
+    }
+
+    let message;
+    try {
+      message = JSON.parse(lines[i]);
+    } catch (error) {
+      return { error: `Line ${i + 1} is not valid JSON` };
+    }
+    const problem = checkImportedMessage(message);
+    if (problem) {
+      return { error: `Line ${i + 1}: ${problem}` };
+    }
+
+    messages.push(Object.fromEntries(
+      IMPORTED_FIELDS.filter(field => message[field] !== undefined).map(field => [field, message[field]])
+    ));
+  }
+
+  if (messages.length === 0) {
+    return { error: 'The export holds no messages' };
+  }
+  return { messages };
+}
+
+module.exports = {
+  formatExport,
+  parseJsonLines,
+  parseDateBound,
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_EXTENSIONS
+};
@@ -0,0 +1,19 @@
+// backend/src/utils/roomLimits.js
+// Room limits and settings shared by request validation and room persistence
+
+const MAX_HISTORY_PAGE_SIZE = 100; // Largest history page a request may ask for
+const MAX_SEARCH_PAGE_SIZE = 50; // Largest page of search results a request may ask for
+
+// Who can find and join a room (owners and moderators always can)
+const ROOM_VISIBILITIES = ['public', 'private', 'password'];
+
+const MAX_TOPIC_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+module.exports = {
+  MAX_HISTORY_PAGE_SIZE,
+  MAX_SEARCH_PAGE_SIZE,
+  ROOM_VISIBILITIES,
+  MAX_TOPIC_LENGTH,
+  MAX_DESCRIPTION_LENGTH
+};
@@ -1,90 +1,225 @@
 // backend/src/utils/roomPersistence.js
-// Optimized MongoDB persistence - messages stored in batches like WhatsApp
-// Benefits: Fewer documents, faster queries, less storage space
+// Room, message and direct message persistence on top of the configured storage adapter
 
-const MessageBatch = require('../db/models/Message');
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+const { hashPassword, verifyPassword } = require('./auth');
+const {
+  MAX_HISTORY_PAGE_SIZE,
+  MAX_SEARCH_PAGE_SIZE,
+  ROOM_VISIBILITIES,
+  MAX_TOPIC_LENGTH,
+  MAX_DESCRIPTION_LENGTH
+} = require('./roomLimits');
 
-const MAX_MESSAGES_PER_ROOM = 100;
-const MESSAGES_PER_BATCH = 50; // Group messages in batches of 50
+const INITIAL_HISTORY_SIZE = 100; // Messages sent when a user enters a room
+const HISTORY_PAGE_SIZE = 50; // Default page size for older history
+const SEARCH_PAGE_SIZE = 20; // Default number of search results per page
+const CONTEXT_SIZE = 10; // Messages shown on each side of a search result
 
-// Predefined rooms
-const AVAILABLE_ROOMS = ['general', 'random', 'games'];
+// Messages kept per room unless the room overrides it (0 keeps everything)
+const DEFAULT_RETENTION = parseRetention(process.env.ROOM_RETENTION, 100);
+
+// Rooms seeded on first start; further rooms are created by users
+const DEFAULT_ROOMS = ['general', 'random', 'games'];
+
+// Users who own every room (e.g. to moderate the default rooms), comma-separated
+const CHAT_ADMINS = (process.env.CHAT_ADMINS || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const ROLE_RANK = { member: 0, moderator: 1, owner: 2 };
+
+const MAX_WEBHOOKS_PER_ROOM = 10;
+const MAX_BOTS_PER_ROOM = 10;
+const MAX_COMMANDS_PER_BOT = 10;
+const MAX_PINS_PER_ROOM = 25;
+
+// In-memory cache of active (non-archived) rooms, kept in sync with stored rooms
+// so that room checks on the hot path stay synchronous
+// Map of room name -> { createdBy, retention, visibility, members: Set, passwordHash, moderators: Set, banned: Set,
+//   mutes: Map<username, until>, topic,
+//   description, pins: [{ messageId, pinnedBy, pinnedAt }], webhooks: [{ id, url, secret, createdBy, createdAt }], bots: [{ id, name, tokenHash, commands, createdBy, createdAt }] }
+let activeRooms = new Map();
+
+function toCacheEntry(room) {
+  return {
+    createdBy: room.createdBy || null,
+    retention: room.retention === undefined ? null : room.retention,
+    visibility: room.visibility || 'public',
+    members: new Set(room.members || []),
+    passwordHash: room.passwordHash || null,
+    moderators: new Set(room.moderators || []),
+    banned: new Set(room.banned || []),
+    mutes: new Map((room.mutes || []).map(mute => [mute.username, mute.until])),
+    topic: room.topic || '',
+    description: room.description || '',
+    pins: room.pins || [],
+    webhooks: room.webhooks || [],
+    bots: room.bots || []
+  };
+}
+
+function parseRetention(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+/**
+ * Load rooms from storage into the cache, seeding the default rooms if missing
+ * Must be called once after the storage adapter is initialized
+ */
+async function initializeRooms() {
+  const storage = getStorage();
+  for (const name of DEFAULT_ROOMS) {
+    await storage.ensureRoom(name);
+  }
+
+  return reloadRooms();
+}
+
+/**
+ * Refresh the cache from storage, e.g. after another server node changed a room
+ */
+async function reloadRooms() {
+  const rooms = await getStorage().loadRooms();
+
+  activeRooms = new Map();
+  rooms.forEach(room => {
+    activeRooms.set(room.name, toCacheEntry(room));
+  });
+  return getAvailableRooms();
+}
+
+/**
+ * Number of messages kept for a room (0 means unlimited)
+ */
+function getRoomRetention(roomName) {
+  const room = activeRooms.get(roomName);
+  if (room && room.retention !== null && room.retention !== undefined) {
+    return room.retention;
+  }
+  return DEFAULT_RETENTION;
+}
 
 /**
- * Load message history for a specific room
- * Fetches from batched documents and flattens into message array
+ * Load the most recent message history for a specific room
  */
 async function loadRoomHistory(roomName) {
-  if (!AVAILABLE_ROOMS.includes(roomName)) {
-    return [];
+  const { messages } = await loadRoomHistoryPage(roomName, null, INITIAL_HISTORY_SIZE);
+  return messages;
+}
+
+/**
+ * Load one page of messages older than the cursor: `before` is the timestamp of the oldest message
+ * already shown (null for the newest page) and `beforeId` its ID, so messages sharing that
+ * millisecond aren't skipped. Pages are in (timestamp, id) order
+ * Returns: { messages: Array, hasMore: boolean }
+ */
+async function loadRoomHistoryPage(roomName, before = null, limit = HISTORY_PAGE_SIZE, beforeId = null) {
+  if (!isValidRoom(roomName)) {
+    return { messages: [], hasMore: false };
   }
 
   try {
-    // Fetch all message batches for the room, sorted by time
-    const batches = await MessageBatch.find({ room: roomName })
-      .sort({ startTime: 1 })
-      .lean()
-      .exec();
-    
-    // Flatten all messages from all batches
-    const allMessages = [];
-    batches.forEach(batch => {
-      allMessages.push(...batch.messages);
-    });
-    
-    // Return last MAX_MESSAGES_PER_ROOM messages
-    return allMessages.slice(-MAX_MESSAGES_PER_ROOM);
+    return await loadHistoryPage(roomName, before, limit, beforeId);
   } catch (error) {
     console.error(`Error loading history for room ${roomName}:`, error);
-    return [];
+    return { messages: [], hasMore: false };
+  }
+}
+
+/**
+ * Load messages newer than `since`, used to replay what a reconnecting client missed
+ * `complete` is false when more than `limit` were missed
+ * Returns: { messages: Array, complete: boolean }
+ */
+async function loadRoomMessagesSince(roomName, since, limit = INITIAL_HISTORY_SIZE) {
+  if (!isValidRoom(roomName)) {
+    return { messages: [], complete: false };
+  }
+
+  try {
+    const missed = await getStorage().loadSince(roomName, since);
+    return {
+      messages: missed.slice(-limit),
+      complete: missed.length <= limit
+    };
+  } catch (error) {
+    console.error(`Error loading missed messages for room ${roomName}:`, error);
+    return { messages: [], complete: false };
+  }
+}
+
+/**
+ * Load one page of the messages stored under `key` (a room name or direct conversation key)
+ */
+async function loadHistoryPage(key, before, limit, beforeId = null) {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_HISTORY_PAGE_SIZE);
+  return getStorage().loadPage(key, before, pageSize, before !== null ? beforeId : null);
+}
+
+/**
+ * Search a room's chat messages for every word in `query`, newest first
+ * `filters`: { from?: string, after?: number, before?: number } - `before` doubles as the page cursor
+ * Returns: { messages: Array, hasMore: boolean }
+ */
+async function searchRoomMessages(roomName, query, filters = {}, limit = SEARCH_PAGE_SIZE) {
+  if (!isValidRoom(roomName)) {
+    return { messages: [], hasMore: false };
+  }
+
+  const terms = query.trim().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return { messages: [], hasMore: false };
+  }
+
+  try {
+    const pageSize = Math.min(Math.max(limit, 1), MAX_SEARCH_PAGE_SIZE);
+    return await getStorage().searchMessages(roomName, { ...filters, terms }, pageSize);
+  } catch (error) {
+    console.error(`Error searching room ${roomName}:`, error);
+    return { messages: [], hasMore: false };
+  }
+}
+
+/**
+ * A message with up to CONTEXT_SIZE messages on either side, oldest first
+ * Returns: { messages: Array, hasMore: boolean } or null when the message doesn't exist
+ */
+async function loadMessageContext(roomName, messageId) {
+  if (!isValidRoom(roomName)) return null;
+
+  try {
+    const storage = getStorage();
+    const message = await storage.findMessage(roomName, messageId);
+    if (!message) return null;
+
+    // Messages sharing the target's timestamp are all on the "after" side
+    const older = await storage.loadPage(roomName, message.timestamp, CONTEXT_SIZE);
+    const newer = await storage.loadPageAfter(roomName, message.timestamp - 1, CONTEXT_SIZE + 1);
+    return {
+      messages: older.messages.concat(newer),
+      hasMore: older.hasMore
+    };
+  } catch (error) {
+    console.error(`Error loading context of message ${messageId} in room ${roomName}:`, error);
+    return null;
   }
 }
 
 /**
  * Add a message to a room's history
- * Uses batching strategy: adds to existing batch or creates new one
+ * Assigns `message.id` (server-generated) so callers can broadcast the stored ID
  */
 async function addMessageToRoom(roomName, message) {
-  if (!AVAILABLE_ROOMS.includes(roomName)) {
+  if (!isValidRoom(roomName)) {
     return [];
   }
 
   try {
-    const timestamp = message.timestamp || Date.now();
-    
-    // Find the most recent batch for this room that isn't full
-    let batch = await MessageBatch.findOne({
-      room: roomName,
-      messageCount: { $lt: MESSAGES_PER_BATCH }
-    }).sort({ endTime: -1 });
-    
-    if (batch) {
-      // Add message to existing batch
-      batch.messages.push({
-        type: message.type,
-        from: message.from,
-        message: message.message,
-        timestamp: timestamp
-      });
-      batch.endTime = timestamp;
-      batch.messageCount = batch.messages.length;
-      await batch.save();
-    } else {
-      // Create new batch
-      batch = new MessageBatch({
-        room: roomName,
-        messages: [{
-          type: message.type,
-          from: message.from,
-          message: message.message,
-          timestamp: timestamp
-        }],
-        startTime: timestamp,
-        endTime: timestamp,
-        messageCount: 1
-      });
-      await batch.save();
-    }
+    await appendMessage(roomName, message);
     
     // Clean up old batches if we exceed the limit
     await cleanupOldMessages(roomName);
@@ -98,57 +233,1210 @@ async function addMessageToRoom(roomName, message) {
 }
 
 /**
- * Clean up old message batches to maintain the message limit per room
- * More efficient: deletes entire batches instead of individual messages
+ * Append a message to the history stored under `key`
+ * `fields` describe the conversation (e.g. DM participants)
+ */
+async function appendMessage(key, message, fields = {}) {
+  const timestamp = message.timestamp || Date.now();
+  message.id = message.id || crypto.randomUUID();
+
+  const storedMessage = {
+    id: message.id,
+    type: message.type,
+    from: message.from,
+    message: message.message,
+    timestamp: timestamp
+  };
+  if (message.pendingFor) {
+    storedMessage.pendingFor = message.pendingFor;
+  }
+  if (message.parentId) {
+    storedMessage.parentId = message.parentId;
+  }
+  if (message.attachments && message.attachments.length > 0) {
+    storedMessage.attachments = message.attachments;
+  }
+  if (message.mentions && message.mentions.length > 0) {
+    storedMessage.mentions = message.mentions;
+  }
+  if (message.nick) {
+    storedMessage.nick = message.nick;
+  }
+  if (message.emote) {
+    storedMessage.emote = true;
+  }
+  if (message.bot) {
+    storedMessage.bot = true;
+  }
+
+  await getStorage().appendMessage(key, storedMessage, fields);
+}
+
+/**
+ * Drop the oldest messages to maintain the room's retention limit
  */
 async function cleanupOldMessages(roomName) {
+  const retention = getRoomRetention(roomName);
+  if (retention === 0) return;
+
   try {
-    // Get total message count across all batches
-    const batches = await MessageBatch.find({ room: roomName })
-      .sort({ startTime: 1 })
-      .select('messageCount')
-      .lean();
-    
-    let totalMessages = batches.reduce((sum, b) => sum + b.messageCount, 0);
-    
-    // If we exceed the limit, delete oldest batches
-    if (totalMessages > MAX_MESSAGES_PER_ROOM) {
-      const batchesToDelete = [];
-      let messagesToRemove = totalMessages - MAX_MESSAGES_PER_ROOM;
-      
-      for (const batch of batches) {
-        if (messagesToRemove <= 0) break;
-        
-        batchesToDelete.push(batch._id);
-        messagesToRemove -= batch.messageCount;
+    await getStorage().trimMessages(roomName, retention);
+  } catch (error) {
+    console.error(`Error cleaning up old messages for room ${roomName}:`, error);
+  }
+}
+
+// ------------------------------
+// Direct (one-to-one) conversations
+// ------------------------------
+// Stored like rooms, under a key built from the sorted pair of
+// usernames. The "dm:" prefix can never collide with a room name.
+
+/**
+ * Key under which the conversation between two users is stored
+ */
+function getDirectConversationKey(userA, userB) {
+  const [first, second] = [userA, userB].sort();
+  return `dm:${encodeURIComponent(first)}:${encodeURIComponent(second)}`;
+}
+
+/**
+ * Store a direct message; `pending` marks it for delivery when the recipient next joins
+ * Assigns `message.id` like addMessageToRoom
+ */
+async function addDirectMessage(from, to, message, pending = false) {
+  const key = getDirectConversationKey(from, to);
+  message.id = message.id || crypto.randomUUID();
+
+  try {
+    await appendMessage(key, { ...message, pendingFor: pending ? to : undefined }, {
+      participants: [from, to].sort()
+    });
+    await cleanupOldMessages(key);
+  } catch (error) {
+    console.error(`Error adding direct message from ${from} to ${to}:`, error);
+  }
+}
+
+/**
+ * Load one page of a direct conversation, same paging rules as loadRoomHistoryPage
+ */
+async function loadDirectHistoryPage(userA, userB, before = null, limit = HISTORY_PAGE_SIZE, beforeId = null) {
+  try {
+    return await loadHistoryPage(getDirectConversationKey(userA, userB), before, limit, beforeId);
+  } catch (error) {
+    console.error(`Error loading direct history for ${userA} and ${userB}:`, error);
+    return { messages: [], hasMore: false };
+  }
+}
+
+/**
+ * Usernames `username` has a direct conversation with
+ */
+async function getDirectConversations(username) {
+  try {
+    const partners = await getStorage().getConversationPartners(username);
+    return partners.sort();
+  } catch (error) {
+    console.error(`Error loading direct conversations for ${username}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Fetch direct messages stored while `username` was offline and mark them delivered
+ * Returns messages oldest-first, each with `from` and `to`
+ */
+async function takePendingDirectMessages(username) {
+  try {
+    const pending = await getStorage().takePendingMessages(username);
+    return pending
+      .map(m => ({ ...m, to: username }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  } catch (error) {
+    console.error(`Error loading pending direct messages for ${username}:`, error);
+    return [];
+  }
+}
+
+// ------------------------------
+// Threads
+// ------------------------------
+// Replies are kept out of the room's own history, under a key derived from the
+// parent's ID (IDs are unique, so the key survives room renames). The parent
+// carries the reply count so room history can show it without loading threads.
+
+function getThreadKey(parentId) {
+  return `thread:${parentId}`;
+}
+
+/**
+ * Look up a chat message of a room that can be replied to
+ */
+async function findThreadParent(roomName, parentId) {
+  const parent = await getStorage().findMessage(roomName, parentId);
+  if (!parent || parent.type !== 'message' || parent.deleted) {
+    return null;
+  }
+  return parent;
+}
+
+/**
+ * Store a reply to a room message; assigns `message.id` like addMessageToRoom
+ * Returns: { success: boolean, error?: string, replyCount?: number }
+ */
+async function addReply(roomName, parentId, message) {
+  try {
+    const parent = isValidRoom(roomName) && await findThreadParent(roomName, parentId);
+    if (!parent) {
+      return { success: false, error: 'Message not found' };
+    }
+
+    const key = getThreadKey(parentId);
+    message.id = message.id || crypto.randomUUID();
+    message.parentId = parentId;
+    await appendMessage(key, message);
+    await cleanupOldMessages(key);
+
+    const replyCount = (parent.replyCount || 0) + 1;
+    await getStorage().updateMessage(roomName, parentId, { replyCount, lastReplyAt: message.timestamp });
+    return { success: true, replyCount };
+  } catch (error) {
+    console.error(`Error adding reply to message ${parentId} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not post reply' };
+  }
+}
+
+/**
+ * Load one page of a thread, same paging rules as loadRoomHistoryPage
+ * Returns: { messages: Array, hasMore: boolean } or null when the parent isn't in the room
+ */
+async function loadThreadPage(roomName, parentId, before = null, limit = HISTORY_PAGE_SIZE, beforeId = null) {
+  try {
+    if (!isValidRoom(roomName) || !(await getStorage().findMessage(roomName, parentId))) {
+      return null;
+    }
+    return await loadHistoryPage(getThreadKey(parentId), before, limit, beforeId);
+  } catch (error) {
+    console.error(`Error loading thread ${parentId} in room ${roomName}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Where a message of a room is stored: under the room, or for a reply (`parentId` given)
+ * under its thread. Null when the room or the thread's parent doesn't exist
+ */
+async function findMessageKey(roomName, parentId = null) {
+  if (!isValidRoom(roomName)) return null;
+  if (parentId === null) return roomName;
+  return (await getStorage().findMessage(roomName, parentId)) ? getThreadKey(parentId) : null;
+}
+
+/**
+ * Edit the text (and with it the mentions) of a chat message or, given `parentId`, a thread reply;
+ * only its author may edit it
+ * Returns: { success: boolean, error?: string, editedAt?: number }
+ */
+async function editMessageInRoom(roomName, messageId, requestedBy, text, mentions = [], parentId = null) {
+  try {
+    const key = await findMessageKey(roomName, parentId);
+    const { error } = await findOwnMessage(key, messageId, requestedBy);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const editedAt = Date.now();
+    await getStorage().updateMessage(key, messageId, { message: text, editedAt, mentions });
+    return { success: true, editedAt };
+  } catch (error) {
+    console.error(`Error editing message ${messageId} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not edit message' };
+  }
+}
+
+/**
+ * Delete a chat message or, given `parentId`, a thread reply, leaving a tombstone in its batch;
+ * only its author may delete it
+ * Returns: { success: boolean, error?: string }
+ */
+async function deleteMessageInRoom(roomName, messageId, requestedBy, parentId = null) {
+  try {
+    const key = await findMessageKey(roomName, parentId);
+    const { error } = await findOwnMessage(key, messageId, requestedBy);
+    if (error) {
+      return { success: false, error };
+    }
+
+    await getStorage().updateMessage(key, messageId, { message: '', deleted: true, attachments: [], preview: null });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error deleting message ${messageId} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not delete message' };
+  }
+}
+
+// ------------------------------
+// Export and import
+// ------------------------------
+// An export is a room's messages in timestamp order, each thread parent followed
+// by its replies (which carry `parentId`); importing one puts every message back
+// under the key it came from.
+
+/**
+ * Every stored message of a room, archived or not, from `from` to `to` (timestamps, inclusive;
+ * null for no limit), with the replies of the thread parents in that range
+ * Returns: { success: boolean, error?: string, messages?: Array }
+ */
+async function exportRoomMessages(roomName, { from = null, to = null } = {}) {
+  try {
+    const storage = getStorage();
+    if (!isValidRoom(roomName) && !(await storage.findRoom(roomName))) {
+      return { success: false, error: `Invalid room: ${roomName}` };
+    }
+
+    const messages = [];
+    for (const message of await storage.loadRange(roomName, from, to)) {
+      messages.push(message);
+      if (message.replyCount > 0) {
+        messages.push(...await storage.loadRange(getThreadKey(message.id), null, null));
+      }
+    }
+    return { success: true, messages };
+  } catch (error) {
+    console.error(`Error exporting room ${roomName}:`, error);
+    return { success: false, error: 'Could not export room history' };
+  }
+}
+
+/**
+ * ID of a message imported into `roomName` from elsewhere. Threads are stored under their parent's
+ * ID alone, so a room must not reuse another room's message IDs; deriving the new ID from the room
+ * and the original one keeps importing the same export twice from adding anything
+ */
+function getImportedId(roomName, id) {
+  const hash = crypto.createHash('sha256').update(`${roomName}\n${id}`).digest('hex');
+  return [hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32)].join('-');
+}
+
+/**
+ * Add exported messages to a room, replies to their threads. Messages the room already has (same ID)
+ * are skipped; the others get IDs of their own (see getImportedId), which replies follow. Replies to
+ * messages neither imported nor in the room are skipped too; the room's retention applies afterwards
+ * Returns: { success: boolean, error?: string, imported?: number }
+ */
+async function importRoomMessages(roomName, messages) {
+  if (!isValidRoom(roomName)) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+
+  try {
+    const storage = getStorage();
+    const topLevel = messages.filter(m => !m.parentId);
+    const present = new Set(await storage.findMessageIds(roomName, topLevel.map(m => m.id)));
+
+    // Original ID -> ID in this room (null when the room doesn't have it)
+    const ids = new Map(topLevel.map(m => [m.id, present.has(m.id) ? m.id : getImportedId(roomName, m.id)]));
+    const findParent = async (parentId) => {
+      if (!ids.has(parentId)) {
+        // Not imported now: the room may have it already, under its own ID or from an earlier import
+        const candidates = [parentId, getImportedId(roomName, parentId)];
+        const found = await storage.findMessageIds(roomName, candidates);
+        ids.set(parentId, candidates.find(id => found.includes(id)) || null);
       }
-      
-      if (batchesToDelete.length > 0) {
-        await MessageBatch.deleteMany({ _id: { $in: batchesToDelete } });
+      return ids.get(parentId);
+    };
+
+    // Key -> messages to import under it, room history first
+    const groups = new Map([[roomName, []]]);
+    for (const message of messages) {
+      if (!message.parentId) {
+        groups.get(roomName).push({ ...message, id: ids.get(message.id) });
+        continue;
       }
+
+      const parentId = await findParent(message.parentId);
+      if (!parentId) continue;
+      const key = getThreadKey(parentId);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ ...message, parentId });
+    }
+
+    let imported = 0;
+    for (const [key, group] of groups) {
+      if (group.length === 0) continue;
+      imported += await storage.importMessages(key, group);
+      await cleanupOldMessages(key);
     }
+    return { success: true, imported };
   } catch (error) {
-    console.error(`Error cleaning up old messages for room ${roomName}:`, error);
+    console.error(`Error importing into room ${roomName}:`, error);
+    return { success: false, error: 'Could not import room history' };
   }
 }
 
+// ------------------------------
+// Reactions
+// ------------------------------
+
+// Different emoji one message can collect
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
 /**
- * Get list of available rooms
+ * Add or remove `username`'s `emoji` reaction on a chat message or, given `parentId`, a thread reply
+ * Reactions are stored on the message as [{ emoji, users: [username] }]
+ * Returns: { success: boolean, error?: string, changed?: boolean, count?: number }
  */
-function getAvailableRooms() {
-  return [...AVAILABLE_ROOMS];
+async function setReaction(roomName, messageId, username, emoji, add, parentId = null) {
+  try {
+    const storage = getStorage();
+    const key = await findMessageKey(roomName, parentId);
+    const message = key && await storage.findMessage(key, messageId);
+    if (!message || message.type !== 'message' || message.deleted) {
+      return { success: false, error: 'Message not found' };
+    }
+
+    const reactions = (message.reactions || []).map(r => ({ emoji: r.emoji, users: [...r.users] }));
+    let reaction = reactions.find(r => r.emoji === emoji);
+    const reacted = !!reaction && reaction.users.includes(username);
+    if (reacted === add) {
+      // Nothing to do (e.g. a double click); not an error
+      return { success: true, changed: false, count: reaction ? reaction.users.length : 0 };
+    }
+
+    if (add) {
+      if (!reaction) {
+        if (reactions.length >= MAX_REACTIONS_PER_MESSAGE) {
+          return { success: false, error: `A message can have at most ${MAX_REACTIONS_PER_MESSAGE} different reactions` };
+        }
+        reaction = { emoji, users: [] };
+        reactions.push(reaction);
+      }
+      reaction.users.push(username);
+    } else {
+      reaction.users = reaction.users.filter(name => name !== username);
+    }
+
+    await storage.updateMessage(key, messageId, {
+      reactions: reactions.filter(r => r.users.length > 0)
+    });
+    return { success: true, changed: true, count: reaction.users.length };
+  } catch (error) {
+    console.error(`Error updating reactions on message ${messageId} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not update reaction' };
+  }
+}
+
+/**
+ * Store the link preview of a room message (null removes it), unless the message has since been
+ * edited to other text or deleted; nothing changes when there was no preview and there still is none
+ * Returns: { updated: boolean }
+ */
+async function setLinkPreview(roomName, messageId, text, preview) {
+  try {
+    const storage = getStorage();
+    const message = isValidRoom(roomName) && await storage.findMessage(roomName, messageId);
+    if (!message || message.deleted || message.message !== text || (!message.preview && !preview)) {
+      return { updated: false };
+    }
+
+    await storage.updateMessage(roomName, messageId, { preview });
+    return { updated: true };
+  } catch (error) {
+    console.error(`Error storing the link preview of message ${messageId} in room ${roomName}:`, error);
+    return { updated: false };
+  }
+}
+
+/**
+ * Look up a live chat message stored under `key` (see findMessageKey) and check that `requestedBy` wrote it
+ * Returns: { message?: object, error?: string }
+ */
+async function findOwnMessage(key, messageId, requestedBy) {
+  const message = key && await getStorage().findMessage(key, messageId);
+  if (!message || message.type !== 'message' || message.deleted) {
+    return { error: 'Message not found' };
+  }
+  if (message.from !== requestedBy) {
+    return { error: 'You can only change your own messages' };
+  }
+  return { message };
+}
+
+/**
+ * Create a new room, optionally with its own retention (messages kept, 0 for unlimited)
+ * and visibility ('private' or 'password', which needs a `password`; public by default)
+ * Returns: { success: boolean, error?: string }
+ */
+async function createRoom(roomName, createdBy, retention = null, { visibility = 'public', password } = {}) {
+  if (visibility === 'password' && !password) {
+    return { success: false, error: 'Password-protected rooms need a password' };
+  }
+
+  try {
+    const existing = await getStorage().findRoom(roomName);
+    if (existing) {
+      const suffix = existing.archived ? ' (archived)' : '';
+      return { success: false, error: `Room '${roomName}' already exists${suffix}` };
+    }
+
+    const passwordHash = visibility === 'password' ? await hashPassword(password) : null;
+    await getStorage().createRoom({ name: roomName, createdBy, retention, visibility, passwordHash });
+    activeRooms.set(roomName, toCacheEntry({ createdBy, retention, visibility, passwordHash }));
+    return { success: true };
+  } catch (error) {
+    console.error(`Error creating room ${roomName}:`, error);
+    return { success: false, error: 'Could not create room' };
+  }
+}
+
+/**
+ * Rename a room owned by `requestedBy`, carrying its message history over
+ * Returns: { success: boolean, error?: string }
+ */
+async function renameRoom(roomName, newName, requestedBy) {
+  try {
+    const storage = getStorage();
+    if (!isValidRoom(roomName)) {
+      return { success: false, error: `Invalid room: ${roomName}` };
+    }
+    if (getRoomRole(roomName, requestedBy) !== 'owner') {
+      return { success: false, error: 'Only the room owner can rename this room' };
+    }
+    if (await storage.findRoom(newName)) {
+      return { success: false, error: `Room '${newName}' already exists` };
+    }
+
+    await storage.renameRoom(roomName, newName);
+
+    // Rebuild the cache so the renamed room keeps its position in the list
+    activeRooms = new Map(
+      [...activeRooms].map(([name, info]) => [name === roomName ? newName : name, info])
+    );
+    return { success: true };
+  } catch (error) {
+    console.error(`Error renaming room ${roomName}:`, error);
+    return { success: false, error: 'Could not rename room' };
+  }
+}
+
+/**
+ * Archive a room owned by `requestedBy`; its history is kept but it can no longer be joined
+ * Returns: { success: boolean, error?: string }
+ */
+async function archiveRoom(roomName, requestedBy) {
+  try {
+    if (!isValidRoom(roomName)) {
+      return { success: false, error: `Invalid room: ${roomName}` };
+    }
+    if (getRoomRole(roomName, requestedBy) !== 'owner') {
+      return { success: false, error: 'Only the room owner can archive this room' };
+    }
+
+    await getStorage().updateRoom(roomName, { archived: true });
+
+    activeRooms.delete(roomName);
+    return { success: true };
+  } catch (error) {
+    console.error(`Error archiving room ${roomName}:`, error);
+    return { success: false, error: 'Could not archive room' };
+  }
+}
+
+// ------------------------------
+// Moderation
+// ------------------------------
+
+/**
+ * Role of a user in a room: 'owner', 'moderator' or 'member'
+ */
+function getRoomRole(roomName, username) {
+  const room = activeRooms.get(roomName);
+  return room ? roleIn(room, username) : 'member';
+}
+
+// A user's role in a room's cache entry (see toCacheEntry)
+function roleIn(room, username) {
+  if (room.createdBy === username || CHAT_ADMINS.includes(username)) return 'owner';
+  if (room.moderators.has(username)) return 'moderator';
+  return 'member';
+}
+
+/**
+ * Whether `actor` may moderate `target` in a room: moderators act on members,
+ * owners on moderators and members; nobody acts on themselves or on owners
+ */
+function canModerate(roomName, actor, target) {
+  if (actor === target) return false;
+  const actorRank = ROLE_RANK[getRoomRole(roomName, actor)];
+  const targetRank = ROLE_RANK[getRoomRole(roomName, target)];
+  return actorRank >= ROLE_RANK.moderator && actorRank > targetRank;
+}
+
+/**
+ * Promote a user to moderator or demote them to member
+ * Returns: { success: boolean, error?: string }
+ */
+async function setRoomRole(roomName, username, role) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+
+  try {
+    const moderators = new Set(room.moderators);
+    if (role === 'moderator') {
+      moderators.add(username);
+    } else {
+      moderators.delete(username);
+    }
+    await getStorage().updateRoom(roomName, { moderators: [...moderators] });
+
+    room.moderators = moderators;
+    return { success: true };
+  } catch (error) {
+    console.error(`Error setting role of ${username} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not change role' };
+  }
+}
+
+/**
+ * Ban or unban a user from a room
+ * Returns: { success: boolean, error?: string }
+ */
+async function setRoomBan(roomName, username, banned) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+
+  try {
+    const bannedUsers = new Set(room.banned);
+    if (banned) {
+      bannedUsers.add(username);
+    } else {
+      bannedUsers.delete(username);
+    }
+    await getStorage().updateRoom(roomName, { banned: [...bannedUsers] });
+
+    room.banned = bannedUsers;
+    return { success: true };
+  } catch (error) {
+    console.error(`Error updating ban for ${username} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not update ban' };
+  }
+}
+
+/**
+ * Mute a user in a room until the given timestamp
+ * Returns: { success: boolean, error?: string }
+ */
+async function muteUser(roomName, username, until) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+
+  try {
+    // Replace any existing mute and drop expired ones while we're at it
+    const now = Date.now();
+    const mutes = new Map([...room.mutes].filter(([, mutedUntil]) => mutedUntil > now));
+    mutes.set(username, until);
+    await getStorage().updateRoom(roomName, {
+      mutes: [...mutes].map(([name, mutedUntil]) => ({ username: name, until: mutedUntil }))
+    });
+
+    room.mutes = mutes;
+    return { success: true };
+  } catch (error) {
+    console.error(`Error muting ${username} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not mute user' };
+  }
+}
+
+/**
+ * Whether a user's role in a room is at least `role`
+ */
+function hasRoomRole(roomName, username, role) {
+  return ROLE_RANK[getRoomRole(roomName, username)] >= ROLE_RANK[role];
+}
+
+function isBanned(roomName, username) {
+  const room = activeRooms.get(roomName);
+  return !!room && room.banned.has(username);
+}
+
+/**
+ * Timestamp until which a user is muted in a room, or null if they aren't
+ */
+function getMutedUntil(roomName, username) {
+  const room = activeRooms.get(roomName);
+  const until = room && room.mutes.get(username);
+  if (!until) return null;
+
+  if (until <= Date.now()) {
+    room.mutes.delete(username);
+    return null;
+  }
+  return until;
+}
+
+// ------------------------------
+// Access
+// ------------------------------
+
+function getRoomVisibility(roomName) {
+  const room = activeRooms.get(roomName);
+  return room ? room.visibility : null;
+}
+
+/**
+ * Whether a user may join a room and read its history: it must exist, they must not be banned, and
+ * non-public rooms also need the user to be an owner, a moderator or on the member list
+ */
+function canAccessRoom(roomName, username) {
+  const room = activeRooms.get(roomName);
+  return !!room && canAccess(room, username);
+}
+
+function canAccess(room, username) {
+  if (room.banned.has(username)) return false;
+  return room.visibility === 'public' || room.members.has(username) ||
+    ROLE_RANK[roleIn(room, username)] >= ROLE_RANK.moderator;
+}
+
+/**
+ * Whether a user may export a room's history: the canAccessRoom check, applied to archived rooms
+ * too (looked up in storage, since only active rooms are cached)
+ */
+async function canExportRoom(roomName, username) {
+  if (isValidRoom(roomName)) return canAccessRoom(roomName, username);
+
+  try {
+    const room = await getStorage().findRoom(roomName);
+    return !!room && canAccess(toCacheEntry(room), username);
+  } catch (error) {
+    console.error(`Error looking up room ${roomName}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Whether a room shows up in a user's room list: private rooms only for those who can enter them
+ */
+function canSeeRoom(roomName, username) {
+  const room = activeRooms.get(roomName);
+  return !!room && (room.visibility !== 'private' || canAccessRoom(roomName, username));
+}
+
+async function checkRoomPassword(roomName, password) {
+  const room = activeRooms.get(roomName);
+  if (!room || room.visibility !== 'password' || !room.passwordHash) return false;
+
+  try {
+    return await verifyPassword(password, room.passwordHash);
+  } catch (error) {
+    console.error(`Error checking the password of room ${roomName}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Change who can join a room. A new `password` is required when switching to 'password' (and replaces
+ * the old one if given again). `keepMembers` (e.g. everyone in the room right now) are added to the member
+ * list, so making a room private doesn't lock its current members out
+ * Returns: { success: boolean, error?: string }
+ */
+async function setRoomAccess(roomName, visibility, password, keepMembers = []) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+  if (!ROOM_VISIBILITIES.includes(visibility)) {
+    return { success: false, error: `Visibility must be one of: ${ROOM_VISIBILITIES.join(', ')}` };
+  }
+  if (visibility === 'password' && !password && !room.passwordHash) {
+    return { success: false, error: 'Password-protected rooms need a password' };
+  }
+
+  try {
+    const members = new Set([...room.members, ...keepMembers]);
+    const passwordHash = visibility !== 'password' ? null
+      : password ? await hashPassword(password) : room.passwordHash;
+    await getStorage().updateRoom(roomName, { visibility, passwordHash, members: [...members] });
+
+    Object.assign(room, { visibility, passwordHash, members });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error changing access to room ${roomName}:`, error);
+    return { success: false, error: 'Could not change room access' };
+  }
+}
+
+/**
+ * Add a user to (or take them off) a room's member list
+ * Returns: { success: boolean, error?: string }
+ */
+async function setRoomMember(roomName, username, member) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+
+  try {
+    const members = new Set(room.members);
+    if (member) {
+      members.add(username);
+    } else {
+      members.delete(username);
+    }
+    await getStorage().updateRoom(roomName, { members: [...members] });
+
+    room.members = members;
+    return { success: true };
+  } catch (error) {
+    console.error(`Error updating access of ${username} to room ${roomName}:`, error);
+    return { success: false, error: 'Could not update room access' };
+  }
+}
+
+function isRoomMember(roomName, username) {
+  const room = activeRooms.get(roomName);
+  return !!room && room.members.has(username);
+}
+
+// ------------------------------
+// Room info and pins
+// ------------------------------
+
+/**
+ * A room's topic and description, or null for an unknown room
+ */
+function getRoomInfo(roomName) {
+  const room = activeRooms.get(roomName);
+  return room ? { topic: room.topic, description: room.description } : null;
+}
+
+/**
+ * Change a room's topic and/or description (fields left undefined keep their value)
+ * Returns: { success: boolean, error?: string }
+ */
+async function setRoomInfo(roomName, { topic, description }) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+  if (topic !== undefined && topic.length > MAX_TOPIC_LENGTH) {
+    return { success: false, error: `Topics are limited to ${MAX_TOPIC_LENGTH} characters` };
+  }
+  if (description !== undefined && description.length > MAX_DESCRIPTION_LENGTH) {
+    return { success: false, error: `Descriptions are limited to ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+
+  const fields = {};
+  if (topic !== undefined) fields.topic = topic;
+  if (description !== undefined) fields.description = description;
+
+  try {
+    await getStorage().updateRoom(roomName, fields);
+
+    Object.assign(room, fields);
+    return { success: true };
+  } catch (error) {
+    console.error(`Error updating info of room ${roomName}:`, error);
+    return { success: false, error: 'Could not update room info' };
+  }
+}
+
+function isPinned(roomName, messageId) {
+  const room = activeRooms.get(roomName);
+  return !!room && room.pins.some(pin => pin.messageId === messageId);
+}
+
+/**
+ * The pinned messages of a room that still exist, oldest pin first, each with `pinnedBy` and `pinnedAt`
+ */
+async function getPinnedMessages(roomName) {
+  const room = activeRooms.get(roomName);
+  if (!room) return [];
+
+  try {
+    const storage = getStorage();
+    const pinned = [];
+    for (const { messageId, pinnedBy, pinnedAt } of room.pins) {
+      const message = await storage.findMessage(roomName, messageId);
+      if (message && !message.deleted) {
+        pinned.push({ ...message, pinnedBy, pinnedAt });
+      }
+    }
+    return pinned;
+  } catch (error) {
+    console.error(`Error loading pinned messages of room ${roomName}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Pin a chat message; pins of messages that were deleted or trimmed away don't count towards the limit
+ * Returns: { success: boolean, error?: string }
+ */
+async function pinMessage(roomName, messageId, pinnedBy) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+  if (isPinned(roomName, messageId)) {
+    return { success: false, error: 'That message is already pinned' };
+  }
+
+  try {
+    const storage = getStorage();
+    const message = await storage.findMessage(roomName, messageId);
+    if (!message || message.type !== 'message' || message.deleted) {
+      return { success: false, error: 'Message not found' };
+    }
+
+    const pins = [];
+    for (const pin of room.pins) {
+      const pinnedMessage = await storage.findMessage(roomName, pin.messageId);
+      if (pinnedMessage && !pinnedMessage.deleted) {
+        pins.push(pin);
+      }
+    }
+    if (pins.length >= MAX_PINS_PER_ROOM) {
+      return { success: false, error: `A room can have at most ${MAX_PINS_PER_ROOM} pinned messages` };
+    }
+
+    pins.push({ messageId, pinnedBy, pinnedAt: Date.now() });
+    await storage.updateRoom(roomName, { pins });
+
+    room.pins = pins;
+    return { success: true };
+  } catch (error) {
+    console.error(`Error pinning message ${messageId} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not pin message' };
+  }
+}
+
+/**
+ * Returns: { success: boolean, error?: string }
+ */
+async function unpinMessage(roomName, messageId) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+  if (!isPinned(roomName, messageId)) {
+    return { success: false, error: 'That message is not pinned' };
+  }
+
+  try {
+    const pins = room.pins.filter(pin => pin.messageId !== messageId);
+    await getStorage().updateRoom(roomName, { pins });
+
+    room.pins = pins;
+    return { success: true };
+  } catch (error) {
+    console.error(`Error unpinning message ${messageId} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not unpin message' };
+  }
+}
+
+// ------------------------------
+// Integrations
+// ------------------------------
+
+function hashBotToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Outgoing webhooks of a room, secrets included (for delivery, never for display)
+ */
+function getRoomWebhooks(roomName) {
+  const room = activeRooms.get(roomName);
+  return room ? room.webhooks : [];
+}
+
+/**
+ * A room's webhooks and bots as shown to its owner, without secrets or token hashes
+ */
+function listIntegrations(roomName) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { webhooks: [], bots: [] };
+  }
+  return {
+    webhooks: room.webhooks.map(({ id, url, createdBy, createdAt }) => ({ id, url, createdBy, createdAt })),
+    bots: room.bots.map(({ id, name, commands, createdBy, createdAt }) => ({
+      id,
+      name,
+      commands: (commands || []).map(command => command.name),
+      createdBy,
+      createdAt
+    }))
+  };
+}
+
+/**
+ * Add an outgoing webhook with a new signing secret; this is the only time the secret is handed out
+ * Returns: { success: boolean, error?: string, webhook?: { id, url, secret, createdBy, createdAt } }
+ */
+async function addWebhook(roomName, url, createdBy) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+  if (room.webhooks.length >= MAX_WEBHOOKS_PER_ROOM) {
+    return { success: false, error: `A room can have at most ${MAX_WEBHOOKS_PER_ROOM} webhooks` };
+  }
+
+  try {
+    const webhook = {
+      id: crypto.randomUUID(),
+      url,
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdBy,
+      createdAt: Date.now()
+    };
+    const webhooks = [...room.webhooks, webhook];
+    await getStorage().updateRoom(roomName, { webhooks });
+
+    room.webhooks = webhooks;
+    return { success: true, webhook };
+  } catch (error) {
+    console.error(`Error adding webhook to room ${roomName}:`, error);
+    return { success: false, error: 'Could not add webhook' };
+  }
+}
+
+/**
+ * Returns: { success: boolean, error?: string }
+ */
+async function removeWebhook(roomName, webhookId) {
+  const room = activeRooms.get(roomName);
+  if (!room || !room.webhooks.some(webhook => webhook.id === webhookId)) {
+    return { success: false, error: 'Webhook not found' };
+  }
+
+  try {
+    const webhooks = room.webhooks.filter(webhook => webhook.id !== webhookId);
+    await getStorage().updateRoom(roomName, { webhooks });
+
+    room.webhooks = webhooks;
+    return { success: true };
+  } catch (error) {
+    console.error(`Error removing webhook from room ${roomName}:`, error);
+    return { success: false, error: 'Could not remove webhook' };
+  }
+}
+
+/**
+ * Add a bot that posts to the room with an incoming webhook token; this is the only time the token is handed out
+ * Returns: { success: boolean, error?: string, bot?: { id, name, createdBy, createdAt }, token?: string }
+ */
+async function addBot(roomName, name, createdBy) {
+  const room = activeRooms.get(roomName);
+  if (!room) {
+    return { success: false, error: `Invalid room: ${roomName}` };
+  }
+  if (room.bots.length >= MAX_BOTS_PER_ROOM) {
+    return { success: false, error: `A room can have at most ${MAX_BOTS_PER_ROOM} bots` };
+  }
+  if (room.bots.some(bot => bot.name === name)) {
+    return { success: false, error: `There is already a bot named '${name}' in ${roomName}` };
+  }
+
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+    const bot = { id: crypto.randomUUID(), name, createdBy, createdAt: Date.now() };
+    const bots = [...room.bots, { ...bot, tokenHash: hashBotToken(token) }];
+    await getStorage().updateRoom(roomName, { bots });
+
+    room.bots = bots;
+    return { success: true, bot, token };
+  } catch (error) {
+    console.error(`Error adding bot to room ${roomName}:`, error);
+    return { success: false, error: 'Could not add bot' };
+  }
+}
+
+/**
+ * Remove a bot; its token stops working
+ * Returns: { success: boolean, error?: string }
+ */
+async function removeBot(roomName, botId) {
+  const room = activeRooms.get(roomName);
+  if (!room || !room.bots.some(bot => bot.id === botId)) {
+    return { success: false, error: 'Bot not found' };
+  }
+
+  try {
+    const bots = room.bots.filter(bot => bot.id !== botId);
+    await getStorage().updateRoom(roomName, { bots });
+
+    room.bots = bots;
+    return { success: true };
+  } catch (error) {
+    console.error(`Error removing bot from room ${roomName}:`, error);
+    return { success: false, error: 'Could not remove bot' };
+  }
+}
+
+/**
+ * Slash commands registered by a room's bots, each with the bot it belongs to as `bot: { id, name }`
+ */
+function getBotCommands(roomName) {
+  const room = activeRooms.get(roomName);
+  if (!room) return [];
+
+  return room.bots.flatMap(bot => (bot.commands || []).map(command => ({
+    ...command,
+    bot: { id: bot.id, name: bot.name }
+  })));
+}
+
+/**
+ * Replace the slash commands a bot handles (already validated by the caller)
+ * Returns: { success: boolean, error?: string }
+ */
+async function setBotCommands(roomName, botId, commands) {
+  const room = activeRooms.get(roomName);
+  const bot = room && room.bots.find(candidate => candidate.id === botId);
+  if (!bot) {
+    return { success: false, error: 'Bot not found' };
+  }
+  if (commands.length > MAX_COMMANDS_PER_BOT) {
+    return { success: false, error: `A bot can register at most ${MAX_COMMANDS_PER_BOT} commands` };
+  }
+  const taken = commands.find(command =>
+    room.bots.some(other => other.id !== botId && (other.commands || []).some(c => c.name === command.name))
+  );
+  if (taken) {
+    return { success: false, error: `Another bot in ${roomName} already handles /${taken.name}` };
+  }
+
+  try {
+    const bots = room.bots.map(candidate => (candidate.id === botId ? { ...candidate, commands } : candidate));
+    await getStorage().updateRoom(roomName, { bots });
+
+    room.bots = bots;
+    return { success: true };
+  } catch (error) {
+    console.error(`Error setting commands of bot ${botId} in room ${roomName}:`, error);
+    return { success: false, error: 'Could not register commands' };
+  }
+}
+
+/**
+ * The bot an incoming webhook token belongs to, as { room, id, name }, or null
+ */
+function findBotByToken(token) {
+  const tokenHash = hashBotToken(token);
+  for (const [roomName, room] of activeRooms) {
+    const bot = room.bots.find(candidate => candidate.tokenHash === tokenHash);
+    if (bot) {
+      return { room: roomName, id: bot.id, name: bot.name };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a bot in any room goes by `name` (bots and users share one namespace)
+ */
+function isBotName(name) {
+  return [...activeRooms.values()].some(room => room.bots.some(bot => bot.name === name));
+}
+
+/**
+ * Get list of available rooms
+ */
+function getAvailableRooms() {
+  return [...activeRooms.keys()];
+}
+
+/**
+ * The rooms a user's room list shows, with what it shows about them:
+ * [{ name, topic, description, visibility, locked }] - `locked` rooms need the password to join
+ */
+function getRoomSummaries(username) {
+  return [...activeRooms]
+    .filter(([name]) => canSeeRoom(name, username))
+    .map(([name, room]) => ({
+      name,
+      topic: room.topic,
+      description: room.description,
+      visibility: room.visibility,
+      locked: !canAccessRoom(name, username)
+    }));
 }
 
 /**
  * Check if a room name is valid
  */
 function isValidRoom(roomName) {
-  return AVAILABLE_ROOMS.includes(roomName);
+  return activeRooms.has(roomName);
 }
 
 module.exports = {
+  initializeRooms,
+  reloadRooms,
   loadRoomHistory,
+  loadRoomHistoryPage,
+  loadRoomMessagesSince,
+  searchRoomMessages,
+  loadMessageContext,
   addMessageToRoom,
+  editMessageInRoom,
+  deleteMessageInRoom,
+  setReaction,
+  setLinkPreview,
+  addDirectMessage,
+  loadDirectHistoryPage,
+  getDirectConversations,
+  takePendingDirectMessages,
+  addReply,
+  loadThreadPage,
+  exportRoomMessages,
+  importRoomMessages,
+  createRoom,
+  renameRoom,
+  archiveRoom,
   getAvailableRooms,
-  isValidRoom
+  getRoomSummaries,
+  isValidRoom,
+  getRoomRole,
+  canModerate,
+  setRoomRole,
+  setRoomBan,
+  muteUser,
+  isBanned,
+  getMutedUntil,
+  hasRoomRole,
+  getRoomVisibility,
+  canAccessRoom,
+  canExportRoom,
+  canSeeRoom,
+  checkRoomPassword,
+  setRoomAccess,
+  setRoomMember,
+  isRoomMember,
+  getRoomInfo,
+  setRoomInfo,
+  isPinned,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  getRoomWebhooks,
+  listIntegrations,
+  addWebhook,
+  removeWebhook,
+  addBot,
+  removeBot,
+  getBotCommands,
+  setBotCommands,
+  findBotByToken,
+  isBotName,
+  INITIAL_HISTORY_SIZE
 };
\ No newline at end of file
@@ -0,0 +1,96 @@
+// backend/src/utils/userPersistence.js
+// Persistence for user accounts on top of the configured storage adapter
+
+const { getStorage } = require('../storage');
+const { hashPassword, verifyPassword } = require('./auth');
+
+/**
+ * Create an account
+ * Returns: { success: boolean, error?: string }
+ */
+async function registerUser(username, password) {
+  try {
+    const storage = getStorage();
+    const taken = await storage.findUser(username) || await storage.findUserByNickname(username) ||
+      !(await storage.createUser({ username, passwordHash: await hashPassword(password) }));
+    if (taken) {
+      return { success: false, error: `Username '${username}' is already taken` };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error(`Error registering user ${username}:`, error);
+    return { success: false, error: 'Could not register user' };
+  }
+}
+
+/**
+ * Check a username/password pair
+ * Returns: { success: boolean, error?: string }
+ */
+async function authenticateUser(username, password) {
+  try {
+    const user = await getStorage().findUser(username);
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return { success: false, error: 'Invalid username or password' };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error(`Error authenticating user ${username}:`, error);
+    return { success: false, error: 'Could not log in' };
+  }
+}
+
+/**
+ * Check whether an account exists
+ */
+async function userExists(username) {
+  try {
+    return !!(await getStorage().findUser(username));
+  } catch (error) {
+    console.error(`Error looking up user ${username}:`, error);
+    return false;
+  }
+}
+
+/**
+ * A user's nickname, or null if they haven't set one
+ */
+async function getNickname(username) {
+  try {
+    const user = await getStorage().findUser(username);
+    return (user && user.nickname) || null;
+  } catch (error) {
+    console.error(`Error looking up nickname of ${username}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Set a user's nickname, or clear it with null
+ * The nickname can't be another user's username or nickname
+ * Returns: { success: boolean, error?: string }
+ */
+async function setNickname(username, nickname) {
+  try {
+    const storage = getStorage();
+    if (nickname !== null) {
+      const owner = await storage.findUser(nickname) || await storage.findUserByNickname(nickname);
+      if (owner && owner.username !== username) {
+        return { success: false, error: `'${nickname}' is someone else's name` };
+      }
+    }
+    await storage.updateUser(username, { nickname });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error setting nickname of ${username}:`, error);
+    return { success: false, error: 'Could not change nickname' };
+  }
+}
+
+module.exports = {
+  registerUser,
+  authenticateUser,
+  userExists,
+  getNickname,
+  setNickname
+};
@@ -2,6 +2,91 @@
 // Validation for incoming client messages.
 
 const MESSAGE_TYPES = require("../messageTypes");
+const {
+  MAX_HISTORY_PAGE_SIZE,
+  MAX_SEARCH_PAGE_SIZE,
+  ROOM_VISIBILITIES,
+  MAX_TOPIC_LENGTH,
+  MAX_DESCRIPTION_LENGTH
+} = require("./roomLimits");
+
+// Room names: lowercase letters, digits, '-' and '_', starting with a letter or digit
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+
+const MAX_MUTE_SECONDS = 7 * 24 * 60 * 60;
+
+const MAX_ROOM_PASSWORD_LENGTH = 100;
+
+// A single emoji: pictographs or flags, optionally joined (ZWJ) and with skin tone / variation selectors
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Regional_Indicator}][\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\u200d\ufe0f]*$/u;
+const MAX_EMOJI_LENGTH = 16;
+
+// Limits on what a client may send
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || 2000; // characters of chat text
+const MAX_FRAME_BYTES = parseInt(process.env.MAX_FRAME_BYTES, 10) || 16 * 1024;   // raw WebSocket frame
+
+/**
+ * Validate the size of a raw frame before it is parsed.
+ * Returns: { valid: boolean, error?: string }
+ */
+function validateFrame(data) {
+  if (data.length > MAX_FRAME_BYTES) {
+    return { valid: false, error: `Message frame exceeds ${MAX_FRAME_BYTES} bytes` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validate chat text: non-empty and within the length limit.
+ */
+function validateText(text) {
+  if (typeof text !== "string" || text.trim().length === 0) {
+    return { valid: false, error: "Non-empty 'text' is required" };
+  }
+  if (text.trim().length > MAX_MESSAGE_LENGTH) {
+    return { valid: false, error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validate the optional 'room' of messages that otherwise go to the sender's current room.
+ */
+function validateTargetRoom(msg) {
+  if (msg.room !== undefined && (typeof msg.room !== "string" || msg.room.trim().length === 0)) {
+    return { valid: false, error: "'room' must be a room name" };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validate the message an edit, delete or reaction is for: `messageId`, plus `parentId`
+ * when it's a thread reply, and the optional `room`.
+ */
+function validateMessageTarget(msg) {
+  if (typeof msg.messageId !== "string" || msg.messageId.length === 0) {
+    return { valid: false, error: `Valid 'messageId' is required for ${msg.type}` };
+  }
+  if (msg.parentId !== undefined && (typeof msg.parentId !== "string" || msg.parentId.length === 0)) {
+    return { valid: false, error: "'parentId' must be a message ID" };
+  }
+  return validateTargetRoom(msg);
+}
+
+/**
+ * Validate an optional room password: non-empty text of bounded length.
+ */
+function validateRoomPassword(password) {
+  if (password !== undefined &&
+      (typeof password !== "string" || password.length === 0 || password.length > MAX_ROOM_PASSWORD_LENGTH)) {
+    return { valid: false, error: `'password' must be 1-${MAX_ROOM_PASSWORD_LENGTH} characters` };
+  }
+  return { valid: true };
+}
 
 /**
  * Validate a parsed message object from the client.
@@ -17,27 +102,283 @@ function validateMessage(msg) {
   }
 
   switch (msg.type) {
-    case MESSAGE_TYPES.JOIN: {
-      if (typeof msg.name !== "string" || msg.name.trim().length === 0) {
-        return { valid: false, error: "Valid 'name' is required for join" };
+    case MESSAGE_TYPES.JOIN_ROOM:
+    case MESSAGE_TYPES.SUBSCRIBE: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: `Valid 'room' is required for ${msg.type}` };
       }
-      return { valid: true };
+      // Optional: timestamp of the last message seen before a reconnect
+      if (msg.since !== undefined && (typeof msg.since !== "number" || !Number.isFinite(msg.since))) {
+        return { valid: false, error: "'since' must be a timestamp" };
+      }
+      return validateRoomPassword(msg.password);
     }
 
-    case MESSAGE_TYPES.JOIN_ROOM: {
+    case MESSAGE_TYPES.UNSUBSCRIBE: {
       if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
-        return { valid: false, error: "Valid 'room' is required for join_room" };
+        return { valid: false, error: "Valid 'room' is required for unsubscribe" };
       }
       return { valid: true };
     }
 
     case MESSAGE_TYPES.CHAT: {
-      if (typeof msg.text !== "string" || msg.text.trim().length === 0) {
-        return { valid: false, error: "Non-empty 'text' is required" };
+      const roomCheck = validateTargetRoom(msg);
+      if (!roomCheck.valid) return roomCheck;
+
+      // Optional: IDs returned by POST /api/attachments; the text may then be left out
+      if (msg.attachments !== undefined) {
+        if (!Array.isArray(msg.attachments) || msg.attachments.length === 0 ||
+            msg.attachments.length > MAX_ATTACHMENTS_PER_MESSAGE ||
+            !msg.attachments.every(id => typeof id === "string" && id.length > 0)) {
+          return { valid: false, error: `'attachments' must list 1 to ${MAX_ATTACHMENTS_PER_MESSAGE} attachment IDs` };
+        }
+        if (msg.text === undefined || (typeof msg.text === "string" && msg.text.trim().length === 0)) {
+          return { valid: true };
+        }
+      }
+      return validateText(msg.text);
+    }
+
+    case MESSAGE_TYPES.DIRECT_MESSAGE: {
+      if (typeof msg.to !== "string" || msg.to.trim().length === 0) {
+        return { valid: false, error: "Valid 'to' is required for direct_message" };
+      }
+      return validateText(msg.text);
+    }
+
+    case MESSAGE_TYPES.DIRECT_HISTORY_REQUEST: {
+      if (typeof msg.with !== "string" || msg.with.trim().length === 0) {
+        return { valid: false, error: "Valid 'with' is required for direct_history_request" };
+      }
+      if (msg.before !== undefined &&
+          (typeof msg.before !== "number" || !Number.isFinite(msg.before) || msg.before <= 0)) {
+        return { valid: false, error: "'before' must be a timestamp" };
+      }
+      if (msg.beforeId !== undefined && (typeof msg.beforeId !== "string" || msg.beforeId.length === 0)) {
+        return { valid: false, error: "'beforeId' must be a message ID" };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.EDIT_MESSAGE: {
+      const targetCheck = validateMessageTarget(msg);
+      if (!targetCheck.valid) return targetCheck;
+      return validateText(msg.text);
+    }
+
+    case MESSAGE_TYPES.ADD_REACTION:
+    case MESSAGE_TYPES.REMOVE_REACTION: {
+      if (typeof msg.emoji !== "string" || msg.emoji.length > MAX_EMOJI_LENGTH ||
+          !EMOJI_PATTERN.test(msg.emoji)) {
+        return { valid: false, error: "'emoji' must be a single emoji" };
+      }
+      return validateMessageTarget(msg);
+    }
+
+    case MESSAGE_TYPES.MARK_READ: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: "Valid 'room' is required for mark_read" };
+      }
+      if (msg.timestamp !== undefined &&
+          (typeof msg.timestamp !== "number" || !Number.isFinite(msg.timestamp) || msg.timestamp <= 0)) {
+        return { valid: false, error: "'timestamp' must be a timestamp" };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.REPLY: {
+      if (typeof msg.parentId !== "string" || msg.parentId.length === 0) {
+        return { valid: false, error: "Valid 'parentId' is required for reply" };
+      }
+      const roomCheck = validateTargetRoom(msg);
+      if (!roomCheck.valid) return roomCheck;
+      return validateText(msg.text);
+    }
+
+    case MESSAGE_TYPES.THREAD_REQUEST: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: "Valid 'room' is required for thread_request" };
+      }
+      if (typeof msg.parentId !== "string" || msg.parentId.length === 0) {
+        return { valid: false, error: "Valid 'parentId' is required for thread_request" };
+      }
+      if (msg.before !== undefined &&
+          (typeof msg.before !== "number" || !Number.isFinite(msg.before) || msg.before <= 0)) {
+        return { valid: false, error: "'before' must be a timestamp" };
+      }
+      if (msg.beforeId !== undefined && (typeof msg.beforeId !== "string" || msg.beforeId.length === 0)) {
+        return { valid: false, error: "'beforeId' must be a message ID" };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.DELETE_MESSAGE:
+      return validateMessageTarget(msg);
+
+    case MESSAGE_TYPES.TYPING_START:
+    case MESSAGE_TYPES.TYPING_STOP:
+      return validateTargetRoom(msg);
+
+    case MESSAGE_TYPES.KICK:
+    case MESSAGE_TYPES.BAN:
+    case MESSAGE_TYPES.UNBAN:
+    case MESSAGE_TYPES.MUTE:
+    case MESSAGE_TYPES.SET_ROLE: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: `Valid 'room' is required for ${msg.type}` };
+      }
+      if (typeof msg.user !== "string" || msg.user.trim().length === 0) {
+        return { valid: false, error: `Valid 'user' is required for ${msg.type}` };
+      }
+      if (msg.type === MESSAGE_TYPES.MUTE &&
+          (!Number.isInteger(msg.duration) || msg.duration < 1 || msg.duration > MAX_MUTE_SECONDS)) {
+        return { valid: false, error: `'duration' must be between 1 and ${MAX_MUTE_SECONDS} seconds` };
+      }
+      if (msg.type === MESSAGE_TYPES.SET_ROLE && msg.role !== "moderator" && msg.role !== "member") {
+        return { valid: false, error: "'role' must be 'moderator' or 'member'" };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.SET_STATUS: {
+      if (msg.status !== "online" && msg.status !== "away") {
+        return { valid: false, error: "'status' must be 'online' or 'away'" };
       }
       return { valid: true };
     }
 
+    case MESSAGE_TYPES.HISTORY_REQUEST: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: "Valid 'room' is required for history_request" };
+      }
+      if (typeof msg.before !== "number" || !Number.isFinite(msg.before) || msg.before <= 0) {
+        return { valid: false, error: "Timestamp 'before' is required for history_request" };
+      }
+      if (msg.beforeId !== undefined && (typeof msg.beforeId !== "string" || msg.beforeId.length === 0)) {
+        return { valid: false, error: "'beforeId' must be a message ID" };
+      }
+      if (msg.limit !== undefined &&
+          (!Number.isInteger(msg.limit) || msg.limit < 1 || msg.limit > MAX_HISTORY_PAGE_SIZE)) {
+        return { valid: false, error: `'limit' must be an integer between 1 and ${MAX_HISTORY_PAGE_SIZE}` };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.SEARCH: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: "Valid 'room' is required for search" };
+      }
+      if (typeof msg.query !== "string" || msg.query.trim().length === 0) {
+        return { valid: false, error: "Search 'query' cannot be empty" };
+      }
+      if (msg.query.length > MAX_SEARCH_QUERY_LENGTH) {
+        return { valid: false, error: `Search 'query' cannot exceed ${MAX_SEARCH_QUERY_LENGTH} characters` };
+      }
+      if (msg.from !== undefined && (typeof msg.from !== "string" || msg.from.trim().length === 0)) {
+        return { valid: false, error: "'from' must be a username" };
+      }
+      for (const field of ["after", "before"]) {
+        if (msg[field] !== undefined &&
+            (typeof msg[field] !== "number" || !Number.isFinite(msg[field]) || msg[field] < 0)) {
+          return { valid: false, error: `'${field}' must be a timestamp` };
+        }
+      }
+      if (msg.limit !== undefined &&
+          (!Number.isInteger(msg.limit) || msg.limit < 1 || msg.limit > MAX_SEARCH_PAGE_SIZE)) {
+        return { valid: false, error: `'limit' must be an integer between 1 and ${MAX_SEARCH_PAGE_SIZE}` };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.CONTEXT_REQUEST: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: "Valid 'room' is required for context_request" };
+      }
+      if (typeof msg.messageId !== "string" || msg.messageId.length === 0) {
+        return { valid: false, error: "Valid 'messageId' is required for context_request" };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.CREATE_ROOM: {
+      if (typeof msg.room !== "string" || !ROOM_NAME_PATTERN.test(msg.room.trim())) {
+        return { valid: false, error: "Room names must be 1-30 lowercase letters, digits, '-' or '_'" };
+      }
+      if (msg.retention !== undefined && (!Number.isInteger(msg.retention) || msg.retention < 0)) {
+        return { valid: false, error: "'retention' must be a non-negative integer (0 keeps everything)" };
+      }
+      if (msg.visibility !== undefined && !ROOM_VISIBILITIES.includes(msg.visibility)) {
+        return { valid: false, error: `'visibility' must be one of: ${ROOM_VISIBILITIES.join(", ")}` };
+      }
+      if (msg.visibility === "password" && msg.password === undefined) {
+        return { valid: false, error: "Password-protected rooms need a 'password'" };
+      }
+      return validateRoomPassword(msg.password);
+    }
+
+    case MESSAGE_TYPES.RENAME_ROOM: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: "Valid 'room' is required for rename_room" };
+      }
+      if (typeof msg.newName !== "string" || !ROOM_NAME_PATTERN.test(msg.newName.trim())) {
+        return { valid: false, error: "Room names must be 1-30 lowercase letters, digits, '-' or '_'" };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.ARCHIVE_ROOM: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: "Valid 'room' is required for archive_room" };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.INVITE:
+    case MESSAGE_TYPES.REVOKE: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: `Valid 'room' is required for ${msg.type}` };
+      }
+      if (typeof msg.user !== "string" || msg.user.trim().length === 0) {
+        return { valid: false, error: `Valid 'user' is required for ${msg.type}` };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.SET_ROOM_ACCESS: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: "Valid 'room' is required for set_room_access" };
+      }
+      if (!ROOM_VISIBILITIES.includes(msg.visibility)) {
+        return { valid: false, error: `'visibility' must be one of: ${ROOM_VISIBILITIES.join(", ")}` };
+      }
+      return validateRoomPassword(msg.password);
+    }
+
+    case MESSAGE_TYPES.UPDATE_ROOM_INFO: {
+      if (typeof msg.room !== "string" || msg.room.trim().length === 0) {
+        return { valid: false, error: "Valid 'room' is required for update_room_info" };
+      }
+      if (msg.topic === undefined && msg.description === undefined) {
+        return { valid: false, error: "'topic' or 'description' is required for update_room_info" };
+      }
+      if (msg.topic !== undefined && (typeof msg.topic !== "string" || msg.topic.trim().length > MAX_TOPIC_LENGTH)) {
+        return { valid: false, error: `'topic' must be text of at most ${MAX_TOPIC_LENGTH} characters` };
+      }
+      if (msg.description !== undefined &&
+          (typeof msg.description !== "string" || msg.description.trim().length > MAX_DESCRIPTION_LENGTH)) {
+        return { valid: false, error: `'description' must be text of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+      }
+      return { valid: true };
+    }
+
+    case MESSAGE_TYPES.PIN_MESSAGE:
+    case MESSAGE_TYPES.UNPIN_MESSAGE: {
+      if (typeof msg.messageId !== "string" || msg.messageId.length === 0) {
+        return { valid: false, error: `Valid 'messageId' is required for ${msg.type}` };
+      }
+      return validateTargetRoom(msg);
+    }
+
     default:
       // For unknown types we still return valid, but server decides what to do.
       return { valid: true };
@@ -46,4 +387,7 @@ function validateMessage(msg) {
 
 module.exports = {
   validateMessage,
+  validateFrame,
+  MAX_FRAME_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
 };
@@ -0,0 +1,234 @@
+// backend/src/utils/webhookDispatcher.js
+// Delivers room messages and bot command invocations to outgoing webhooks:
+// signed JSON POSTs, retried with exponential backoff
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { parseHostList, isBlockedAddress, hostOf, lookupPublic } = require("./publicAddress");
+
+// Delivery attempts per message and webhook, and the delay before the first retry (doubled each time)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+// A receiver that takes longer than this counts as failed
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+// Redirects followed per delivery (301, 302, 307 and 308; the body is POSTed again to the new location)
+const MAX_REDIRECTS = 3;
+const FOLLOWED_REDIRECTS = [301, 302, 307, 308];
+
+// Hosts webhooks may reach even though they are loopback or private, e.g. a local test receiver
+const ALLOWED_HOSTS = parseHostList(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+/**
+ * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret
+ * Receivers recompute it from the X-Chat-Timestamp header and the raw body
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another try; other statuses won't change
+function isRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Why a webhook can't be delivered to `url` without looking it up: a wrong protocol or a
+ * blocked IP address written into the URL. Returns null if nothing is wrong so far
+ */
+function checkUrl(url, allowedHosts) {
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return "Webhooks must use http or https";
+  }
+  const host = hostOf(url);
+  if (!allowedHosts.includes(host) && net.isIP(host) && isBlockedAddress(host)) {
+    return `Webhooks can't be delivered to ${host}: it is a private or local address`;
+  }
+  return null;
+}
+
+/**
+ * Check a webhook URL before it is registered: http(s), and a host that doesn't resolve to
+ * loopback, private or link-local addresses (unless it is in WEBHOOK_ALLOWED_HOSTS)
+ * Returns: { valid: boolean, error?: string }
+ */
+async function checkWebhookUrl(url, allowedHosts = ALLOWED_HOSTS) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { valid: false, error: "'url' must be an http or https URL" };
+  }
+  const problem = checkUrl(parsed, allowedHosts);
+  if (problem) {
+    return { valid: false, error: problem };
+  }
+
+  const host = hostOf(parsed);
+  if (allowedHosts.includes(host) || net.isIP(host)) {
+    return { valid: true };
+  }
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return { valid: false, error: `Webhooks can't be delivered to ${host}: it resolves to a private or local address` };
+    }
+  } catch (error) {
+    return { valid: false, error: `Could not resolve ${host}` };
+  }
+  return { valid: true };
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxAttempts]
+   * @param {number} [options.retryBaseMs]
+   * @param {number} [options.timeoutMs]
+   * @param {string[]} [options.allowedHosts] - hosts exempt from the private address check
+   */
+  constructor({
+    maxAttempts = MAX_ATTEMPTS,
+    retryBaseMs = RETRY_BASE_MS,
+    timeoutMs = TIMEOUT_MS,
+    allowedHosts = ALLOWED_HOSTS
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.allowedHosts = allowedHosts;
+  }
+
+  /**
+   * Send a new room message to each of the room's webhooks; returns at once, delivery happens in the background
+   * @param {Array<{id: string, url: string, secret: string}>} webhooks
+   */
+  deliver(webhooks, roomName, message) {
+    this.dispatch(webhooks, { event: "message", room: roomName, message }, message.id);
+  }
+
+  /**
+   * Send a slash command a user ran for one of the room's bots: { name, bot, from, args, text, timestamp }
+   */
+  deliverCommand(webhooks, roomName, command) {
+    this.dispatch(webhooks, { event: "command", room: roomName, command }, crypto.randomUUID());
+  }
+
+  dispatch(webhooks, event, deliveryId) {
+    webhooks.forEach(webhook => {
+      const body = JSON.stringify({ ...event, webhookId: webhook.id });
+      this.attempt(webhook, body, deliveryId, 1);
+    });
+  }
+
+  async attempt(webhook, body, deliveryId, attempt) {
+    const { status, error, blocked } = await this.post(webhook, body, deliveryId);
+    if (status !== null && status < 300) return;
+
+    const reason = status === null ? error : `HTTP ${status}`;
+    if (blocked || !isRetryable(status) || attempt >= this.maxAttempts) {
+      console.warn(`Webhook ${webhook.id} gave up on delivery ${deliveryId} after ${attempt} attempt(s): ${reason}`);
+      return;
+    }
+
+    const delay = Math.min(this.retryBaseMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+    // Pending retries live only in memory and don't keep the process alive
+    setTimeout(() => this.attempt(webhook, body, deliveryId, attempt + 1), delay).unref();
+  }
+
+  /**
+   * POST one signed delivery, following redirects to hosts that pass the same checks as the webhook URL
+   * Resolves to { status, error?, blocked? }: status is null when there was no response, and
+   * `blocked` is set when the target is a private or local address (retrying won't help)
+   */
+  async post(webhook, body, deliveryId) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+      "User-Agent": "TinyGroupChat-Webhook",
+      "X-Chat-Webhook-Id": webhook.id,
+      "X-Chat-Delivery": deliveryId,
+      "X-Chat-Timestamp": String(timestamp),
+      "X-Chat-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    };
+
+    let url;
+    try {
+      url = new URL(webhook.url);
+    } catch (error) {
+      return { status: null, error: "invalid URL", blocked: true };
+    }
+
+    for (let redirects = 0; ; redirects++) {
+      const problem = checkUrl(url, this.allowedHosts);
+      if (problem) {
+        return { status: null, error: problem, blocked: true };
+      }
+
+      let response;
+      try {
+        response = await this.request(url, headers, body);
+      } catch (error) {
+        return { status: null, error: error.message, blocked: !!error.blocked };
+      }
+
+      if (!FOLLOWED_REDIRECTS.includes(response.status) || !response.location) {
+        return { status: response.status };
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        return { status: null, error: "too many redirects", blocked: true };
+      }
+      try {
+        url = new URL(response.location, url);
+      } catch (error) {
+        return { status: null, error: "invalid redirect", blocked: true };
+      }
+    }
+  }
+
+  /**
+   * One POST; resolves to { status, location } once the response is read
+   */
+  request(url, headers, body) {
+    const transport = url.protocol === "https:" ? https : http;
+    const allowed = this.allowedHosts.includes(hostOf(url));
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, {
+        method: "POST",
+        headers,
+        // Allowed hosts may resolve to local addresses; everything else is checked when connecting
+        lookup: allowed ? undefined : (hostname, options, callback) => {
+          lookupPublic(hostname, options, (error, ...result) => {
+            if (error && !error.code) error.blocked = true;
+            callback(error, ...result);
+          });
+        }
+      }, (response) => {
+        // Only the status matters; drain the body so the connection can be reused
+        response.resume();
+        response.on("end", () => {
+          clearTimeout(timer);
+          resolve({ status: response.statusCode, location: response.headers.location });
+        });
+        response.on("error", reject);
+      });
+
+      const timer = setTimeout(() => request.destroy(new Error("timed out")), this.timeoutMs);
+      request.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+}
+
+module.exports = WebhookDispatcher;
+module.exports.signPayload = signPayload;
+module.exports.checkWebhookUrl = checkWebhookUrl;
+module.exports.isBlockedAddress = isBlockedAddress;
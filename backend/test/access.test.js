@@ -0,0 +1,103 @@
+// backend/test/access.test.js
+// Private and password-protected rooms, and invitations, over a connection
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { startChatServer, connect } = require("./helpers");
+const { canAccessRoom, isRoomMember } = require("../src/utils/roomPersistence");
+
+let server;
+
+before(async () => {
+  server = await startChatServer();
+});
+
+function roomList(socket) {
+  return socket.waitFor(m => m.type === "room_list");
+}
+
+test("private rooms are hidden from outsiders until they're invited", async () => {
+  const owner = await connect(server, "owner1");
+  const guest = await connect(server, "guest1");
+
+  const listed = roomList(guest);
+  await owner.request({ type: "create_room", room: "hideout", visibility: "private" }, m => m.type === "room_list");
+  assert.equal((await listed).rooms.some(room => room.name === "hideout"), false);
+
+  // Outsiders get the same answer as for a room that doesn't exist
+  const refused = await guest.request({ type: "subscribe", room: "hideout" }, m => m.type === "error");
+  assert.equal(refused.message, "Invalid room: hideout");
+
+  const invited = guest.waitFor(m => m.type === "invited");
+  const relisted = roomList(guest);
+  owner.sendFrame({ type: "invite", room: "hideout", user: "guest1" });
+  assert.equal((await invited).by, "owner1");
+  const summary = (await relisted).rooms.find(room => room.name === "hideout");
+  assert.equal(summary.locked, false);
+
+  const joined = await guest.request({ type: "subscribe", room: "hideout" }, m => m.type === "subscriptions");
+  assert.ok(joined.rooms.includes("hideout"));
+});
+
+test("only moderators can invite, and not to public rooms", async () => {
+  const owner = await connect(server, "owner2");
+  const member = await connect(server, "member2");
+  await connect(server, "outsider2");
+  await owner.request({ type: "create_room", room: "club", visibility: "private" }, m => m.type === "room_list");
+  const invited = member.waitFor(m => m.type === "invited");
+  owner.sendFrame({ type: "invite", room: "club", user: "member2" });
+  await invited;
+
+  const denied = await member.request({ type: "invite", room: "club", user: "outsider2" }, m => m.type === "error");
+  assert.equal(denied.message, "Only moderators and owners can invite people to club");
+  assert.equal(canAccessRoom("club", "outsider2"), false);
+
+  await owner.request({ type: "create_room", room: "square" }, m => m.type === "room_list");
+  const pointless = await owner.request({ type: "invite", room: "square", user: "outsider2" }, m => m.type === "error");
+  assert.match(pointless.message, /^Anyone can join square/);
+
+  const unknown = await owner.request({ type: "invite", room: "club", user: "nobody2" }, m => m.type === "error");
+  assert.equal(unknown.message, "No such user: nobody2");
+});
+
+test("password rooms are listed locked and let in whoever knows the password", async () => {
+  const owner = await connect(server, "owner3");
+  const guest = await connect(server, "guest3");
+
+  const listed = roomList(guest);
+  await owner.request({ type: "create_room", room: "vault", visibility: "password", password: "opensesame" },
+    m => m.type === "room_list");
+  const summary = (await listed).rooms.find(room => room.name === "vault");
+  assert.equal(summary.visibility, "password");
+  assert.equal(summary.locked, true);
+
+  const asked = await guest.request({ type: "subscribe", room: "vault" }, m => m.type === "error");
+  assert.equal(asked.message, "vault needs a password");
+  assert.equal(asked.passwordRequired, true);
+
+  const wrong = await guest.request({ type: "subscribe", room: "vault", password: "guess" }, m => m.type === "error");
+  assert.equal(wrong.message, "Wrong password for vault");
+
+  const joined = await guest.request({ type: "subscribe", room: "vault", password: "opensesame" },
+    m => m.type === "subscriptions");
+  assert.ok(joined.rooms.includes("vault"));
+  // Remembered, so the next visit doesn't ask again
+  assert.equal(isRoomMember("vault", "guest3"), true);
+});
+
+test("making a room private keeps whoever is in it and shuts out the rest", async () => {
+  const owner = await connect(server, "owner4");
+  const present = await connect(server, "present4");
+  await connect(server, "absent4");
+  await owner.request({ type: "create_room", room: "lounge" }, m => m.type === "room_list");
+  await present.request({ type: "subscribe", room: "lounge" }, m => m.type === "subscriptions");
+
+  const denied = await present.request({ type: "set_room_access", room: "lounge", visibility: "private" },
+    m => m.type === "error");
+  assert.equal(denied.message, "Only the room owner can change who can join lounge");
+
+  await owner.request({ type: "subscribe", room: "lounge" }, m => m.type === "subscriptions");
+  await owner.request({ type: "set_room_access", room: "lounge", visibility: "private" }, m => m.type === "room_list");
+  assert.equal(canAccessRoom("lounge", "present4"), true);
+  assert.equal(canAccessRoom("lounge", "absent4"), false);
+});
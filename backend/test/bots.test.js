@@ -0,0 +1,30 @@
+// backend/test/bots.test.js
+// Messages bots post through incoming webhooks
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { startChatServer, connect } = require("./helpers");
+const { addBot, loadRoomHistoryPage } = require("../src/utils/roomPersistence");
+
+let server;
+
+before(async () => {
+  server = await startChatServer();
+});
+
+test("bot posts stay marked as bot messages in stored history", async () => {
+  const { success } = await addBot("general", "deploybot", "owner");
+  assert.equal(success, true);
+
+  const watcher = await connect(server, "watcher");
+  await watcher.request({ type: "subscribe", room: "general" }, m => m.type === "subscriptions");
+  const delivered = watcher.waitFor(m => m.type === "message");
+  const result = await server.postRoomMessage("general", "deploybot", "Deployed v2", { bot: true });
+  assert.equal(result.success, true);
+  assert.equal((await delivered).bot, true);
+
+  const { messages } = await loadRoomHistoryPage("general", null, 10);
+  const stored = messages.find(m => m.id === result.message.id);
+  assert.equal(stored.bot, true);
+  assert.equal(stored.nick, undefined);
+});
@@ -0,0 +1,79 @@
+// backend/test/commands.test.js
+// Slash commands run over a connection, checked against what the server stores
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { startChatServer, connect } = require("./helpers");
+const { loadRoomHistoryPage } = require("../src/utils/roomPersistence");
+const { validateUsername } = require("../src/utils/auth");
+const { registerUser } = require("../src/utils/userPersistence");
+
+let server;
+
+before(async () => {
+  server = await startChatServer();
+});
+
+test("/me keeps the emote flag and the nickname in stored history", async () => {
+  const ally = await connect(server, "ally");
+  await ally.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+  await ally.request({ type: "message", room: "random", text: "/nick Ally" }, m => m.type === "command_result");
+
+  const live = await ally.request({ type: "message", room: "random", text: "/me waves" }, m => m.type === "message");
+  assert.equal(live.emote, true);
+  assert.equal(live.nick, "Ally");
+
+  const { messages } = await loadRoomHistoryPage("random", null, 10);
+  const stored = messages.find(m => m.id === live.id);
+  assert.equal(stored.message, "waves");
+  assert.equal(stored.emote, true);
+  assert.equal(stored.nick, "Ally");
+});
+
+test("usernames and nicknames are letters, digits, '_' and '-'", async () => {
+  assert.equal(validateUsername("dev_ops-2").valid, true);
+  for (const name of ["ally smith", "<b>ally</b>", "ally@home", "ällý", "a".repeat(21)]) {
+    assert.equal(validateUsername(name).valid, false, name);
+  }
+
+  const carol = await connect(server, "carol");
+  await carol.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+  const refused = await carol.request({ type: "message", room: "random", text: "/nick Carol the Great" },
+    m => m.type === "error" || m.type === "command_result");
+  assert.equal(refused.type, "error");
+  assert.equal(refused.message, "Nickname may only contain letters, digits, '_' and '-'");
+});
+
+test("a nickname can't be anyone else's username or nickname", async () => {
+  const dan = await connect(server, "dan");
+  const erin = await connect(server, "erin");
+  await dan.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+  await erin.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+  const nick = (socket, name) => socket.request({ type: "message", room: "random", text: `/nick ${name}` },
+    m => m.type === "error" || m.type === "command_result");
+
+  assert.equal((await nick(dan, "Danny")).type, "command_result");
+  // Setting your own nickname again is fine
+  assert.equal((await nick(dan, "Danny")).type, "command_result");
+
+  for (const name of ["Danny", "dan"]) {
+    const refused = await nick(erin, name);
+    assert.equal(refused.type, "error");
+    assert.equal(refused.message, `'${name}' is someone else's name`);
+  }
+
+  const registered = await registerUser("Danny", "password123");
+  assert.deepEqual(registered, { success: false, error: "Username 'Danny' is already taken" });
+});
+
+test("/join spends the join_room rate limit like a subscribe frame", async () => {
+  const bob = await connect(server, "bob");
+  for (let i = 0; i < 10; i++) {
+    await bob.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+  }
+
+  const limited = await bob.request({ type: "message", room: "random", text: "/join general" },
+    m => m.type === "rate_limited" || m.type === "command_result");
+  assert.equal(limited.type, "rate_limited");
+  assert.equal(limited.category, "join_room");
+});
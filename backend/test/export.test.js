@@ -0,0 +1,73 @@
+// backend/test/export.test.js
+// Room history export and import through the persistence helpers
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { initializeStorage } = require("../src/storage");
+const MemoryStorage = require("../src/storage/memoryStorage");
+const {
+  initializeRooms,
+  createRoom,
+  archiveRoom,
+  addMessageToRoom,
+  addReply,
+  loadThreadPage,
+  exportRoomMessages,
+  importRoomMessages,
+  canExportRoom
+} = require("../src/utils/roomPersistence");
+
+function chatMessage(from, text) {
+  return { id: crypto.randomUUID(), type: "message", from, message: text, timestamp: Date.now() };
+}
+
+before(async () => {
+  await initializeStorage(new MemoryStorage());
+  await initializeRooms();
+});
+
+test("archived rooms can still be exported by those who could enter them", async () => {
+  assert.equal((await createRoom("oldproject", "ally", null, { visibility: "private" })).success, true);
+  const message = chatMessage("ally", "wrapping up");
+  await addMessageToRoom("oldproject", message);
+  assert.equal((await archiveRoom("oldproject", "ally")).success, true);
+
+  assert.equal(await canExportRoom("oldproject", "ally"), true);
+  assert.equal(await canExportRoom("oldproject", "mallory"), false);
+  assert.equal(await canExportRoom("nosuchroom", "ally"), false);
+
+  const result = await exportRoomMessages("oldproject");
+  assert.equal(result.success, true);
+  assert.deepEqual(result.messages.map(m => m.id), [message.id]);
+
+  assert.equal((await exportRoomMessages("nosuchroom")).success, false);
+});
+
+test("a room imported from another room's export gets threads of its own", async () => {
+  await createRoom("teamA", "ally");
+  await createRoom("teamB", "ally");
+  const parent = chatMessage("ally", "release plan?");
+  await addMessageToRoom("teamA", parent);
+  await addReply("teamA", parent.id, chatMessage("bob", "friday"));
+
+  const { messages } = await exportRoomMessages("teamA");
+  assert.equal(messages.length, 2);
+  assert.deepEqual(await importRoomMessages("teamB", messages), { success: true, imported: 2 });
+
+  const [copy] = (await exportRoomMessages("teamB")).messages;
+  assert.notEqual(copy.id, parent.id);
+  assert.equal(copy.message, "release plan?");
+
+  // Replying in one room leaves the other room's thread alone
+  await addReply("teamB", copy.id, chatMessage("carol", "or monday"));
+  const threadA = await loadThreadPage("teamA", parent.id);
+  const threadB = await loadThreadPage("teamB", copy.id);
+  assert.deepEqual(threadA.messages.map(m => m.message), ["friday"]);
+  assert.deepEqual(threadB.messages.map(m => m.message), ["friday", "or monday"]);
+  assert.equal(await loadThreadPage("teamB", parent.id), null);
+
+  // Importing the same export again, into either room, adds nothing
+  assert.deepEqual(await importRoomMessages("teamB", messages), { success: true, imported: 0 });
+  assert.deepEqual(await importRoomMessages("teamA", messages), { success: true, imported: 0 });
+});
@@ -0,0 +1,90 @@
+// backend/test/helpers.js
+// Shared test setup: in-memory storage, a ChatServer without a network, and fake connections
+
+const { EventEmitter } = require("events");
+const WebSocket = require("ws");
+const { initializeStorage } = require("../src/storage");
+const MemoryStorage = require("../src/storage/memoryStorage");
+const { initializeRooms } = require("../src/utils/roomPersistence");
+const { registerUser } = require("../src/utils/userPersistence");
+const ChatServer = require("../src/chatServer");
+
+const WAIT_TIMEOUT_MS = 2000;
+
+// A connection as the server sees it; everything the server sends lands in `received`
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.received = [];
+  }
+
+  send(data) {
+    const message = JSON.parse(data);
+    this.received.push(message);
+    this.emit("sent", message);
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+    this.emit("close");
+  }
+
+  // Send a frame to the server, as the browser would
+  sendFrame(message) {
+    this.emit("message", Buffer.from(JSON.stringify(message)));
+  }
+
+  /**
+   * The first message from the server (received from now on) that matches `predicate`
+   */
+  waitFor(predicate) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off("sent", check);
+        reject(new Error("Timed out waiting for a message from the server"));
+      }, WAIT_TIMEOUT_MS);
+      const check = (message) => {
+        if (!predicate(message)) return;
+        clearTimeout(timer);
+        this.off("sent", check);
+        resolve(message);
+      };
+      this.on("sent", check);
+    });
+  }
+
+  // sendFrame() and wait for the answer that matches `predicate`
+  request(message, predicate) {
+    const answer = this.waitFor(predicate);
+    this.sendFrame(message);
+    return answer;
+  }
+}
+
+/**
+ * A ChatServer on fresh in-memory storage, with the default rooms
+ */
+async function startChatServer(options = {}) {
+  await initializeStorage(new MemoryStorage());
+  await initializeRooms();
+  return new ChatServer(new EventEmitter(), options);
+}
+
+/**
+ * Register `name` (if needed) and connect it to the server
+ */
+async function connect(server, name) {
+  await registerUser(name, "password123");
+  const socket = new FakeSocket();
+  const welcomed = socket.waitFor(message => message.type === "room_list");
+  server.handleConnection(socket, name);
+  await welcomed;
+  return socket;
+}
+
+module.exports = {
+  FakeSocket,
+  startChatServer,
+  connect
+};
@@ -0,0 +1,95 @@
+// backend/test/history.test.js
+// Room history paging and retention through the persistence helpers
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { initializeStorage } = require("../src/storage");
+const MemoryStorage = require("../src/storage/memoryStorage");
+const {
+  initializeRooms,
+  createRoom,
+  addMessageToRoom,
+  loadRoomHistoryPage
+} = require("../src/utils/roomPersistence");
+
+function chatMessage(from, text, timestamp = Date.now()) {
+  return { id: crypto.randomUUID(), type: "message", from, message: text, timestamp };
+}
+
+// Walk a room's history page by page, the way the client does, oldest message first
+async function readAllPages(roomName, limit) {
+  const seen = [];
+  let page = await loadRoomHistoryPage(roomName, null, limit);
+  seen.unshift(...page.messages);
+  while (page.hasMore) {
+    const [oldest] = page.messages;
+    page = await loadRoomHistoryPage(roomName, oldest.timestamp, limit, oldest.id);
+    seen.unshift(...page.messages);
+  }
+  return seen;
+}
+
+before(async () => {
+  await initializeStorage(new MemoryStorage());
+  await initializeRooms();
+});
+
+test("pages that end inside one millisecond don't skip or repeat messages", async () => {
+  await createRoom("burst", "ally", 0);
+  const timestamp = Date.now();
+  const sent = [];
+  for (let i = 0; i < 7; i++) {
+    const message = chatMessage("ally", `burst ${i}`, timestamp);
+    sent.push(message);
+    await addMessageToRoom("burst", message);
+  }
+  const later = chatMessage("ally", "after", timestamp + 1);
+  await addMessageToRoom("burst", later);
+
+  const seen = await readAllPages("burst", 3);
+  assert.equal(seen.length, 8);
+  assert.equal(new Set(seen.map(m => m.id)).size, 8);
+  assert.deepEqual(seen.map(m => m.id).sort(), [...sent, later].map(m => m.id).sort());
+  assert.equal(seen[seen.length - 1].id, later.id);
+});
+
+test("a page without a cursor ID leaves out the whole cursor millisecond", async () => {
+  await createRoom("legacy", "ally", 0);
+  await addMessageToRoom("legacy", chatMessage("ally", "first", 1000));
+  await addMessageToRoom("legacy", chatMessage("ally", "second", 2000));
+  await addMessageToRoom("legacy", chatMessage("ally", "third", 2000));
+
+  const page = await loadRoomHistoryPage("legacy", 2000, 10);
+  assert.deepEqual(page.messages.map(m => m.message), ["first"]);
+  assert.equal(page.hasMore, false);
+});
+
+test("history pages go from oldest to newest and report whether more remain", async () => {
+  await createRoom("paged", "ally", 0);
+  for (let i = 0; i < 5; i++) {
+    await addMessageToRoom("paged", chatMessage("ally", `message ${i}`, 1000 + i));
+  }
+
+  const newest = await loadRoomHistoryPage("paged", null, 2);
+  assert.deepEqual(newest.messages.map(m => m.message), ["message 3", "message 4"]);
+  assert.equal(newest.hasMore, true);
+
+  const [oldest] = newest.messages;
+  const older = await loadRoomHistoryPage("paged", oldest.timestamp, 10, oldest.id);
+  assert.deepEqual(older.messages.map(m => m.message), ["message 0", "message 1", "message 2"]);
+  assert.equal(older.hasMore, false);
+
+  assert.deepEqual(await loadRoomHistoryPage("nosuchroom", null, 10), { messages: [], hasMore: false });
+});
+
+test("a room's retention drops its oldest messages", async () => {
+  await createRoom("brief", "ally", 3);
+  for (let i = 0; i < 5; i++) {
+    await addMessageToRoom("brief", chatMessage("ally", `message ${i}`, 1000 + i));
+  }
+
+  const page = await loadRoomHistoryPage("brief", null, 10);
+  assert.deepEqual(page.messages.map(m => m.message), ["message 2", "message 3", "message 4"]);
+  assert.equal(page.hasMore, false);
+});
@@ -0,0 +1,135 @@
+// backend/test/linkPreviews.test.js
+// Link previews: finding the link, reading the page's title and description, and fetching it
+// from a local HTTP server (only reachable because the test allows its host)
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const LinkPreviewer = require("../src/utils/linkPreviewer");
+const { findFirstLink, parsePreview } = LinkPreviewer;
+const { startChatServer, connect } = require("./helpers");
+const { loadRoomHistoryPage } = require("../src/utils/roomPersistence");
+
+// path -> { status, type, location, body }
+const PAGES = {
+  "/article": {
+    body: `<html><head>
+      <title>Fallback title</title>
+      <meta property="og:title" content="Release notes &amp; more">
+      <meta property='og:site_name' content='Example News'>
+      <meta name="description" content="What changed
+        in this release">
+    </head><body>Hello</body></html>`
+  },
+  "/plain": { body: "<title>Just a title</title>" },
+  "/moved": { status: 302, location: "/article" },
+  "/file": { type: "application/pdf", body: "%PDF-1.4" },
+  "/untitled": { body: "<p>No head at all</p>" }
+};
+
+let pageServer;
+let baseUrl;
+let hits = [];
+
+before(async () => {
+  pageServer = http.createServer((req, res) => {
+    hits.push(req.url);
+    const page = PAGES[req.url] || { status: 404, body: "" };
+    res.writeHead(page.status || 200, {
+      "Content-Type": page.type || "text/html; charset=utf-8",
+      ...(page.location ? { Location: page.location } : {})
+    });
+    res.end(page.body || "");
+  });
+  await new Promise(resolve => pageServer.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${pageServer.address().port}`;
+});
+
+after(() => new Promise(resolve => pageServer.close(resolve)));
+
+function localPreviewer() {
+  return new LinkPreviewer({ enabled: true, timeoutMs: 1000, allowedHosts: ["127.0.0.1"] });
+}
+
+test("the first link outside code is the one previewed", () => {
+  assert.equal(findFirstLink("see https://example.com/a, and https://example.org"), "https://example.com/a");
+  assert.equal(findFirstLink("(https://example.com/docs)."), "https://example.com/docs");
+  assert.equal(findFirstLink("`https://example.com/code` then https://example.org/real"), "https://example.org/real");
+  assert.equal(findFirstLink("```\nhttps://example.com/fenced\n```"), null);
+  assert.equal(findFirstLink("no links, just ftp://example.com"), null);
+});
+
+test("Open Graph tags win over <title>, and everything comes out as plain text", () => {
+  assert.deepEqual(parsePreview(PAGES["/article"].body, "https://example.com/a"), {
+    url: "https://example.com/a",
+    title: "Release notes & more",
+    description: "What changed in this release",
+    siteName: "Example News"
+  });
+
+  const sneaky = '<title>&lt;script&gt;alert(1)&lt;/script&gt; &#x1F600;</title>';
+  assert.equal(parsePreview(sneaky, "https://example.com").title, "<script>alert(1)</script> 😀");
+  assert.equal(parsePreview(`<title>${"a".repeat(300)}</title>`, "https://example.com").title.length, 200);
+  assert.equal(parsePreview(PAGES["/untitled"].body, "https://example.com"), null);
+});
+
+test("pages are fetched through redirects, and only web pages are previewed", async () => {
+  const previewer = localPreviewer();
+
+  const moved = await previewer.preview(`${baseUrl}/moved`);
+  assert.equal(moved.url, `${baseUrl}/moved`);
+  assert.equal(moved.title, "Release notes & more");
+
+  assert.deepEqual(await previewer.preview(`${baseUrl}/plain`), { url: `${baseUrl}/plain`, title: "Just a title" });
+  assert.equal(await previewer.preview(`${baseUrl}/file`), null);
+  assert.equal(await previewer.preview(`${baseUrl}/missing`), null);
+});
+
+test("a URL is fetched once, however often it is posted", async () => {
+  const previewer = localPreviewer();
+  hits = [];
+  const [first, second] = await Promise.all([
+    previewer.preview(`${baseUrl}/plain`),
+    previewer.preview(`${baseUrl}/plain`)
+  ]);
+  await previewer.preview(`${baseUrl}/plain`);
+  assert.deepEqual(first, second);
+  assert.deepEqual(hits, ["/plain"]);
+});
+
+test("private and local addresses are never fetched", async () => {
+  hits = [];
+  const previewer = new LinkPreviewer({ enabled: true, timeoutMs: 1000, allowedHosts: [] });
+  assert.equal(await previewer.preview(`${baseUrl}/plain`), null);
+  assert.equal(await previewer.preview(`http://localhost:${pageServer.address().port}/plain`), null);
+  assert.equal(await previewer.preview("http://[::ffff:127.0.0.1]/plain"), null);
+  assert.equal(await previewer.preview("http://169.254.169.254/latest/meta-data"), null);
+  assert.deepEqual(hits, []);
+
+  const disabled = new LinkPreviewer({ enabled: false, allowedHosts: ["127.0.0.1"] });
+  assert.equal(await disabled.preview(`${baseUrl}/plain`), null);
+  assert.deepEqual(hits, []);
+});
+
+test("a message's preview is stored and sent to the room, and dropped when an edit removes the link", async () => {
+  const server = await startChatServer({ linkPreviews: localPreviewer() });
+  const ally = await connect(server, "ally");
+  await ally.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+
+  const previewed = ally.waitFor(m => m.type === "link_preview");
+  const sent = await ally.request({ type: "message", room: "random", text: `read this: ${baseUrl}/article` },
+    m => m.type === "message");
+  const update = await previewed;
+  assert.equal(update.id, sent.id);
+  assert.equal(update.room, "random");
+  assert.equal(update.preview.title, "Release notes & more");
+
+  let { messages } = await loadRoomHistoryPage("random", null, 10);
+  assert.equal(messages.find(m => m.id === sent.id).preview.siteName, "Example News");
+
+  const cleared = ally.waitFor(m => m.type === "link_preview");
+  ally.sendFrame({ type: "edit_message", room: "random", messageId: sent.id, text: "never mind" });
+  assert.equal((await cleared).preview, null);
+  ({ messages } = await loadRoomHistoryPage("random", null, 10));
+  assert.equal(messages.find(m => m.id === sent.id).preview, null);
+});
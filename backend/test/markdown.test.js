@@ -0,0 +1,164 @@
+// backend/test/markdown.test.js
+// The frontend's chat Markdown renderer (frontend/markdown.js) fed hostile input in a jsdom window:
+// whatever the text, it may only produce the elements and attributes below
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const RENDERER = path.join(__dirname, "../../frontend/markdown.js");
+
+// Everything renderMessageText may produce
+const ALLOWED_ATTRIBUTES = {
+  strong: [],
+  em: [],
+  code: [],
+  pre: [],
+  a: ["href", "target", "rel"],
+  span: ["class"]
+};
+const ALLOWED_CLASSES = ["mention", "mention-self"];
+// The renderer's own limit on nested bold and italics
+const MAX_NESTING = 4;
+
+let window;
+
+before(() => {
+  window = new JSDOM("<!DOCTYPE html><body></body>", { runScripts: "outside-only" }).window;
+  window.eval(fs.readFileSync(RENDERER, "utf8"));
+});
+
+// Render `text` into a detached container
+function render(text, options) {
+  const container = window.document.createElement("div");
+  container.appendChild(window.renderMessageText(text, options));
+  return container;
+}
+
+function assertSafe(container, text) {
+  for (const element of container.querySelectorAll("*")) {
+    const tag = element.tagName.toLowerCase();
+    assert.ok(tag in ALLOWED_ATTRIBUTES, `<${tag}> rendered from ${JSON.stringify(text)}`);
+
+    for (const { name } of element.attributes) {
+      assert.ok(ALLOWED_ATTRIBUTES[tag].includes(name), `${name} on <${tag}> rendered from ${JSON.stringify(text)}`);
+    }
+    if (tag === "a") {
+      assert.match(new window.URL(element.getAttribute("href")).protocol, /^https?:$/);
+      assert.equal(element.getAttribute("target"), "_blank");
+      assert.equal(element.getAttribute("rel"), "noopener noreferrer nofollow");
+    }
+    for (const name of element.classList) {
+      assert.ok(ALLOWED_CLASSES.includes(name), `class ${name} rendered from ${JSON.stringify(text)}`);
+    }
+  }
+}
+
+test("HTML in message text stays text", () => {
+  const inputs = [
+    "<script>alert(1)</script>",
+    "<img src=x onerror=alert(1)>",
+    "<a href=\"javascript:alert(1)\">click</a>",
+    "<svg><script>alert(1)</script></svg>",
+    "<iframe srcdoc=\"<script>alert(1)</script>\"></iframe>",
+    "&lt;script&gt; and &amp;"
+  ];
+  for (const text of inputs) {
+    const container = render(text);
+    assert.equal(container.children.length, 0, text);
+    assert.equal(container.textContent, text);
+  }
+});
+
+test("javascript: and data: URLs are never linked", () => {
+  const inputs = [
+    "javascript:alert(1)",
+    "JavaScript:alert(document.cookie)",
+    "[click](javascript:alert(1))",
+    "data:text/html,<script>alert(1)</script>",
+    "data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+    "vbscript:msgbox(1)"
+  ];
+  for (const text of inputs) {
+    const container = render(text);
+    assert.equal(container.querySelector("a"), null, text);
+    assert.equal(container.textContent, text);
+  }
+});
+
+test("URLs that try to break out of the href attribute stay inside it", () => {
+  const inputs = [
+    "https://example.com/\"onmouseover=\"alert(1)",
+    "https://example.com/'onmouseover='alert(1)",
+    "https://example.com/<script>alert(1)</script>",
+    "https://example.com/`onerror=alert(1)`",
+    "https://example.com/?q=\"><img src=x onerror=alert(1)>",
+    "http://\"onmouseover=alert(1)//",
+    "https://example.com/**bold**_x_`code`",
+    "https://example.com/javascript:alert(1)"
+  ];
+  for (const text of inputs) {
+    const container = render(text);
+    assertSafe(container, text);
+    // Only Markdown syntax may be consumed; everything else is shown as typed
+    if (!/[`*_]/.test(text)) {
+      assert.equal(container.textContent, text, text);
+    }
+    for (const link of container.querySelectorAll("a")) {
+      assert.ok(!/["<>`\s]/.test(link.getAttribute("href")), link.getAttribute("href"));
+    }
+  }
+
+  const [link] = render("see https://example.com/path?a=1&b=2.").querySelectorAll("a");
+  assert.equal(link.getAttribute("href"), "https://example.com/path?a=1&b=2");
+});
+
+test("nested emphasis stays within the allowlist and the nesting limit", () => {
+  const inputs = [
+    "**bold *italic _under **deeper *deepest* deeper** under_ italic* bold**",
+    "*".repeat(40) + "x" + "*".repeat(40),
+    "_".repeat(40) + "x" + "_".repeat(40),
+    "**<b>*<i>x</i>*</b>**",
+    "***`<script>`***",
+    "**https://example.com/\"><script>**",
+    "*a **b *c **d *e **f *g* f** e* d** c* b** a*"
+  ];
+  for (const text of inputs) {
+    const container = render(text);
+    assertSafe(container, text);
+
+    let depth = 0;
+    for (const element of container.querySelectorAll("strong, em")) {
+      let nested = 0;
+      for (let node = element; node !== container; node = node.parentNode) {
+        if (node.tagName === "STRONG" || node.tagName === "EM") nested++;
+      }
+      depth = Math.max(depth, nested);
+    }
+    assert.ok(depth <= MAX_NESTING, `${depth} levels of emphasis from ${JSON.stringify(text)}`);
+  }
+
+  const container = render("**bold *italic* bold**");
+  assert.equal(container.innerHTML, "<strong>bold <em>italic</em> bold</strong>");
+});
+
+test("code spans and fences show HTML as text", () => {
+  const container = render("`<script>alert(1)</script>`\n```html\n<img src=x onerror=alert(1)>\n```");
+  assertSafe(container, "code");
+  assert.equal(container.querySelector("code").textContent, "<script>alert(1)</script>");
+  assert.equal(container.querySelector("pre code").textContent, "<img src=x onerror=alert(1)>");
+});
+
+test("mentions only highlight names the server resolved", () => {
+  const text = "hi @ally and @<img src=x onerror=alert(1)> and @bob";
+  const container = render(text, { mentions: ["ally", "<img"], self: "ally" });
+  assertSafe(container, text);
+  assert.equal(container.textContent, text);
+
+  const mentions = [...container.querySelectorAll("span")];
+  assert.deepEqual(mentions.map(span => span.textContent), ["@ally", "@<img"]);
+  assert.ok(mentions[0].classList.contains("mention-self"));
+  assert.ok(!mentions[1].classList.contains("mention-self"));
+});
@@ -0,0 +1,85 @@
+// backend/test/moderation.test.js
+// Room roles and moderation (kick, mute, ban) over a connection
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { startChatServer, connect } = require("./helpers");
+const { getRoomRole, isBanned, getMutedUntil } = require("../src/utils/roomPersistence");
+
+let server;
+let owner;
+let mod;
+let member;
+
+function join(socket, room) {
+  return socket.request({ type: "subscribe", room }, m => m.type === "subscriptions" || m.type === "error");
+}
+
+before(async () => {
+  server = await startChatServer();
+  owner = await connect(server, "owner");
+  mod = await connect(server, "mod");
+  member = await connect(server, "member");
+
+  await owner.request({ type: "create_room", room: "court" }, m => m.type === "room_list");
+  for (const socket of [owner, mod, member]) {
+    await join(socket, "court");
+  }
+});
+
+test("only the owner hands out the moderator role", async () => {
+  assert.equal(getRoomRole("court", "owner"), "owner");
+
+  const denied = await member.request({ type: "set_role", room: "court", user: "mod", role: "moderator" },
+    m => m.type === "error");
+  assert.equal(denied.message, "You don't have permission to change roles in court");
+
+  const role = mod.waitFor(m => m.type === "room_role");
+  owner.sendFrame({ type: "set_role", room: "court", user: "mod", role: "moderator" });
+  assert.deepEqual(await role, { type: "room_role", room: "court", role: "moderator" });
+  assert.equal(getRoomRole("court", "mod"), "moderator");
+});
+
+test("moderators act on members, not on those ranked at or above them", async () => {
+  const upward = await mod.request({ type: "kick", room: "court", user: "owner" }, m => m.type === "error");
+  assert.equal(upward.message, "You don't have permission to moderate owner in court");
+
+  const fromMember = await member.request({ type: "kick", room: "court", user: "mod" }, m => m.type === "error");
+  assert.equal(fromMember.message, "You don't have permission to moderate mod in court");
+});
+
+test("a kicked member leaves the room but may come back", async () => {
+  const kicked = member.waitFor(m => m.type === "kicked");
+  mod.sendFrame({ type: "kick", room: "court", user: "member" });
+  assert.deepEqual(await kicked, { type: "kicked", room: "court", by: "mod", banned: false });
+
+  const back = await join(member, "court");
+  assert.equal(back.type, "subscriptions");
+  assert.ok(back.rooms.includes("court"));
+});
+
+test("a muted member can't post until the mute ends", async () => {
+  const announced = owner.waitFor(m => m.type === "system" && m.message.startsWith("member was muted"));
+  mod.sendFrame({ type: "mute", room: "court", user: "member", duration: 120 });
+  assert.equal((await announced).message, "member was muted by mod for 2 minute(s)");
+  assert.ok(getMutedUntil("court", "member") > Date.now());
+
+  const refused = await member.request({ type: "message", room: "court", text: "hello?" },
+    m => m.type === "error" || m.type === "message");
+  assert.equal(refused.type, "error");
+  assert.match(refused.message, /^You are muted in court for 2 more minute\(s\)$/);
+});
+
+test("a banned member is removed and kept out until unbanned", async () => {
+  const kicked = member.waitFor(m => m.type === "kicked");
+  owner.sendFrame({ type: "ban", room: "court", user: "member" });
+  assert.equal((await kicked).banned, true);
+  assert.equal(isBanned("court", "member"), true);
+
+  const refused = await join(member, "court");
+  assert.equal(refused.message, "You are banned from room: court");
+
+  await owner.request({ type: "unban", room: "court", user: "member" },
+    m => m.type === "system" && m.message === "member was unbanned by owner");
+  assert.equal((await join(member, "court")).type, "subscriptions");
+});
@@ -0,0 +1,78 @@
+// backend/test/rateLimit.test.js
+// Token-bucket rate limiting, on its own and over a connection
+
+const { test, before, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startChatServer, connect } = require("./helpers");
+const RateLimiter = require("../src/utils/rateLimiter");
+
+const LIMITS = {
+  chat: { capacity: 2, refillPerSecond: 1 },
+  join_room: { capacity: 1, refillPerSecond: 1 },
+  search: { capacity: 1, refillPerSecond: 1 },
+  default: { capacity: 1, refillPerSecond: 1 }
+};
+
+let server;
+
+before(async () => {
+  server = await startChatServer();
+});
+
+test("a bucket allows its burst, then refills at its rate", (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, "now", () => now);
+  const limiter = new RateLimiter(LIMITS);
+
+  assert.equal(limiter.consume("conn", "ally", "message").allowed, true);
+  assert.equal(limiter.consume("conn", "ally", "message").allowed, true);
+  const limited = limiter.consume("conn", "ally", "message");
+  assert.deepEqual(limited, { allowed: false, category: "chat", retryAfter: 1000, disconnect: false });
+
+  // Other categories have buckets of their own
+  assert.equal(limiter.consume("conn", "ally", "search").allowed, true);
+
+  now += 500;
+  assert.equal(limiter.consume("conn", "ally", "message").retryAfter, 500);
+  now += 500;
+  assert.equal(limiter.consume("conn", "ally", "message").allowed, true);
+});
+
+test("a user's connections share one bucket, and the HTTP API spends from it too", (t) => {
+  t.mock.method(Date, "now", () => 1_000_000);
+  const limiter = new RateLimiter(LIMITS);
+
+  assert.equal(limiter.consume("tab1", "bob", "message").allowed, true);
+  assert.equal(limiter.consumeUser("bob", "message").allowed, true);
+  assert.equal(limiter.consume("tab2", "bob", "message").allowed, false);
+  assert.equal(limiter.consumeUser("bob", "message").allowed, false);
+
+  // Reconnecting doesn't hand out fresh tokens
+  limiter.removeConnection("tab1");
+  assert.equal(limiter.consume("tab1", "bob", "message").allowed, false);
+  assert.equal(limiter.consumeUser("carol", "message").allowed, true);
+});
+
+test("over-limit chat gets a rate_limited answer, then a disconnect once it keeps on", async () => {
+  const dave = await connect(server, "dave");
+  await dave.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+
+  const answers = [];
+  const closed = new Promise(resolve => dave.once("close", resolve));
+  dave.on("sent", message => answers.push(message));
+  // Without any refill: the 10-message burst, then 20 tolerated violations before the disconnect
+  mock.method(Date, "now", () => 2_000_000_000_000);
+  try {
+    for (let i = 0; i < 30; i++) {
+      dave.sendFrame({ type: "message", room: "random", text: `spam ${i}` });
+    }
+    await closed;
+  } finally {
+    mock.restoreAll();
+  }
+
+  const limited = answers.filter(m => m.type === "rate_limited");
+  assert.equal(limited.length, 19);
+  assert.equal(limited[0].category, "chat");
+  assert.ok(limited[0].retryAfter > 0);
+});
@@ -0,0 +1,102 @@
+// backend/test/search.test.js
+// Message search: filters, paging and the search rate limit
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startChatServer, connect } = require("./helpers");
+const {
+  createRoom,
+  addMessageToRoom,
+  deleteMessageInRoom,
+  searchRoomMessages,
+  loadMessageContext
+} = require("../src/utils/roomPersistence");
+
+let server;
+
+function chatMessage(from, text, timestamp) {
+  return { id: crypto.randomUUID(), type: "message", from, message: text, timestamp };
+}
+
+before(async () => {
+  server = await startChatServer();
+
+  await createRoom("library", "ally");
+  const texts = [
+    ["ally", "Deploy the server tonight"],
+    ["bob", "server logs look fine"],
+    ["ally", "lunch?"],
+    ["bob", "the SERVER deploy failed"],
+    ["carol", "deploy again, server is back"]
+  ];
+  for (let i = 0; i < texts.length; i++) {
+    await addMessageToRoom("library", chatMessage(texts[i][0], texts[i][1], 1000 + i * 100));
+  }
+});
+
+test("every word must match, in any case, newest first", async () => {
+  const { messages, hasMore } = await searchRoomMessages("library", "deploy SERVER");
+  assert.deepEqual(messages.map(m => m.timestamp), [1400, 1300, 1000]);
+  assert.equal(hasMore, false);
+
+  assert.deepEqual(await searchRoomMessages("library", "   "), { messages: [], hasMore: false });
+  assert.deepEqual(await searchRoomMessages("nosuchroom", "server"), { messages: [], hasMore: false });
+});
+
+test("author and time filters narrow the results", async () => {
+  const fromBob = await searchRoomMessages("library", "server", { from: "bob" });
+  assert.deepEqual(fromBob.messages.map(m => m.timestamp), [1300, 1100]);
+
+  const window = await searchRoomMessages("library", "server", { after: 1000, before: 1400 });
+  assert.deepEqual(window.messages.map(m => m.timestamp), [1300, 1100]);
+});
+
+test("`before` pages through results from the oldest one shown", async () => {
+  const first = await searchRoomMessages("library", "server", {}, 2);
+  assert.deepEqual(first.messages.map(m => m.timestamp), [1400, 1300]);
+  assert.equal(first.hasMore, true);
+
+  const next = await searchRoomMessages("library", "server", { before: first.messages[1].timestamp }, 2);
+  assert.deepEqual(next.messages.map(m => m.timestamp), [1100, 1000]);
+  assert.equal(next.hasMore, false);
+});
+
+test("deleted messages aren't found, and a result can be shown in context", async () => {
+  const doomed = chatMessage("ally", "server password is hunter2", 2000);
+  await addMessageToRoom("library", doomed);
+  assert.equal((await deleteMessageInRoom("library", doomed.id, "ally")).success, true);
+  const { messages } = await searchRoomMessages("library", "hunter2");
+  assert.deepEqual(messages, []);
+
+  const [result] = (await searchRoomMessages("library", "lunch")).messages;
+  const context = await loadMessageContext("library", result.id);
+  assert.ok(context.messages.some(m => m.id === result.id));
+  assert.ok(context.messages.some(m => m.timestamp < result.timestamp));
+  assert.ok(context.messages.some(m => m.timestamp > result.timestamp));
+});
+
+test("the search message answers with results and is rate limited on its own bucket", async () => {
+  const dave = await connect(server, "dave");
+
+  const answer = await dave.request({ type: "search", room: "library", query: "deploy", from: "carol" },
+    m => m.type === "search_results" || m.type === "error");
+  assert.equal(answer.type, "search_results");
+  assert.equal(answer.room, "library");
+  assert.deepEqual(answer.results.map(m => m.from), ["carol"]);
+
+  let limited = null;
+  for (let i = 0; i < 10 && !limited; i++) {
+    const reply = await dave.request({ type: "search", room: "library", query: "server" },
+      m => m.type === "search_results" || m.type === "rate_limited");
+    if (reply.type === "rate_limited") limited = reply;
+  }
+  assert.ok(limited);
+  assert.equal(limited.category, "search");
+
+  // Chat has a bucket of its own
+  await dave.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+  const sent = await dave.request({ type: "message", room: "random", text: "still here" },
+    m => m.type === "message" || m.type === "rate_limited");
+  assert.equal(sent.type, "message");
+});
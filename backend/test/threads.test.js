@@ -0,0 +1,92 @@
+// backend/test/threads.test.js
+// Thread replies over a connection: posting, paging, and editing, deleting and reacting to replies
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { startChatServer, connect } = require("./helpers");
+const { loadRoomHistoryPage, loadThreadPage } = require("../src/utils/roomPersistence");
+
+let server;
+let ally;
+let bob;
+
+// Post a room message and a reply to it; resolves to { parent, reply } as broadcast
+async function postThread(text, replyText) {
+  const parent = await ally.request({ type: "message", room: "random", text }, m => m.type === "message");
+  const reply = await bob.request({ type: "reply", room: "random", parentId: parent.id, text: replyText },
+    m => m.type === "thread_reply");
+  return { parent, reply };
+}
+
+before(async () => {
+  server = await startChatServer();
+  ally = await connect(server, "ally");
+  bob = await connect(server, "bob");
+  await ally.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+  await bob.request({ type: "subscribe", room: "random" }, m => m.type === "subscriptions");
+});
+
+test("replies go to the thread, not the room timeline, and count on the parent", async () => {
+  const { parent, reply } = await postThread("lunch?", "pizza");
+  assert.equal(reply.parentId, parent.id);
+  assert.equal(reply.replyCount, 1);
+
+  const { messages } = await loadRoomHistoryPage("random", null, 50);
+  assert.equal(messages.some(m => m.id === reply.id), false);
+  assert.equal(messages.find(m => m.id === parent.id).replyCount, 1);
+
+  const history = await ally.request({ type: "thread_request", room: "random", parentId: parent.id },
+    m => m.type === "thread_history");
+  assert.deepEqual(history.messages.map(m => m.message), ["pizza"]);
+  assert.equal(history.hasMore, false);
+
+  const missing = await bob.request({ type: "reply", room: "random", parentId: "no-such-id", text: "hello?" },
+    m => m.type === "error");
+  assert.equal(missing.message, "Message not found");
+});
+
+test("replies can be edited and deleted by their author, given the parent", async () => {
+  const { parent, reply } = await postThread("status?", "all green");
+
+  // Without the parent the reply isn't found among the room's messages
+  const lost = await bob.request({ type: "edit_message", room: "random", messageId: reply.id, text: "all blue" },
+    m => m.type === "error");
+  assert.equal(lost.message, "Message not found");
+
+  const notYours = await ally.request(
+    { type: "edit_message", room: "random", parentId: parent.id, messageId: reply.id, text: "all red" },
+    m => m.type === "error");
+  assert.equal(notYours.message, "You can only change your own messages");
+
+  const edited = ally.waitFor(m => m.type === "message_edited");
+  bob.sendFrame({ type: "edit_message", room: "random", parentId: parent.id, messageId: reply.id, text: "all blue" });
+  const change = await edited;
+  assert.equal(change.id, reply.id);
+  assert.equal(change.parentId, parent.id);
+  assert.equal((await loadThreadPage("random", parent.id)).messages[0].message, "all blue");
+
+  const deleted = ally.waitFor(m => m.type === "message_deleted");
+  bob.sendFrame({ type: "delete_message", room: "random", parentId: parent.id, messageId: reply.id });
+  assert.equal((await deleted).parentId, parent.id);
+  const [tombstone] = (await loadThreadPage("random", parent.id)).messages;
+  assert.equal(tombstone.deleted, true);
+  assert.equal(tombstone.message, "");
+});
+
+test("replies take reactions, given the parent", async () => {
+  const { parent, reply } = await postThread("ship it?", "yes");
+
+  const reacted = await ally.request(
+    { type: "add_reaction", room: "random", parentId: parent.id, messageId: reply.id, emoji: "👍" },
+    m => m.type === "reaction_changed");
+  assert.equal(reacted.parentId, parent.id);
+  assert.equal(reacted.count, 1);
+
+  const [stored] = (await loadThreadPage("random", parent.id)).messages;
+  assert.deepEqual(stored.reactions, [{ emoji: "👍", users: ["ally"] }]);
+
+  const wrongThread = await ally.request(
+    { type: "add_reaction", room: "random", parentId: "no-such-id", messageId: reply.id, emoji: "🎉" },
+    m => m.type === "error");
+  assert.equal(wrongThread.message, "Message not found");
+});
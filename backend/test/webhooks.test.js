@@ -0,0 +1,158 @@
+// backend/test/webhooks.test.js
+// Outgoing webhook deliveries against a local HTTP receiver: signing, retries, redirects and the private address check
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const WebhookDispatcher = require("../src/utils/webhookDispatcher");
+const { signPayload, checkWebhookUrl } = WebhookDispatcher;
+
+const WAIT_TIMEOUT_MS = 2000;
+
+// The receiver answers each request with the next status in `replies` (200 once they run out)
+let receiver;
+let baseUrl;
+let replies = {};
+let requests = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      const reply = (replies[req.url] || []).shift() || { status: 200 };
+      res.writeHead(reply.status, reply.location ? { Location: reply.location } : {});
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+function reset(newReplies = {}) {
+  replies = newReplies;
+  requests = [];
+}
+
+// Resolves once the receiver has seen `count` requests
+function waitForRequests(count) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      if (requests.length >= count) {
+        clearInterval(poll);
+        resolve(requests);
+      } else if (Date.now() - started > WAIT_TIMEOUT_MS) {
+        clearInterval(poll);
+        reject(new Error(`Expected ${count} requests, got ${requests.length}`));
+      }
+    }, 5);
+  });
+}
+
+function localDispatcher(options = {}) {
+  return new WebhookDispatcher({ retryBaseMs: 10, timeoutMs: 1000, allowedHosts: ["127.0.0.1"], ...options });
+}
+
+function webhook(path) {
+  return { id: "hook1", url: `${baseUrl}${path}`, secret: "s3cret" };
+}
+
+test("deliveries are signed with the webhook secret", async () => {
+  reset();
+  localDispatcher().deliver([webhook("/hook")], "general", { id: "msg1", from: "ally", message: "hi" });
+
+  const [request] = await waitForRequests(1);
+  assert.equal(request.headers["x-chat-webhook-id"], "hook1");
+  assert.equal(request.headers["x-chat-delivery"], "msg1");
+  const expected = signPayload("s3cret", request.headers["x-chat-timestamp"], request.body);
+  assert.equal(request.headers["x-chat-signature"], `sha256=${expected}`);
+
+  const body = JSON.parse(request.body);
+  assert.equal(body.event, "message");
+  assert.equal(body.room, "general");
+  assert.equal(body.webhookId, "hook1");
+  assert.equal(body.message.message, "hi");
+});
+
+test("server errors are retried with the same delivery id", async () => {
+  reset({ "/flaky": [{ status: 500 }, { status: 503 }] });
+  localDispatcher().deliver([webhook("/flaky")], "general", { id: "msg2", message: "hi" });
+
+  const received = await waitForRequests(3);
+  assert.deepEqual(received.map(request => request.headers["x-chat-delivery"]), ["msg2", "msg2", "msg2"]);
+});
+
+test("client errors are not retried", async () => {
+  reset({ "/gone": [{ status: 400 }, { status: 400 }] });
+  const result = await localDispatcher().post(webhook("/gone"), "{}", "msg3");
+  assert.equal(result.status, 400);
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(requests.length, 1);
+});
+
+test("redirects to allowed hosts are followed", async () => {
+  reset({ "/old": [{ status: 307, location: "/new" }] });
+  const result = await localDispatcher().post(webhook("/old"), "{}", "msg4");
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(requests.map(request => request.path), ["/old", "/new"]);
+  assert.ok(requests[1].headers["x-chat-signature"]);
+});
+
+test("redirects to private or local addresses are refused", async () => {
+  for (const location of ["http://169.254.169.254/latest/meta-data/", "http://10.0.0.1/", "http://[::1]/"]) {
+    reset({ "/evil": [{ status: 302, location }] });
+    const result = await localDispatcher().post(webhook("/evil"), "{}", "msg5");
+
+    assert.equal(result.status, null);
+    assert.equal(result.blocked, true);
+    assert.equal(requests.length, 1);
+  }
+});
+
+test("local receivers are refused unless allowed", async () => {
+  reset();
+  const result = await localDispatcher({ allowedHosts: [] }).post(webhook("/hook"), "{}", "msg6");
+
+  assert.equal(result.status, null);
+  assert.equal(result.blocked, true);
+  assert.equal(requests.length, 0);
+});
+
+test("hosts that resolve to local addresses are refused when connecting", async () => {
+  reset();
+  const port = receiver.address().port;
+  const hook = { id: "hook1", url: `http://localhost:${port}/hook`, secret: "s3cret" };
+  const result = await localDispatcher().post(hook, "{}", "msg7");
+
+  assert.equal(result.status, null);
+  assert.equal(result.blocked, true);
+  assert.equal(requests.length, 0);
+});
+
+test("webhook URLs that point at private or local hosts can't be registered", async () => {
+  const refused = [
+    "http://localhost/hook",
+    "http://127.0.0.1:8080/hook",
+    "http://[::1]/hook",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://10.1.2.3/hook",
+    "http://172.16.0.5/hook",
+    "http://192.168.1.10/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+    "http://[fd00::1]/hook",
+    "ftp://example.com/hook"
+  ];
+  for (const url of refused) {
+    const result = await checkWebhookUrl(url, []);
+    assert.equal(result.valid, false, url);
+  }
+
+  assert.equal((await checkWebhookUrl("http://8.8.8.8/hook", [])).valid, true);
+  assert.equal((await checkWebhookUrl("http://localhost:9000/hook", ["localhost"])).valid, true);
+});
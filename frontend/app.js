@@ -1,154 +1,624 @@
 // frontend/app.js - Multi-room chat client
 
 let socket = null;
+let sessionToken = null;
 let currentUsername = null;
-let currentRoom = null;
+let currentRoom = null;    // Room on screen (or behind an open direct conversation)
+let joinedRooms = [];      // Rooms we are in and get live traffic for, as last reported by the server
 let availableRooms = [];
+const roomDetails = new Map(); // room -> { topic, description }, from room_list
+let pendingRoomToJoin = null; // Room we created and should enter once it shows up in room_list
+
+// Direct conversations: partners listed in the sidebar, and the one being viewed (if any)
+let directConversations = [];
+let currentDirectUser = null;
+const unreadDirect = new Set();
+const mentionedRooms = new Set(); // Rooms with a mention of us we haven't looked at yet
+
+// Unread messages per room (pushed by the server) and how far others have read the current room
+const MARK_READ_DELAY_MS = 1000;
+const unreadCounts = new Map();   // room -> count
+const readReceipts = new Map();   // username -> timestamp
+let markReadTimer = null;
+let lastMarkedRead = null;
+
+// Older-history paging state for the current room
+const HISTORY_PAGE_SIZE = 50;
+let oldestTimestamp = null;
+let oldestId = null;              // with oldestTimestamp, the cursor for the next older page
+let hasMoreHistory = false;
+let loadingHistory = false;
+let lastScrollTop = 0;
+
+// Reconnect state: retry with exponential backoff, then resume the previous room
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let hasConnected = false; // Opened at least once since logging in, so there is a session to resume
+let intentionalClose = false;
+let lastSeenTimestamp = null; // Newest stored message shown in the current room
+let awaitingResume = false;
+
+// Typing indicators: who else is typing in the current room, and our own state
+const TYPING_IDLE_MS = 2000;      // Send typing_stop after this long without keystrokes
+const TYPING_REFRESH_MS = 3000;   // Re-send typing_start while typing (server expires after 5s)
+const TYPING_EXPIRE_MS = 6000;    // Drop others' typing state if no update arrives
+const typingUsers = new Map();    // username -> expiry timeout
+let isTyping = false;
+let typingIdleTimer = null;
+let lastTypingSentAt = 0;
+
+// Presence: everyone online (name -> { room, status }) and members of the current room (name -> status)
+const AWAY_AFTER_MS = 5 * 60 * 1000;
+const onlineUsers = new Map();
+const roomMembers = new Map();
+const memberRoles = new Map();    // name -> role in the current room ("owner" / "moderator" / "member")
+let currentRole = "member";       // Our own role in the current room
+let myStatus = "online";
+let idleTimer = null;
+
+// Chat messages of the current room by server-generated ID, so edits and deletes can re-render them
+const messagesById = new Map();
+
+// Attachments: uploads for the next room message ({ name, progress, xhr, attachment })
+const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+const PREVIEW_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+let pendingAttachments = [];
+
+// Emoji offered by the reaction picker
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "🎉", "😮", "😢"];
+
+// Room search: the active query, the cursor for the next page, and whether the chat
+// window shows the context of a search result instead of the latest messages
+let searchQuery = null;   // { query, from } of the last search
+let searchCursor = null;  // Timestamp of the oldest result shown
+let viewingContext = false;
+
+// Open thread panel: { parentId, oldestTimestamp, oldestId, hasMore, replies: Map(id -> reply) } or null
+let currentThread = null;
+
+// Pinned messages per room (pushed by the server on join and after every change)
+const roomPins = new Map();       // room -> [message with pinnedBy / pinnedAt]
+let pinnedPanelOpen = false;
+
+// Slash commands offered per room, and the autocomplete list while a command name is being typed
+const roomCommands = new Map();   // room -> [{ name, usage, description, role }]
+const ROLE_RANK = { member: 0, moderator: 1, owner: 2 };
+let commandSuggestions = [];
+let selectedSuggestion = 0;
 
 // DOM elements
 const usernameInput = document.getElementById("usernameInput");
-const joinBtn = document.getElementById("joinBtn");
+const passwordInput = document.getElementById("passwordInput");
+const loginBtn = document.getElementById("loginBtn");
+const registerBtn = document.getElementById("registerBtn");
+const logoutBtn = document.getElementById("logoutBtn");
 const statusSpan = document.getElementById("status");
 const joinSection = document.getElementById("joinSection");
 const roomSection = document.getElementById("roomSection");
 const roomButtons = document.getElementById("roomButtons");
 const chatWindow = document.getElementById("chatWindow");
 const messageInput = document.getElementById("messageInput");
+const commandSuggestionList = document.getElementById("commandSuggestions");
 const sendBtn = document.getElementById("sendBtn");
+const attachBtn = document.getElementById("attachBtn");
+const fileInput = document.getElementById("fileInput");
+const attachmentTray = document.getElementById("attachmentTray");
+const messageSection = document.getElementById("messageSection");
 const currentRoomDisplay = document.getElementById("currentRoomDisplay");
-const roomSwitcher = document.getElementById("roomSwitcher");
-const roomSwitchButtons = document.getElementById("roomSwitchButtons");
+const roomTools = document.getElementById("roomTools");
+const pinnedBtn = document.getElementById("pinnedBtn");
+const roomInfoBtn = document.getElementById("roomInfoBtn");
+const inviteBtn = document.getElementById("inviteBtn");
+const accessBtn = document.getElementById("accessBtn");
+const typingIndicator = document.getElementById("typingIndicator");
+const sidebar = document.getElementById("sidebar");
+const joinedRoomList = document.getElementById("joinedRoomList");
+const browseRoomsBtn = document.getElementById("browseRoomsBtn");
+const memberSidebar = document.getElementById("memberSidebar");
+const memberList = document.getElementById("memberList");
+const onlineList = document.getElementById("onlineList");
+const directList = document.getElementById("directList");
+const newDirectBtn = document.getElementById("newDirectBtn");
+const searchInput = document.getElementById("searchInput");
+const searchResults = document.getElementById("searchResults");
+const searchMoreBtn = document.getElementById("searchMoreBtn");
+const contextBanner = document.getElementById("contextBanner");
+const jumpLatestBtn = document.getElementById("jumpLatestBtn");
+const threadPanel = document.getElementById("threadPanel");
+const threadParent = document.getElementById("threadParent");
+const threadMessages = document.getElementById("threadMessages");
+const threadOlderBtn = document.getElementById("threadOlderBtn");
+const threadInput = document.getElementById("threadInput");
+const threadSendBtn = document.getElementById("threadSendBtn");
+const closeThreadBtn = document.getElementById("closeThreadBtn");
+const pinnedPanel = document.getElementById("pinnedPanel");
+const roomDescription = document.getElementById("roomDescription");
+const pinnedList = document.getElementById("pinnedList");
+const closePinnedBtn = document.getElementById("closePinnedBtn");
 
 // Initialize the application
 function init() {
   setupEventListeners();
-  usernameInput.focus();
-  connectToServer();
+
+  // Resume a saved session, otherwise wait for login
+  const saved = loadSession();
+  if (saved) {
+    currentUsername = saved.username;
+    sessionToken = saved.token;
+    checkSessionAndReconnect();
+  } else {
+    usernameInput.focus();
+  }
 }
 
 function setupEventListeners() {
-  // Username/Join
-  joinBtn.addEventListener("click", handleJoin);
+  // Login/Register
+  loginBtn.addEventListener("click", () => handleAuth("login"));
+  registerBtn.addEventListener("click", () => handleAuth("register"));
+  passwordInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") handleAuth("login");
+  });
   usernameInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") handleJoin();
+    if (e.key === "Enter") passwordInput.focus();
   });
+  logoutBtn.addEventListener("click", handleLogout);
 
   // Chat
   sendBtn.addEventListener("click", sendMessage);
   messageInput.addEventListener("keydown", (e) => {
+    if (handleSuggestionKey(e)) return;
     if (e.key === "Enter") sendMessage();
   });
+  messageInput.addEventListener("input", () => {
+    handleTypingInput();
+    updateCommandSuggestions();
+  });
+  messageInput.addEventListener("blur", hideCommandSuggestions);
+
+  // Attachments: file picker, pasted images and files dropped on the chat
+  attachBtn.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    uploadFiles(fileInput.files);
+    fileInput.value = "";
+  });
+  messageInput.addEventListener("paste", (e) => {
+    if (e.clipboardData && e.clipboardData.files.length > 0) {
+      e.preventDefault();
+      uploadFiles(e.clipboardData.files);
+    }
+  });
+  [chatWindow, messageSection].forEach(target => {
+    target.addEventListener("dragover", (e) => {
+      if (attachBtn.disabled || !e.dataTransfer.types.includes("Files")) return;
+      e.preventDefault();
+      chatWindow.classList.add("drag-over");
+    });
+    target.addEventListener("dragleave", () => chatWindow.classList.remove("drag-over"));
+    target.addEventListener("drop", (e) => {
+      chatWindow.classList.remove("drag-over");
+      if (attachBtn.disabled || e.dataTransfer.files.length === 0) return;
+      e.preventDefault();
+      uploadFiles(e.dataTransfer.files);
+    });
+  });
+
+  // Rooms: the sidebar lists the ones we joined, "+" shows the others
+  browseRoomsBtn.addEventListener("click", toggleRoomSelection);
+
+  // Direct messages
+  newDirectBtn.addEventListener("click", handleNewDirectConversation);
+
+  // Search
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") handleSearch();
+  });
+  searchMoreBtn.addEventListener("click", requestMoreResults);
+  jumpLatestBtn.addEventListener("click", jumpToLatest);
+
+  // Threads
+  threadSendBtn.addEventListener("click", sendReply);
+  threadInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") sendReply();
+  });
+  threadOlderBtn.addEventListener("click", requestOlderReplies);
+  closeThreadBtn.addEventListener("click", closeThread);
+
+  // Room info and pins
+  pinnedBtn.addEventListener("click", () => (pinnedPanelOpen ? closePinnedPanel() : openPinnedPanel()));
+  closePinnedBtn.addEventListener("click", closePinnedPanel);
+  roomInfoBtn.addEventListener("click", editRoomInfo);
+  inviteBtn.addEventListener("click", inviteUser);
+  accessBtn.addEventListener("click", changeRoomAccess);
+
+  // Away status: tab hidden or no activity for a while
+  document.addEventListener("visibilitychange", handleActivity);
+  ["mousemove", "keydown", "focus"].forEach(eventName => {
+    window.addEventListener(eventName, handleActivity);
+  });
 
-  // Room switching is handled by buttons
+  // Load older messages when the user scrolls up to the top
+  chatWindow.addEventListener("scroll", handleChatScroll);
 }
 
-function handleJoin() {
-  const name = usernameInput.value.trim();
-  if (!name) {
-    alert("Please enter a username.");
+async function handleAuth(mode) {
+  const username = usernameInput.value.trim();
+  const password = passwordInput.value;
+  if (!username || !password) {
+    alert("Please enter a username and password.");
     return;
   }
 
-  if (!socket || socket.readyState !== WebSocket.OPEN) {
-    alert("Not connected to server. Please wait...");
-    return;
+  loginBtn.disabled = true;
+  registerBtn.disabled = true;
+
+  // Ask while we are handling a click; browsers ignore the request otherwise
+  if ("Notification" in window && Notification.permission === "default") {
+    Notification.requestPermission();
   }
 
-  // Send join message. Wait for server confirmation (ROOM_LIST) before updating UI.
-  socket.send(JSON.stringify({
-    type: "join",
-    name: name,
+  try {
+    const response = await fetch(`${getHttpBase()}/api/${mode}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(data.error || "Authentication failed.");
+      passwordInput.focus();
+      return;
+    }
+
+    // Identity for the chat connection comes from the session token
+    currentUsername = data.username;
+    sessionToken = data.token;
+    saveSession();
+    passwordInput.value = "";
+    connectToServer();
+  } catch (err) {
+    console.error("Authentication request failed:", err);
+    alert("Could not reach the server. Please try again.");
+  } finally {
+    loginBtn.disabled = false;
+    registerBtn.disabled = false;
+  }
+}
+
+function handleLogout() {
+  clearSession();
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (socket) {
+    intentionalClose = true;
+    socket.close();
+  } else {
+    resetToInitialState();
+  }
+}
+
+// Session persistence so a page reload doesn't require logging in again
+function loadSession() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("chatSession"));
+    return saved && saved.username && saved.token ? saved : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveSession() {
+  localStorage.setItem("chatSession", JSON.stringify({
+    username: currentUsername,
+    token: sessionToken,
   }));
 }
 
-function handleRoomJoin(roomName) {
+function clearSession() {
+  localStorage.removeItem("chatSession");
+  sessionToken = null;
+}
+
+// Open a room: joins it if we aren't in it yet, otherwise brings it back on screen
+function switchToRoom(roomName, password) {
   if (!socket || socket.readyState !== WebSocket.OPEN) {
     alert("Not connected to server.");
     return;
   }
 
-  // Clear chat window when joining new room
+  // Password-protected rooms we can't enter yet ask for the password first
+  const details = roomDetails.get(roomName);
+  if (password === undefined && details && details.locked && !joinedRooms.includes(roomName)) {
+    password = prompt(`Password for ${roomName}:`);
+    if (password === null) return;
+  }
+
+  roomSection.style.display = "none";
+  if (!roomName || (roomName === currentRoom && !currentDirectUser)) {
+    return;
+  }
+
+  // The server sends the room's history again; joining a room we're already in announces nothing
+  const subscribe = { type: "subscribe", room: roomName };
+  if (password) subscribe.password = password;
+  socket.send(JSON.stringify(subscribe));
+  showRoom(roomName);
+}
+
+// Put a room on screen; its history and members follow from the server
+function showRoom(roomName) {
+  roomSection.style.display = "none";
+  leaveDirectView();
+
+  // Clear chat window when switching rooms
   chatWindow.innerHTML = "";
-  
-  // Send join room message
-  socket.send(JSON.stringify({
-    type: "join_room",
-    room: roomName,
-  }));
+  resetHistoryState();
 
   currentRoom = roomName;
-  currentRoomDisplay.textContent = `Room: ${roomName}`;
-  
-  // Hide room selection, enable messaging
-  roomSection.style.display = "none";
+  currentRole = "member"; // Until the server tells us otherwise
+  mentionedRooms.delete(roomName);
+  clearSearch();
+  renderRoomHeader();
+  if (pinnedPanelOpen) renderPinnedPanel();
   messageInput.disabled = false;
   sendBtn.disabled = false;
+  attachBtn.disabled = false;
   messageInput.placeholder = `Type a message in ${roomName}...`;
   messageInput.focus();
-  
-  // Show room switcher in header
-  roomSwitcher.style.display = "flex";
 
-  // Update room switch buttons
-  updateRoomSwitcher();
+  renderJoinedRooms();
+  renderRoomButtons();
+}
+
+// Leave one of our rooms; if it is on screen, move on to another
+function leaveRoom(roomName) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  socket.send(JSON.stringify({
+    type: "unsubscribe",
+    room: roomName,
+  }));
+
+  if (roomName === currentRoom) {
+    returnToRoomSelection();
+  }
+}
+
+// The server tells us which rooms we're in after every join, leave, kick, rename or archive
+function handleSubscriptions(rooms) {
+  joinedRooms = rooms;
+  renderJoinedRooms();
+  renderRoomButtons();
+}
+
+function renderJoinedRooms() {
+  joinedRoomList.innerHTML = "";
+
+  joinedRooms.forEach(room => {
+    const item = document.createElement("li");
+    item.classList.add("sidebar-item", "room-item");
+    if (room === currentRoom && !currentDirectUser) item.classList.add("active");
+    item.addEventListener("click", () => switchToRoom(room));
+
+    const label = document.createElement("span");
+    label.classList.add("room-item-name");
+    label.textContent = room;
+    item.appendChild(label);
+    appendRoomIndicators(item, room);
+
+    const leaveButton = document.createElement("button");
+    leaveButton.classList.add("room-leave-btn");
+    leaveButton.textContent = "×";
+    leaveButton.title = `Leave ${room}`;
+    leaveButton.addEventListener("click", (e) => {
+      e.stopPropagation();
+      leaveRoom(room);
+    });
+    item.appendChild(leaveButton);
+
+    joinedRoomList.appendChild(item);
+  });
+}
+
+// "+" next to the joined rooms: show or hide the rooms we haven't joined
+function toggleRoomSelection() {
+  const hidden = roomSection.style.display === "none";
+  // With nothing else on screen the selection stays open
+  if (!hidden && !currentRoom && !currentDirectUser) return;
+
+  roomSection.style.display = hidden ? "block" : "none";
+}
+
+function createNewRoomButton(className) {
+  const button = document.createElement("button");
+  button.classList.add(className, "new-room-btn");
+  button.textContent = "+ New room";
+  button.addEventListener("click", handleCreateRoom);
+  return button;
 }
 
-function switchToRoom(roomName) {
-  if (!roomName || roomName === currentRoom) {
+function handleCreateRoom() {
+  if (!socket || socket.readyState !== WebSocket.OPEN) {
+    alert("Not connected to server.");
+    return;
+  }
+
+  const input = prompt("Name of the new room (lowercase letters, digits, '-' or '_'):");
+  if (input === null) return;
+
+  const roomName = input.trim().toLowerCase();
+  if (!roomName) return;
+
+  const visibility = promptVisibility(roomName, "public");
+  if (!visibility) return;
+
+  const create = { type: "create_room", room: roomName, visibility };
+  if (visibility === "password") {
+    const password = prompt(`Password for ${roomName}:`);
+    if (!password) return;
+    create.password = password;
+  }
+
+  // Join it automatically once the server broadcasts the updated room list
+  pendingRoomToJoin = roomName;
+  socket.send(JSON.stringify(create));
+}
+
+// Ask who may join a room: "public", "private" (invite only) or "password"; null if cancelled
+function promptVisibility(roomName, current) {
+  const input = prompt(`Who can join ${roomName}? public, private (invite only) or password:`, current);
+  if (input === null) return null;
+
+  const visibility = input.trim().toLowerCase();
+  if (!["public", "private", "password"].includes(visibility)) {
+    alert("Please enter public, private or password");
+    return null;
+  }
+  return visibility;
+}
+
+function handleDirectConversations(users) {
+  directConversations = users;
+  renderDirectList();
+}
+
+function renderDirectList() {
+  directList.innerHTML = "";
+
+  directConversations.forEach(user => {
+    const item = document.createElement("li");
+    item.classList.add("sidebar-item");
+    if (user === currentDirectUser) item.classList.add("active");
+    if (unreadDirect.has(user)) item.classList.add("unread");
+    item.textContent = user;
+    item.addEventListener("click", () => openDirectConversation(user));
+    directList.appendChild(item);
+  });
+}
+
+function addDirectConversation(user) {
+  if (!directConversations.includes(user)) {
+    directConversations.push(user);
+    directConversations.sort();
+  }
+}
+
+function handleNewDirectConversation() {
+  const input = prompt("Send a direct message to (username):");
+  if (input === null) return;
+
+  const user = input.trim();
+  if (!user) return;
+  if (user === currentUsername) {
+    alert("You cannot send a direct message to yourself.");
+    return;
+  }
+
+  addDirectConversation(user);
+  openDirectConversation(user);
+}
+
+function openDirectConversation(user) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) {
+    alert("Not connected to server.");
     return;
   }
 
-  // Clear chat window when switching rooms
   chatWindow.innerHTML = "";
+  resetHistoryState();
+
+  currentDirectUser = user;
+  unreadDirect.delete(user);
+  renderDirectList();
 
-  // Send join room message (same as initial join)
   socket.send(JSON.stringify({
-    type: "join_room",
-    room: roomName,
+    type: "direct_history_request",
+    with: user,
   }));
 
-  currentRoom = roomName;
-  currentRoomDisplay.textContent = `Room: ${roomName}`;
-  messageInput.placeholder = `Type a message in ${roomName}...`;
+  closePinnedPanel();
+  renderRoomHeader();
+  roomSection.style.display = "none";
+  messageInput.disabled = false;
+  sendBtn.disabled = false;
+  attachBtn.disabled = true;
+  messageInput.placeholder = `Message ${user}...`;
   messageInput.focus();
 
-  // Update the room switch buttons so the newly-current room is excluded
-  updateRoomSwitcher();
+  renderJoinedRooms();
 }
 
-function updateRoomSwitcher() {
-  // Clear existing buttons
-  roomSwitchButtons.innerHTML = "";
+function leaveDirectView() {
+  if (!currentDirectUser) return;
+  currentDirectUser = null;
+  renderDirectList();
+}
 
-  // Add buttons for other available rooms
-  availableRooms.forEach(room => {
-    if (room !== currentRoom) {
-      const button = document.createElement("button");
-      button.classList.add("switch-btn");
-      button.textContent = `Switch to ${room}`;
-      button.addEventListener("click", () => switchToRoom(room));
-      roomSwitchButtons.appendChild(button);
-    }
-  });
+function handleDirectMessage(msg) {
+  const partner = msg.from === currentUsername ? msg.to : msg.from;
+  addDirectConversation(partner);
+
+  if (partner === currentDirectUser) {
+    displayChatMessage(msg);
+  } else {
+    unreadDirect.add(partner);
+  }
+  renderDirectList();
 }
 
-function connectToServer() {
-  // Determine WebSocket URL
-  let wsUrl;
+function handleDirectHistory(msg) {
+  if (msg.with !== currentDirectUser) return;
+
+  if (msg.before === null) {
+    handleHistory(msg.messages, null, msg.hasMore);
+  } else if (msg.before === oldestTimestamp && msg.beforeId === oldestId) {
+    prependHistoryPage(msg.messages, msg.hasMore);
+  }
+}
+
+// Host of the chat server (the dev frontend may be served from another port)
+function getServerHost() {
   const host = window.location.hostname;
   const port = window.location.port;
   if ((host === "localhost" || host === "127.0.0.1") && port && port !== "3000") {
-    wsUrl = "ws://localhost:3000";
-  } else {
-    wsUrl = `ws://${window.location.host}`;
+    return "localhost:3000";
   }
+  return window.location.host;
+}
+
+function getHttpBase() {
+  return `http://${getServerHost()}`;
+}
+
+function connectToServer() {
+  // The server authenticates the upgrade with our session token
+  const wsUrl = `ws://${getServerHost()}/?token=${encodeURIComponent(sessionToken)}`;
 
-  console.log("Connecting to WebSocket:", wsUrl);
+  console.log("Connecting to WebSocket:", `ws://${getServerHost()}`);
+  statusSpan.innerHTML = '<span class="status-indicator"></span>Connecting...';
   socket = new WebSocket(wsUrl);
 
   socket.addEventListener("open", () => {
     console.log("WebSocket connected");
-    statusSpan.innerHTML = '<span class="status-indicator"></span>Connected';
+    statusSpan.innerHTML = `<span class="status-indicator"></span>Connected as ${escapeHtml(currentUsername)}`;
+
+    reconnectAttempts = 0;
+    myStatus = "online"; // The server starts every connection as online
+    handleActivity();
+    if (hasConnected) {
+      resumeSession();
+      return;
+    }
+    hasConnected = true;
+
+    // Logged in: move on to room selection
+    joinSection.style.display = "none";
+    roomSection.style.display = "block";
+    sidebar.style.display = "flex";
+    memberSidebar.style.display = "flex";
+    logoutBtn.style.display = "inline-block";
   });
 
   socket.addEventListener("message", (event) => {
@@ -158,9 +628,19 @@ function connectToServer() {
   socket.addEventListener("close", () => {
     console.log("WebSocket closed");
     statusSpan.innerHTML = '<span class="status-indicator" style="background: #ef4444;"></span>Disconnected';
-    
-    // Reset UI state
-    resetToInitialState();
+    socket = null;
+
+    if (intentionalClose || !sessionToken) {
+      intentionalClose = false;
+      resetToInitialState();
+      return;
+    }
+
+    // Keep the UI as it is and try again; the server holds our room for a grace period
+    messageInput.disabled = true;
+    sendBtn.disabled = true;
+    attachBtn.disabled = true;
+    scheduleReconnect();
   });
 
   socket.addEventListener("error", (err) => {
@@ -169,18 +649,104 @@ function connectToServer() {
   });
 }
 
+function scheduleReconnect() {
+  const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY);
+  reconnectAttempts++;
+
+  console.log(`Reconnecting in ${delay}ms (attempt ${reconnectAttempts})`);
+  statusSpan.innerHTML = `<span class="status-indicator" style="background: #f59e0b;"></span>Reconnecting in ${Math.round(delay / 1000)}s...`;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    checkSessionAndReconnect();
+  }, delay);
+}
+
+// A rejected upgrade looks like any other failed connection, so ask the server
+// whether our token is still valid before retrying
+async function checkSessionAndReconnect() {
+  try {
+    const response = await fetch(`${getHttpBase()}/api/session`, {
+      headers: { Authorization: `Bearer ${sessionToken}` },
+    });
+    if (response.status === 401) {
+      clearSession();
+      resetToInitialState();
+      alert("Your session has expired. Please log in again.");
+      return;
+    }
+  } catch (err) {
+    // Server unreachable: keep retrying
+    scheduleReconnect();
+    return;
+  }
+
+  connectToServer();
+}
+
+// Pick up where we left off after a reconnect: rejoin our rooms, the one on screen
+// last so that it is our current room again
+function resumeSession() {
+  joinedRooms
+    .filter(room => room !== currentRoom)
+    .forEach(room => socket.send(JSON.stringify({ type: "subscribe", room })));
+
+  if (currentRoom) {
+    // Send the newest message we have so the server only replays what we missed
+    awaitingResume = true;
+    const subscribeMsg = { type: "subscribe", room: currentRoom };
+    if (lastSeenTimestamp !== null) {
+      subscribeMsg.since = lastSeenTimestamp;
+    }
+    socket.send(JSON.stringify(subscribeMsg));
+  }
+
+  if (currentDirectUser) {
+    openDirectConversation(currentDirectUser);
+  } else if (currentRoom) {
+    messageInput.disabled = false;
+    sendBtn.disabled = false;
+    attachBtn.disabled = false;
+  }
+}
+
 function resetToInitialState() {
   joinSection.style.display = "flex";
   roomSection.style.display = "none";
-  roomSwitcher.style.display = "none";
   messageInput.disabled = true;
   sendBtn.disabled = true;
+  attachBtn.disabled = true;
   messageInput.placeholder = "Select a room to start chatting...";
-  currentRoomDisplay.textContent = "Select a room to join";
   chatWindow.innerHTML = "";
+  resetHistoryState();
   currentRoom = null;
+  joinedRooms = [];
+  pendingRoomToJoin = null;
+  logoutBtn.style.display = "none";
+  currentDirectUser = null;
+  directConversations = [];
+  unreadDirect.clear();
+  unreadCounts.clear();
+  mentionedRooms.clear();
+  renderDirectList();
+  renderJoinedRooms();
+  closePinnedPanel();
+  roomPins.clear();
+  renderRoomHeader();
+  sidebar.style.display = "none";
+  memberSidebar.style.display = "none";
+  onlineUsers.clear();
+  roomMembers.clear();
+  memberRoles.clear();
+  currentRole = "member";
+  renderPresence();
+  clearSearch();
+  clearPendingAttachments();
+  clearTimeout(idleTimer);
   currentUsername = null;
-  usernameInput.value = "";
+  hasConnected = false;
+  reconnectAttempts = 0;
+  passwordInput.value = "";
 }
 
 function handleMessage(event) {
@@ -198,8 +764,14 @@ function handleMessage(event) {
     case "room_list":
       handleRoomList(msg.rooms);
       break;
+    case "subscriptions":
+      handleSubscriptions(msg.rooms);
+      break;
     case "history":
-      handleHistory(msg.messages, msg.room);
+      handleHistory(msg.messages, msg.room, msg.hasMore, msg.replay);
+      break;
+    case "history_page":
+      handleHistoryPage(msg);
       break;
     case "message":
       handleChatMessage(msg);
@@ -213,96 +785,983 @@ function handleMessage(event) {
     case "user_left_room":
       handleUserLeftRoom(msg);
       break;
+    case "direct_message":
+      handleDirectMessage(msg);
+      break;
+    case "direct_history":
+      handleDirectHistory(msg);
+      break;
+    case "dm_conversations":
+      handleDirectConversations(msg.users);
+      break;
+    case "room_members":
+      handleRoomMembers(msg);
+      break;
+    case "presence":
+      handlePresence(msg.users);
+      break;
+    case "presence_update":
+      handlePresenceUpdate(msg.user);
+      break;
+    case "typing":
+      handleTyping(msg);
+      break;
+    case "message_edited":
+      handleMessageEdited(msg);
+      break;
+    case "message_deleted":
+      handleMessageDeleted(msg);
+      break;
+    case "mention":
+      handleMention(msg);
+      break;
+    case "unread_counts":
+      handleUnreadCounts(msg.counts);
+      break;
+    case "read_receipts":
+      handleReadReceipts(msg);
+      break;
+    case "read_receipt":
+      handleReadReceipt(msg);
+      break;
+    case "reaction_changed":
+      handleReactionChanged(msg);
+      break;
+    case "link_preview":
+      handleLinkPreview(msg);
+      break;
+    case "room_renamed":
+      handleRoomRenamed(msg);
+      break;
+    case "room_archived":
+      handleRoomArchived(msg);
+      break;
+    case "commands":
+      roomCommands.set(msg.room, msg.commands);
+      break;
+    case "command_result":
+      handleCommandResult(msg);
+      break;
+    case "room_role":
+      handleRoomRole(msg);
+      break;
+    case "invited":
+      handleInvited(msg);
+      break;
+    case "pinned_messages":
+      handlePinnedMessages(msg);
+      break;
+    case "kicked":
+      handleKicked(msg);
+      break;
+    case "thread_reply":
+      handleThreadReply(msg);
+      break;
+    case "thread_history":
+      handleThreadHistory(msg);
+      break;
+    case "search_results":
+      handleSearchResults(msg);
+      break;
+    case "message_context":
+      handleMessageContext(msg);
+      break;
+    case "rate_limited":
+      handleRateLimited(msg);
+      break;
     case "error":
+      // A failed create_room must not trigger an auto-join later
+      pendingRoomToJoin = null;
+      if (msg.passwordRequired) {
+        handlePasswordRequired(msg);
+        break;
+      }
       handleError(msg.message);
       break;
-    case "username_taken":
-      // Server rejected the attempted username
-      alert(msg.message || "Username already taken. Choose another.");
-      // Keep the join UI visible and focus the input so the user can try a different name
-      usernameInput.focus();
-      break;
     default:
       console.log("Unknown message type:", msg.type);
   }
 }
 
 function handleRoomList(rooms) {
-  availableRooms = rooms;
+  availableRooms = rooms.map(room => room.name);
+  roomDetails.clear();
+  rooms.forEach(room => roomDetails.set(room.name, room));
+  renderRoomButtons();
+  // Topics and descriptions change live
+  renderRoomHeader();
+  if (pinnedPanelOpen) renderPinnedPanel();
   
+  console.log("Available rooms:", availableRooms);
+
+  if (pendingRoomToJoin && availableRooms.includes(pendingRoomToJoin)) {
+    const roomName = pendingRoomToJoin;
+    pendingRoomToJoin = null;
+    switchToRoom(roomName);
+  }
+}
+
+function renderRoomButtons() {
   // Clear existing room buttons
   roomButtons.innerHTML = "";
   
-  // Create room buttons
-  rooms.forEach(room => {
-    const button = document.createElement("button");
-    button.classList.add("room-btn");
-    button.textContent = room;
-    button.addEventListener("click", () => handleRoomJoin(room));
-    roomButtons.appendChild(button);
-  });
-  
-  console.log("Available rooms:", rooms);
-  // If we haven't set currentUsername yet, this ROOM_LIST likely came after a successful join
-  if (!currentUsername && usernameInput.value.trim()) {
-    currentUsername = usernameInput.value.trim();
-    // Hide join section, show room selection
-    joinSection.style.display = "none";
-    roomSection.style.display = "block";
-  }
+  // Create buttons for the rooms we haven't joined (joined ones are in the sidebar)
+  availableRooms
+    .filter(room => !joinedRooms.includes(room))
+    .forEach(room => {
+      const button = document.createElement("button");
+      button.classList.add("room-btn");
+      const details = roomDetails.get(room);
+      button.textContent = details && details.visibility !== "public" ? `🔒 ${room}` : room;
+      if (details && (details.topic || details.description)) {
+        button.title = [details.topic, details.description].filter(Boolean).join("\n\n");
+      }
+      appendRoomIndicators(button, room);
+      button.addEventListener("click", () => switchToRoom(room));
+      roomButtons.appendChild(button);
+    });
+  roomButtons.appendChild(createNewRoomButton("room-btn"));
 }
 
-function handleHistory(messages, room) {
-  if (room !== currentRoom) {
+function handleHistory(messages, room, hasMore, replay = false) {
+  // Direct conversations pass room = null
+  if (room !== (currentDirectUser ? null : currentRoom)) {
     console.log("Received history for different room, ignoring");
     return;
   }
+
+  if (awaitingResume) {
+    awaitingResume = false;
+    if (replay) {
+      // Only what we missed while disconnected: append, skipping anything already shown
+      messages
+        .filter(msg => !msg.id || !messagesById.has(msg.id))
+        .forEach(msg => {
+          if (msg.type === "message") {
+            displayChatMessage(msg);
+          } else if (msg.type === "system") {
+            displaySystemMessage(msg);
+          }
+          trackLastSeen(msg);
+        });
+      return;
+    }
+
+    // Too much was missed (or the grace period ran out): start over with full history
+    chatWindow.innerHTML = "";
+    resetHistoryState();
+  }
   
   messages.forEach(msg => {
+    trackLastSeen(msg);
     if (msg.type === "message") {
       displayChatMessage(msg);
     } else if (msg.type === "system") {
       displaySystemMessage(msg);
     }
   });
-}
 
-function handleChatMessage(msg) {
-  // Only show messages for current room
-  if (msg.room !== currentRoom) return;
-  displayChatMessage(msg);
+  hasMoreHistory = !!hasMore;
+  if (messages.length > 0) {
+    oldestTimestamp = messages[0].timestamp;
+    oldestId = messages[0].id;
+  }
+  renderSeenBy();
 }
 
-function handleSystemMessage(msg) {
-  // If system message is room-scoped, only show for that room. If it's global (no room), show it.
-  if (msg.room && msg.room !== currentRoom) return;
-  displaySystemMessage(msg);
+function trackLastSeen(msg) {
+  if (currentDirectUser || !msg.timestamp) return;
+  if (lastSeenTimestamp === null || msg.timestamp > lastSeenTimestamp) {
+    lastSeenTimestamp = msg.timestamp;
+    scheduleMarkRead();
+  }
 }
 
-function handleUserJoinedRoom(msg) {
-  // Only show join notifications for current room
-  if (msg.room !== currentRoom) return;
-  displaySystemMessage({
-    message: `${msg.user} joined the room`,
-    timestamp: msg.timestamp
-  });
+function resetHistoryState() {
+  stopTyping();
+  clearTypingUsers();
+  messagesById.clear();
+  lastSeenTimestamp = null;
+  clearTimeout(markReadTimer);
+  lastMarkedRead = null;
+  readReceipts.clear();
+  awaitingResume = false;
+  oldestTimestamp = null;
+  oldestId = null;
+  hasMoreHistory = false;
+  loadingHistory = false;
+  lastScrollTop = 0;
+  viewingContext = false;
+  contextBanner.style.display = "none";
+  closeThread();
 }
 
-function handleUserLeftRoom(msg) {
-  if (msg.room !== currentRoom) return;
-  displaySystemMessage({
-    message: `${msg.user} left the room`,
-    timestamp: msg.timestamp
-  });
+function handleChatScroll() {
+  const scrollingUp = chatWindow.scrollTop < lastScrollTop;
+  lastScrollTop = chatWindow.scrollTop;
+
+  if (scrollingUp && chatWindow.scrollTop <= 40) {
+    requestOlderHistory();
+  }
+}
+
+function requestOlderHistory() {
+  if (!hasMoreHistory || loadingHistory || oldestTimestamp === null) return;
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  loadingHistory = true;
+  if (currentDirectUser) {
+    socket.send(JSON.stringify({
+      type: "direct_history_request",
+      with: currentDirectUser,
+      before: oldestTimestamp,
+      beforeId: oldestId,
+      limit: HISTORY_PAGE_SIZE,
+    }));
+    return;
+  }
+
+  socket.send(JSON.stringify({
+    type: "history_request",
+    room: currentRoom,
+    before: oldestTimestamp,
+    beforeId: oldestId,
+    limit: HISTORY_PAGE_SIZE,
+  }));
+}
+
+function handleHistoryPage(msg) {
+  // Ignore pages for a room we already left or for a cursor we no longer need
+  if (currentDirectUser || msg.room !== currentRoom || msg.before !== oldestTimestamp || msg.beforeId !== oldestId) return;
+
+  prependHistoryPage(msg.messages, msg.hasMore);
+}
+
+function prependHistoryPage(messages, hasMore) {
+  loadingHistory = false;
+  hasMoreHistory = !!hasMore;
+  if (messages.length === 0) return;
+
+  oldestTimestamp = messages[0].timestamp;
+  oldestId = messages[0].id;
+
+  const fragment = document.createDocumentFragment();
+  messages.forEach(m => {
+    if (m.type === "message") {
+      fragment.appendChild(createChatMessageElement(m));
+    } else if (m.type === "system") {
+      fragment.appendChild(createSystemMessageElement(m));
+    }
+  });
+
+  // Prepend while keeping the currently visible messages where they are
+  const previousHeight = chatWindow.scrollHeight;
+  const previousTop = chatWindow.scrollTop;
+  chatWindow.insertBefore(fragment, chatWindow.firstChild);
+
+  chatWindow.style.scrollBehavior = "auto";
+  chatWindow.scrollTop = chatWindow.scrollHeight - previousHeight + previousTop;
+  lastScrollTop = chatWindow.scrollTop;
+  chatWindow.style.scrollBehavior = "";
+}
+
+function handleChatMessage(msg) {
+  // Only show messages for current room (and not while looking at an older search result)
+  if (currentDirectUser || viewingContext || msg.room !== currentRoom) return;
+  if (typingUsers.has(msg.from)) {
+    handleTyping({ room: msg.room, user: msg.from, typing: false });
+  }
+  displayChatMessage(msg);
+  trackLastSeen(msg);
+  renderSeenBy();
+}
+
+function handleSystemMessage(msg) {
+  // If system message is room-scoped, only show for that room. If it's global (no room), show it.
+  if (msg.room && (currentDirectUser || msg.room !== currentRoom)) return;
+  displaySystemMessage(msg);
+}
+
+function handleUserJoinedRoom(msg) {
+  if (msg.room === currentRoom) {
+    const presence = onlineUsers.get(msg.user);
+    roomMembers.set(msg.user, presence ? presence.status : "online");
+    renderPresence();
+  }
+
+  // Only show join notifications for current room
+  if (currentDirectUser || msg.room !== currentRoom) return;
+  displaySystemMessage({
+    message: `${msg.user} joined the room`,
+    timestamp: msg.timestamp
+  });
+}
+
+function handleUserLeftRoom(msg) {
+  if (msg.room === currentRoom) {
+    roomMembers.delete(msg.user);
+    renderPresence();
+  }
+
+  if (currentDirectUser || msg.room !== currentRoom) return;
+  displaySystemMessage({
+    message: `${msg.user} left the room`,
+    timestamp: msg.timestamp
+  });
+}
+
+// Presence and room members
+function handleRoomMembers(msg) {
+  if (msg.room !== currentRoom) return;
+
+  roomMembers.clear();
+  memberRoles.clear();
+  msg.members.forEach(member => {
+    roomMembers.set(member.name, member.status);
+    memberRoles.set(member.name, member.role);
+  });
+  renderPresence();
+}
+
+function handlePresence(users) {
+  onlineUsers.clear();
+  users.forEach(user => onlineUsers.set(user.name, { room: user.room, rooms: user.rooms, status: user.status }));
+  renderPresence();
+}
+
+function handlePresenceUpdate(user) {
+  if (user.status === "offline") {
+    onlineUsers.delete(user.name);
+  } else {
+    onlineUsers.set(user.name, { room: user.room, rooms: user.rooms, status: user.status });
+  }
+
+  if (currentRoom && user.rooms.includes(currentRoom) && user.status !== "offline") {
+    roomMembers.set(user.name, user.status);
+  } else {
+    roomMembers.delete(user.name);
+  }
+  renderPresence();
+}
+
+function renderPresence() {
+  memberList.innerHTML = "";
+  [...roomMembers.keys()].sort().forEach(name => {
+    memberList.appendChild(createPresenceItem(name, roomMembers.get(name), null, memberRoles.get(name)));
+  });
+
+  onlineList.innerHTML = "";
+  [...onlineUsers.keys()].sort().forEach(name => {
+    const { room, status } = onlineUsers.get(name);
+    onlineList.appendChild(createPresenceItem(name, status, room));
+  });
+}
+
+function createPresenceItem(name, status, room, role) {
+  const item = document.createElement("li");
+  item.classList.add("sidebar-item", "presence-item");
+  item.title = status === "away" ? `${name} (away)` : name;
+
+  const dot = document.createElement("span");
+  dot.classList.add("presence-dot", status);
+  item.appendChild(dot);
+
+  const label = document.createElement("span");
+  label.textContent = name === currentUsername ? `${name} (you)` : name;
+  item.appendChild(label);
+
+  if (role && role !== "member") {
+    const roleLabel = document.createElement("span");
+    roleLabel.classList.add("presence-role");
+    roleLabel.textContent = role;
+    item.appendChild(roleLabel);
+  }
+
+  if (room) {
+    const roomLabel = document.createElement("span");
+    roomLabel.classList.add("presence-room");
+    roomLabel.textContent = room;
+    item.appendChild(roomLabel);
+  }
+
+  // Click someone to message them directly
+  if (name !== currentUsername) {
+    item.addEventListener("click", () => {
+      addDirectConversation(name);
+      openDirectConversation(name);
+    });
+  }
+  return item;
+}
+
+// Mark ourselves away when the tab is hidden or idle, and back online on activity
+function handleActivity() {
+  clearTimeout(idleTimer);
+
+  if (document.hidden) {
+    setStatus("away");
+    return;
+  }
+
+  setStatus("online");
+  idleTimer = setTimeout(() => setStatus("away"), AWAY_AFTER_MS);
+  scheduleMarkRead();
+}
+
+function setStatus(status) {
+  if (status === myStatus) return;
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  myStatus = status;
+  socket.send(JSON.stringify({ type: "set_status", status }));
+}
+
+// Typing indicators
+function handleTypingInput() {
+  // Only announced in rooms, not in direct conversations
+  if (!currentRoom || currentDirectUser) return;
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  // Commands aren't posted, so typing one isn't announced either
+  const value = messageInput.value.trim();
+  if (!value || (value.startsWith("/") && !value.startsWith("//"))) {
+    stopTyping();
+    return;
+  }
+
+  const now = Date.now();
+  if (!isTyping || now - lastTypingSentAt >= TYPING_REFRESH_MS) {
+    socket.send(JSON.stringify({ type: "typing_start", room: currentRoom }));
+    lastTypingSentAt = now;
+    isTyping = true;
+  }
+
+  clearTimeout(typingIdleTimer);
+  typingIdleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+}
+
+function stopTyping() {
+  clearTimeout(typingIdleTimer);
+  typingIdleTimer = null;
+  if (!isTyping) return;
+
+  isTyping = false;
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type: "typing_stop" }));
+  }
+}
+
+function handleTyping(msg) {
+  if (currentDirectUser || msg.room !== currentRoom || !msg.user) return;
+
+  clearTimeout(typingUsers.get(msg.user));
+  if (msg.typing) {
+    typingUsers.set(msg.user, setTimeout(() => {
+      typingUsers.delete(msg.user);
+      renderTypingIndicator();
+    }, TYPING_EXPIRE_MS));
+  } else {
+    typingUsers.delete(msg.user);
+  }
+  renderTypingIndicator();
+}
+
+function clearTypingUsers() {
+  typingUsers.forEach(timer => clearTimeout(timer));
+  typingUsers.clear();
+  renderTypingIndicator();
+}
+
+function renderTypingIndicator() {
+  const names = [...typingUsers.keys()];
+  let text = "";
+  if (names.length === 1) {
+    text = `${names[0]} is typing…`;
+  } else if (names.length === 2) {
+    text = `${names[0]} and ${names[1]} are typing…`;
+  } else if (names.length > 2) {
+    text = `${names[0]}, ${names[1]} and ${names.length - 2} others are typing…`;
+  }
+  typingIndicator.textContent = text;
+}
+
+// Slash commands
+function isCommandText(text) {
+  return text.startsWith("/") && !text.startsWith("//");
+}
+
+// Offer the room's commands while the command name itself is being typed
+function updateCommandSuggestions() {
+  const match = /^\/([\w-]*)$/.exec(messageInput.value);
+  if (!match || !currentRoom || currentDirectUser) {
+    hideCommandSuggestions();
+    return;
+  }
+
+  const prefix = match[1].toLowerCase();
+  commandSuggestions = (roomCommands.get(currentRoom) || []).filter(command =>
+    ROLE_RANK[currentRole] >= ROLE_RANK[command.role] && command.name.startsWith(prefix)
+  );
+  selectedSuggestion = 0;
+  renderCommandSuggestions();
+}
+
+function renderCommandSuggestions() {
+  commandSuggestionList.innerHTML = "";
+  commandSuggestionList.hidden = commandSuggestions.length === 0;
+
+  commandSuggestions.forEach((command, index) => {
+    const item = document.createElement("li");
+    item.classList.add("command-suggestion");
+    if (index === selectedSuggestion) item.classList.add("selected");
+    // mousedown rather than click, so the input keeps focus
+    item.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      acceptCommandSuggestion(index);
+    });
+
+    const usage = document.createElement("span");
+    usage.classList.add("command-usage");
+    usage.textContent = command.usage;
+    item.appendChild(usage);
+
+    const description = document.createElement("span");
+    description.classList.add("command-description");
+    description.textContent = command.description;
+    item.appendChild(description);
+
+    commandSuggestionList.appendChild(item);
+  });
+}
+
+function hideCommandSuggestions() {
+  commandSuggestions = [];
+  commandSuggestionList.hidden = true;
+}
+
+function acceptCommandSuggestion(index) {
+  messageInput.value = `/${commandSuggestions[index].name} `;
+  hideCommandSuggestions();
+  messageInput.focus();
+}
+
+// Arrow keys move through the open list, Tab or Enter picks, Escape closes; returns whether the key was used
+function handleSuggestionKey(e) {
+  if (commandSuggestions.length === 0) return false;
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    selectedSuggestion = (selectedSuggestion + step + commandSuggestions.length) % commandSuggestions.length;
+    renderCommandSuggestions();
+  } else if (e.key === "Tab" || e.key === "Enter") {
+    // Enter on a command typed out in full (e.g. /who) sends it
+    if (e.key === "Enter" && messageInput.value === `/${commandSuggestions[selectedSuggestion].name}`) {
+      hideCommandSuggestions();
+      return false;
+    }
+    acceptCommandSuggestion(selectedSuggestion);
+  } else if (e.key === "Escape") {
+    hideCommandSuggestions();
+  } else {
+    return false;
+  }
+  e.preventDefault();
+  return true;
+}
+
+function handleCommandResult(msg) {
+  // /join: put the room on screen before its history arrives
+  if (msg.switchTo) {
+    showRoom(msg.switchTo);
+    return;
+  }
+  if (!msg.message || currentDirectUser || msg.room !== currentRoom) return;
+  displaySystemMessage({ message: msg.message, commandResult: true });
+}
+
+function handleMessageEdited(msg) {
+  if (msg.parentId) {
+    updateThreadReply(msg, reply => {
+      reply.message = msg.message;
+      reply.mentions = msg.mentions;
+      reply.editedAt = msg.editedAt;
+    });
+    return;
+  }
+  if (currentDirectUser || msg.room !== currentRoom) return;
+
+  const stored = messagesById.get(msg.id);
+  if (!stored) return;
+
+  stored.message = msg.message;
+  stored.mentions = msg.mentions;
+  stored.editedAt = msg.editedAt;
+  rerenderChatMessage(stored);
+}
+
+function handleMessageDeleted(msg) {
+  if (msg.parentId) {
+    updateThreadReply(msg, reply => {
+      reply.message = "";
+      reply.deleted = true;
+    });
+    return;
+  }
+  if (currentDirectUser || msg.room !== currentRoom) return;
+
+  const stored = messagesById.get(msg.id);
+  if (!stored) return;
+
+  stored.message = "";
+  stored.deleted = true;
+  rerenderChatMessage(stored);
+}
+
+function handleLinkPreview(msg) {
+  if (currentDirectUser || msg.room !== currentRoom) return;
+
+  const stored = messagesById.get(msg.id);
+  if (!stored) return;
+
+  stored.preview = msg.preview;
+  rerenderChatMessage(stored);
+}
+
+function handleReactionChanged(msg) {
+  // The thread panel doesn't show reactions
+  if (msg.parentId || currentDirectUser || msg.room !== currentRoom) return;
+
+  const stored = messagesById.get(msg.id);
+  if (!stored) return;
+
+  const reactions = stored.reactions || [];
+  let reaction = reactions.find(r => r.emoji === msg.emoji);
+  if (msg.added) {
+    if (!reaction) {
+      reaction = { emoji: msg.emoji, users: [] };
+      reactions.push(reaction);
+    }
+    if (!reaction.users.includes(msg.user)) {
+      reaction.users.push(msg.user);
+    }
+  } else if (reaction) {
+    reaction.users = reaction.users.filter(name => name !== msg.user);
+  }
+  stored.reactions = reactions.filter(r => r.users.length > 0);
+  rerenderChatMessage(stored);
+}
+
+// Unread counts and read receipts
+function handleUnreadCounts(counts) {
+  Object.entries(counts).forEach(([room, count]) => unreadCounts.set(room, count));
+  renderRoomButtons();
+  renderJoinedRooms();
+}
+
+// Mention marker and unread badge on a room's entry in the sidebar or the room selection
+function appendRoomIndicators(element, room) {
+  if (mentionedRooms.has(room)) {
+    element.classList.add("mentioned");
+    element.appendChild(document.createTextNode(" (@)"));
+  }
+
+  const count = unreadCounts.get(room);
+  if (!count || room === currentRoom) return;
+
+  const badge = document.createElement("span");
+  badge.classList.add("unread-badge");
+  badge.textContent = count > 99 ? "99+" : String(count);
+  element.appendChild(badge);
+}
+
+// Tell the server we've read the current room up to the newest message shown (debounced)
+function scheduleMarkRead() {
+  clearTimeout(markReadTimer);
+  markReadTimer = setTimeout(() => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    if (!currentRoom || currentDirectUser || viewingContext || document.hidden) return;
+    if (lastSeenTimestamp === null || lastSeenTimestamp === lastMarkedRead) return;
+
+    lastMarkedRead = lastSeenTimestamp;
+    socket.send(JSON.stringify({
+      type: "mark_read",
+      room: currentRoom,
+      timestamp: lastSeenTimestamp,
+    }));
+  }, MARK_READ_DELAY_MS);
+}
+
+function handleReadReceipts(msg) {
+  if (msg.room !== currentRoom) return;
+
+  readReceipts.clear();
+  Object.entries(msg.receipts).forEach(([user, timestamp]) => readReceipts.set(user, timestamp));
+  renderSeenBy();
+}
+
+function handleReadReceipt(msg) {
+  if (msg.room !== currentRoom) return;
+
+  readReceipts.set(msg.user, Math.max(readReceipts.get(msg.user) || 0, msg.timestamp));
+  renderSeenBy();
+}
+
+// "Seen by" line below the newest message: everyone else who has read up to it
+function renderSeenBy() {
+  const existing = document.getElementById("seenBy");
+  if (existing) existing.remove();
+  if (currentDirectUser || viewingContext || lastSeenTimestamp === null) return;
+
+  const readers = [...readReceipts.entries()]
+    .filter(([user, timestamp]) => user !== currentUsername && timestamp >= lastSeenTimestamp)
+    .map(([user]) => user)
+    .sort();
+  if (readers.length === 0) return;
+
+  const seenBy = document.createElement("div");
+  seenBy.id = "seenBy";
+  seenBy.classList.add("seen-by");
+  seenBy.textContent = readers.length > 5
+    ? `Seen by ${readers.slice(0, 5).join(", ")} and ${readers.length - 5} others`
+    : `Seen by ${readers.join(", ")}`;
+  chatWindow.appendChild(seenBy);
+}
+
+// Someone @mentioned us: flag the room, and notify when we aren't looking at it
+function handleMention(msg) {
+  const inView = msg.room === currentRoom && !currentDirectUser;
+  if (!inView) {
+    mentionedRooms.add(msg.room);
+    renderJoinedRooms();
+    renderRoomButtons();
+  }
+
+  if ((!inView || document.hidden) && "Notification" in window && Notification.permission === "granted") {
+    new Notification(`${msg.from} mentioned you in ${msg.room}`, { body: msg.message });
+  }
+}
+
+function toggleReaction(msg, emoji) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  const reaction = (msg.reactions || []).find(r => r.emoji === emoji);
+  const reacted = reaction && reaction.users.includes(currentUsername);
+  socket.send(JSON.stringify({
+    type: reacted ? "remove_reaction" : "add_reaction",
+    room: msg.room,
+    messageId: msg.id,
+    emoji: emoji,
+  }));
+}
+
+function createReactionsElement(msg) {
+  const reactionsDiv = document.createElement("div");
+  reactionsDiv.classList.add("message-reactions");
+
+  (msg.reactions || []).forEach(({ emoji, users }) => {
+    const chip = document.createElement("button");
+    chip.classList.add("reaction-chip");
+    if (users.includes(currentUsername)) {
+      chip.classList.add("mine");
+    }
+    chip.textContent = `${emoji} ${users.length}`;
+    chip.title = users.join(", ");
+    chip.addEventListener("click", () => toggleReaction(msg, emoji));
+    reactionsDiv.appendChild(chip);
+  });
+
+  // Picker with the quick reactions, opened by the "+" button
+  const picker = document.createElement("div");
+  picker.classList.add("reaction-picker");
+  QUICK_REACTIONS.forEach(emoji => {
+    const option = document.createElement("button");
+    option.classList.add("reaction-option");
+    option.textContent = emoji;
+    option.addEventListener("click", () => {
+      picker.classList.remove("open");
+      toggleReaction(msg, emoji);
+    });
+    picker.appendChild(option);
+  });
+
+  const addBtn = document.createElement("button");
+  addBtn.classList.add("reaction-add-btn");
+  addBtn.textContent = "+";
+  addBtn.title = "Add reaction";
+  addBtn.addEventListener("click", () => picker.classList.toggle("open"));
+  reactionsDiv.appendChild(addBtn);
+  reactionsDiv.appendChild(picker);
+
+  return reactionsDiv;
+}
+
+function rerenderChatMessage(msg) {
+  const existing = chatWindow.querySelector(`[data-message-id="${CSS.escape(msg.id)}"]`);
+  if (existing) {
+    existing.replaceWith(createChatMessageElement(msg));
+  }
+}
+
+function editMessage(msg) {
+  const input = prompt("Edit message:", msg.message);
+  if (input === null) return;
+
+  const text = input.trim();
+  if (!text || text === msg.message) return;
+
+  socket.send(JSON.stringify({
+    type: "edit_message",
+    room: msg.room || currentRoom,
+    messageId: msg.id,
+    ...(msg.parentId ? { parentId: msg.parentId } : {}),
+    text: text,
+  }));
+}
+
+function deleteMessage(msg) {
+  if (!confirm("Delete this message?")) return;
+
+  socket.send(JSON.stringify({
+    type: "delete_message",
+    room: msg.room || currentRoom,
+    messageId: msg.id,
+    ...(msg.parentId ? { parentId: msg.parentId } : {}),
+  }));
+}
+
+function handleRoomRenamed(msg) {
+  if (msg.from !== currentRoom) return;
+
+  currentRoom = msg.to;
+  if (roomPins.has(msg.from)) {
+    roomPins.set(msg.to, roomPins.get(msg.from));
+    roomPins.delete(msg.from);
+  }
+  clearSearch();
+  renderJoinedRooms();
+  if (currentDirectUser) return;
+
+  renderRoomHeader();
+  messageInput.placeholder = `Type a message in ${msg.to}...`;
+  displaySystemMessage({
+    message: `${msg.by} renamed the room from ${msg.from} to ${msg.to}`,
+    timestamp: msg.timestamp
+  });
+}
+
+function handleRoomArchived(msg) {
+  if (msg.room !== currentRoom) return;
+
+  alert(`Room ${msg.room} was archived by ${msg.by}. Please pick another room.`);
+  returnToRoomSelection();
+}
+
+// Moderation
+function handleRoomRole(msg) {
+  if (msg.room !== currentRoom) return;
+
+  currentRole = msg.role;
+  // Moderator actions depend on the role, so re-render what is on screen
+  if (!currentDirectUser) {
+    messagesById.forEach(stored => rerenderChatMessage(stored));
+    renderRoomHeader();
+    if (pinnedPanelOpen) renderPinnedPanel();
+  }
+}
+
+function handleKicked(msg) {
+  const action = msg.banned ? "banned" : "removed";
+  alert(`You were ${action} from ${msg.room} by ${msg.by}.`);
+  if (msg.room === currentRoom) {
+    returnToRoomSelection();
+  }
+}
+
+function isModerator() {
+  return currentRole === "moderator" || currentRole === "owner";
+}
+
+function moderateUser(type, user) {
+  const action = { kick: "Kick", ban: "Ban" }[type];
+  if (!confirm(`${action} ${user} from ${currentRoom}?`)) return;
+
+  socket.send(JSON.stringify({ type, room: currentRoom, user }));
+}
+
+function muteUser(user) {
+  const input = prompt(`Mute ${user} for how many minutes?`, "10");
+  if (input === null) return;
+
+  const minutes = parseInt(input, 10);
+  if (!(minutes > 0)) {
+    alert("Please enter a number of minutes");
+    return;
+  }
+
+  socket.send(JSON.stringify({
+    type: "mute",
+    room: currentRoom,
+    user: user,
+    duration: minutes * 60,
+  }));
+}
+
+// Leave the current room view, e.g. after it was archived or we were kicked:
+// open another of our rooms, or go back to room selection
+function returnToRoomSelection() {
+  const nextRoom = joinedRooms.find(room => room !== currentRoom);
+  currentRoom = null;
+  clearSearch();
+  currentRole = "member";
+  roomMembers.clear();
+  memberRoles.clear();
+  renderPresence();
+  if (currentDirectUser) {
+    // Keep the open conversation; our rooms stay in the sidebar
+    renderJoinedRooms();
+    return;
+  }
+  if (nextRoom) {
+    switchToRoom(nextRoom);
+    return;
+  }
+  chatWindow.innerHTML = "";
+  resetHistoryState();
+  renderJoinedRooms();
+  roomSection.style.display = "block";
+  messageInput.disabled = true;
+  sendBtn.disabled = true;
+  attachBtn.disabled = true;
+  messageInput.placeholder = "Select a room to start chatting...";
+  renderRoomHeader();
 }
 
 function displayChatMessage(msg) {
+  chatWindow.appendChild(createChatMessageElement(msg));
+  
+  // Smooth scroll to bottom
+  setTimeout(() => {
+    chatWindow.scrollTop = chatWindow.scrollHeight;
+  }, 50);
+}
+
+function createChatMessageElement(msg) {
   const messageDiv = document.createElement("div");
   messageDiv.classList.add("message");
   
   const isOwnMessage = msg.from === currentUsername;
   if (isOwnMessage) {
     messageDiv.classList.add("own");
+  } else if (msg.mentions && msg.mentions.includes(currentUsername) && !msg.deleted) {
+    messageDiv.classList.add("mentions-me");
+  }
+
+  if (msg.id) {
+    messageDiv.dataset.messageId = msg.id;
+    messagesById.set(msg.id, msg);
+  }
+  if (msg.id && !currentDirectUser && isPinnedMessage(msg.id)) {
+    messageDiv.classList.add("pinned");
   }
 
   const bubbleDiv = document.createElement("div");
@@ -312,45 +1771,151 @@ function displayChatMessage(msg) {
   if (!isOwnMessage) {
     const senderDiv = document.createElement("div");
     senderDiv.classList.add("message-sender");
-    senderDiv.textContent = msg.from;
+    senderDiv.textContent = msg.nick ? `${msg.nick} (${msg.from})` : msg.from;
+    // Posted by an integration through an incoming webhook
+    if (msg.bot) {
+      const botBadge = document.createElement("span");
+      botBadge.classList.add("bot-badge");
+      botBadge.textContent = "BOT";
+      senderDiv.appendChild(botBadge);
+    }
     bubbleDiv.appendChild(senderDiv);
   }
 
-  // Add message text
-  const textDiv = document.createElement("div");
-  textDiv.classList.add("message-text");
-  textDiv.textContent = msg.message;
-  bubbleDiv.appendChild(textDiv);
+  // Add message text (or a tombstone for deleted messages)
+  const textDiv = document.createElement("div");
+  textDiv.classList.add("message-text");
+  if (msg.deleted) {
+    textDiv.classList.add("deleted");
+    textDiv.textContent = "This message was deleted";
+  } else {
+    // Sent with /me: "* name waves"
+    if (msg.emote) {
+      textDiv.classList.add("emote");
+      textDiv.append(`* ${msg.nick || msg.from} `);
+    }
+    textDiv.appendChild(renderMessageText(msg.message, { mentions: msg.mentions, self: currentUsername }));
+  }
+  if (msg.deleted || msg.message) {
+    bubbleDiv.appendChild(textDiv);
+  }
+
+  if (msg.attachments && msg.attachments.length > 0 && !msg.deleted) {
+    bubbleDiv.appendChild(createAttachmentsElement(msg.attachments));
+  }
+
+  const preview = msg.preview && !msg.deleted ? createLinkPreviewElement(msg.preview) : null;
+  if (preview) {
+    bubbleDiv.appendChild(preview);
+  }
 
   // Add timestamp
   const timeDiv = document.createElement("div");
   timeDiv.classList.add("message-time");
-  timeDiv.textContent = formatTime(msg.timestamp);
+  timeDiv.textContent = formatTime(msg.timestamp) + (msg.editedAt && !msg.deleted ? " (edited)" : "");
   bubbleDiv.appendChild(timeDiv);
 
+  // Room messages get reaction chips and can be replied to in a thread
+  if (msg.id && !msg.deleted && !msg.parentId && !currentDirectUser) {
+    bubbleDiv.appendChild(createReactionsElement(msg));
+
+    const threadLink = document.createElement("button");
+    threadLink.classList.add("thread-link");
+    threadLink.textContent = msg.replyCount
+      ? `${msg.replyCount} ${msg.replyCount === 1 ? "reply" : "replies"}`
+      : "Reply";
+    threadLink.addEventListener("click", () => openThread(msg));
+    bubbleDiv.appendChild(threadLink);
+  }
+
+  // Own room messages can be edited or deleted
+  if (isOwnMessage && msg.id && !msg.deleted && !currentDirectUser) {
+    const actionsDiv = document.createElement("div");
+    actionsDiv.classList.add("message-actions");
+
+    const editBtn = document.createElement("button");
+    editBtn.classList.add("message-action-btn");
+    editBtn.textContent = "Edit";
+    editBtn.addEventListener("click", () => editMessage(msg));
+    actionsDiv.appendChild(editBtn);
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.classList.add("message-action-btn");
+    deleteBtn.textContent = "Delete";
+    deleteBtn.addEventListener("click", () => deleteMessage(msg));
+    actionsDiv.appendChild(deleteBtn);
+
+    bubbleDiv.appendChild(actionsDiv);
+  }
+
+  // Moderators can act on other people's room messages (bots are managed by the room owner instead)
+  if (!isOwnMessage && msg.from && !msg.bot && !currentDirectUser && isModerator()) {
+    const actionsDiv = document.createElement("div");
+    actionsDiv.classList.add("message-actions");
+
+    [["Kick", () => moderateUser("kick", msg.from)],
+     ["Mute", () => muteUser(msg.from)],
+     ["Ban", () => moderateUser("ban", msg.from)],
+     ...(currentRoomVisibility() !== "public" ? [["Revoke", () => revokeUser(msg.from)]] : [])
+    ].forEach(([label, action]) => {
+      const btn = document.createElement("button");
+      btn.classList.add("message-action-btn");
+      btn.textContent = label;
+      btn.addEventListener("click", action);
+      actionsDiv.appendChild(btn);
+    });
+
+    bubbleDiv.appendChild(actionsDiv);
+  }
+
+  // Moderators can pin any room message, their own and bots' included
+  if (msg.id && !msg.deleted && !msg.parentId && !currentDirectUser && isModerator()) {
+    let actionsDiv = bubbleDiv.lastElementChild;
+    if (!actionsDiv.classList.contains("message-actions")) {
+      actionsDiv = document.createElement("div");
+      actionsDiv.classList.add("message-actions");
+      bubbleDiv.appendChild(actionsDiv);
+    }
+
+    const pinned = isPinnedMessage(msg.id);
+    const pinBtn = document.createElement("button");
+    pinBtn.classList.add("message-action-btn");
+    pinBtn.textContent = pinned ? "Unpin" : "Pin";
+    pinBtn.addEventListener("click", () => setPinned(msg.id, !pinned));
+    actionsDiv.appendChild(pinBtn);
+  }
+
   messageDiv.appendChild(bubbleDiv);
-  chatWindow.appendChild(messageDiv);
+  return messageDiv;
+}
+
+function displaySystemMessage(msg) {
+  chatWindow.appendChild(createSystemMessageElement(msg));
   
-  // Smooth scroll to bottom
   setTimeout(() => {
     chatWindow.scrollTop = chatWindow.scrollHeight;
   }, 50);
 }
 
-function displaySystemMessage(msg) {
+function createSystemMessageElement(msg) {
   const messageDiv = document.createElement("div");
   messageDiv.classList.add("message", "system", "room-system");
+  if (msg.commandResult) messageDiv.classList.add("command-result");
 
   const bubbleDiv = document.createElement("div");
   bubbleDiv.classList.add("message-bubble");
   bubbleDiv.textContent = msg.message;
 
   messageDiv.appendChild(bubbleDiv);
-  chatWindow.appendChild(messageDiv);
-  
-  setTimeout(() => {
-    chatWindow.scrollTop = chatWindow.scrollHeight;
-  }, 50);
+  return messageDiv;
+}
+
+function handleRateLimited(msg) {
+  // Shown inline rather than as an alert, since a flood would produce many of these
+  const seconds = Math.max(1, Math.ceil(msg.retryAfter / 1000));
+  displaySystemMessage({
+    message: `${msg.message}. Try again in ${seconds}s.`
+  });
 }
 
 function handleError(errorMessage) {
@@ -364,24 +1929,715 @@ function sendMessage() {
     return;
   }
 
-  if (!currentRoom) {
+  if (!currentRoom && !currentDirectUser) {
     alert("You must join a room before sending messages.");
     return;
   }
 
   const text = messageInput.value.trim();
+  hideCommandSuggestions();
+  if (!currentDirectUser && pendingAttachments.some(entry => !entry.attachment)) {
+    handleError("Please wait until your files have finished uploading.");
+    return;
+  }
+  const attachmentIds = currentDirectUser ? [] : pendingAttachments.map(entry => entry.attachment.id);
+  if (!text && attachmentIds.length === 0) return;
+
+  // Our own message should appear below the latest ones, not a search result
+  if (viewingContext) {
+    jumpToLatest();
+  }
+
+  if (currentDirectUser) {
+    socket.send(JSON.stringify({
+      type: "direct_message",
+      to: currentDirectUser,
+      text: text,
+    }));
+  } else {
+    const payload = {
+      type: "message",
+      room: currentRoom,
+      text: text,
+    };
+    // Commands go without attachments; any pending ones stay for the next message
+    if (attachmentIds.length > 0 && !isCommandText(text)) {
+      payload.attachments = attachmentIds;
+      clearPendingAttachments();
+    }
+    socket.send(JSON.stringify(payload));
+    // The server clears our typing state when the message arrives
+    clearTimeout(typingIdleTimer);
+    isTyping = false;
+  }
+
+  messageInput.value = "";
+  messageInput.focus();
+}
+
+// Attachments
+function uploadFiles(files) {
+  if (!currentRoom || currentDirectUser) {
+    handleError("Files can only be attached to room messages.");
+    return;
+  }
+
+  for (const file of files) {
+    if (pendingAttachments.length >= MAX_ATTACHMENTS_PER_MESSAGE) {
+      handleError(`You can attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files per message.`);
+      break;
+    }
+    uploadFile(file);
+  }
+}
+
+// Send one file as the raw request body, tracking its progress in the tray
+function uploadFile(file) {
+  const entry = { name: file.name || "file", progress: 0, xhr: new XMLHttpRequest(), attachment: null };
+  pendingAttachments.push(entry);
+  renderAttachmentTray();
+
+  const xhr = entry.xhr;
+  xhr.open("POST", `${getHttpBase()}/api/attachments?name=${encodeURIComponent(entry.name)}`);
+  xhr.setRequestHeader("Authorization", `Bearer ${sessionToken}`);
+  xhr.setRequestHeader("Content-Type", file.type || "application/octet-stream");
+
+  xhr.upload.addEventListener("progress", (e) => {
+    if (!e.lengthComputable) return;
+    entry.progress = e.loaded / e.total;
+    renderAttachmentTray();
+  });
+  xhr.addEventListener("load", () => {
+    let body = {};
+    try {
+      body = JSON.parse(xhr.responseText);
+    } catch (e) {
+      // Not JSON (e.g. a proxy error page); reported below
+    }
+
+    if (xhr.status === 201) {
+      entry.attachment = body.attachment;
+      entry.xhr = null;
+      renderAttachmentTray();
+    } else {
+      removePendingAttachment(entry);
+      handleError(body.error || `Could not upload ${entry.name}`);
+    }
+  });
+  xhr.addEventListener("error", () => {
+    removePendingAttachment(entry);
+    handleError(`Could not upload ${entry.name}`);
+  });
+
+  xhr.send(file);
+}
+
+function removePendingAttachment(entry) {
+  if (entry.xhr) {
+    entry.xhr.abort();
+  }
+  pendingAttachments = pendingAttachments.filter(other => other !== entry);
+  renderAttachmentTray();
+}
+
+function clearPendingAttachments() {
+  pendingAttachments.forEach(entry => entry.xhr && entry.xhr.abort());
+  pendingAttachments = [];
+  renderAttachmentTray();
+}
+
+function renderAttachmentTray() {
+  attachmentTray.innerHTML = "";
+  attachmentTray.style.display = pendingAttachments.length > 0 ? "flex" : "none";
+
+  pendingAttachments.forEach(entry => {
+    const item = document.createElement("div");
+    item.classList.add("attachment-tray-item");
+
+    const name = document.createElement("span");
+    name.classList.add("attachment-tray-name");
+    name.textContent = entry.name;
+    item.appendChild(name);
+
+    if (!entry.attachment) {
+      const progress = document.createElement("progress");
+      progress.max = 1;
+      progress.value = entry.progress;
+      item.appendChild(progress);
+    }
+
+    const removeBtn = document.createElement("button");
+    removeBtn.classList.add("attachment-remove-btn");
+    removeBtn.textContent = "×";
+    removeBtn.title = "Remove";
+    removeBtn.addEventListener("click", () => removePendingAttachment(entry));
+    item.appendChild(removeBtn);
+
+    attachmentTray.appendChild(item);
+  });
+}
+
+// Images show inline (their thumbnail when the server made one); other files as download links
+// Card for the page a message links to: site, title and description, as text only (no remote images)
+function createLinkPreviewElement(preview) {
+  let url;
+  try {
+    url = new URL(preview.url);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+  const card = document.createElement("a");
+  card.classList.add("link-preview");
+  card.href = url.href;
+  card.target = "_blank";
+  card.rel = "noopener noreferrer";
+
+  [["link-preview-site", preview.siteName || url.hostname],
+   ["link-preview-title", preview.title],
+   ["link-preview-description", preview.description]
+  ].forEach(([className, text]) => {
+    if (!text) return;
+    const line = document.createElement("div");
+    line.classList.add(className);
+    line.textContent = text;
+    card.appendChild(line);
+  });
+  return card;
+}
+
+function createAttachmentsElement(attachments) {
+  const container = document.createElement("div");
+  container.classList.add("message-attachments");
+
+  attachments.forEach(attachment => {
+    const url = `${getHttpBase()}/api/attachments/${encodeURIComponent(attachment.id)}`;
+    const link = document.createElement("a");
+    link.href = url;
+    link.target = "_blank";
+    link.rel = "noopener";
+
+    if (PREVIEW_TYPES.includes(attachment.type)) {
+      link.classList.add("attachment-image");
+      const img = document.createElement("img");
+      img.src = attachment.thumbnail ? `${url}/thumbnail` : url;
+      img.alt = attachment.name;
+      img.loading = "lazy";
+      link.appendChild(img);
+    } else {
+      link.classList.add("attachment-file");
+      link.textContent = `📄 ${attachment.name} (${formatFileSize(attachment.size)})`;
+    }
+    container.appendChild(link);
+  });
+  return container;
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Threads
+function openThread(parent) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  currentThread = { parentId: parent.id, oldestTimestamp: null, oldestId: null, hasMore: false, replies: new Map() };
+
+  threadParent.innerHTML = "";
+  threadParent.appendChild(createThreadMessageElement(parent));
+  threadMessages.innerHTML = "";
+  threadOlderBtn.style.display = "none";
+  closePinnedPanel();
+  memberSidebar.style.display = "none";
+  threadPanel.style.display = "flex";
+  threadInput.focus();
+
+  socket.send(JSON.stringify({
+    type: "thread_request",
+    room: currentRoom,
+    parentId: parent.id,
+  }));
+}
+
+function closeThread() {
+  if (!currentThread) return;
+
+  currentThread = null;
+  threadPanel.style.display = "none";
+  memberSidebar.style.display = "flex";
+}
+
+function requestOlderReplies() {
+  if (!currentThread || !currentThread.hasMore) return;
+
+  socket.send(JSON.stringify({
+    type: "thread_request",
+    room: currentRoom,
+    parentId: currentThread.parentId,
+    before: currentThread.oldestTimestamp,
+    beforeId: currentThread.oldestId,
+  }));
+}
+
+function handleThreadHistory(msg) {
+  if (!currentThread || msg.room !== currentRoom || msg.parentId !== currentThread.parentId) return;
+  if (msg.before !== currentThread.oldestTimestamp || msg.beforeId !== currentThread.oldestId) return;
+
+  const fragment = document.createDocumentFragment();
+  msg.messages.forEach(reply => {
+    currentThread.replies.set(reply.id, reply);
+    fragment.appendChild(createThreadMessageElement(reply));
+  });
+  threadMessages.insertBefore(fragment, threadMessages.firstChild);
+
+  if (msg.messages.length > 0) {
+    currentThread.oldestTimestamp = msg.messages[0].timestamp;
+    currentThread.oldestId = msg.messages[0].id;
+  }
+  currentThread.hasMore = !!msg.hasMore;
+  threadOlderBtn.style.display = msg.hasMore ? "block" : "none";
+
+  // First page: start at the newest reply
+  if (msg.before === null) {
+    threadMessages.scrollTop = threadMessages.scrollHeight;
+  }
+}
+
+function handleThreadReply(msg) {
+  if (msg.room !== currentRoom) return;
+
+  // Update the reply count on the parent bubble
+  const parent = messagesById.get(msg.parentId);
+  if (parent) {
+    parent.replyCount = msg.replyCount;
+    parent.lastReplyAt = msg.timestamp;
+    if (!currentDirectUser) {
+      rerenderChatMessage(parent);
+    }
+  }
+
+  if (currentThread && currentThread.parentId === msg.parentId) {
+    currentThread.replies.set(msg.id, msg);
+    threadMessages.appendChild(createThreadMessageElement(msg));
+    threadMessages.scrollTop = threadMessages.scrollHeight;
+  }
+}
+
+function sendReply() {
+  if (!currentThread || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+  const text = threadInput.value.trim();
   if (!text) return;
 
   socket.send(JSON.stringify({
-    type: "message",
+    type: "reply",
+    room: currentRoom,
+    parentId: currentThread.parentId,
     text: text,
   }));
+  threadInput.value = "";
+}
 
-  messageInput.value = "";
-  messageInput.focus();
+// Compact message for the thread panel; own replies can be edited or deleted
+function createThreadMessageElement(msg) {
+  const item = document.createElement("div");
+  item.classList.add("thread-message");
+  item.dataset.messageId = msg.id;
+
+  const meta = document.createElement("div");
+  meta.classList.add("search-result-meta");
+  meta.textContent = `${msg.from} · ${formatTime(msg.timestamp)}` + (msg.editedAt && !msg.deleted ? " (edited)" : "");
+  item.appendChild(meta);
+
+  const text = document.createElement("div");
+  text.classList.add("thread-message-text");
+  if (msg.deleted) {
+    text.classList.add("deleted");
+    text.textContent = "This message was deleted";
+  } else {
+    text.appendChild(renderMessageText(msg.message, { mentions: msg.mentions, self: currentUsername }));
+  }
+  item.appendChild(text);
+
+  if (msg.parentId && msg.from === currentUsername && !msg.deleted) {
+    const actionsDiv = document.createElement("div");
+    actionsDiv.classList.add("message-actions");
+    [["Edit", () => editMessage(msg)], ["Delete", () => deleteMessage(msg)]].forEach(([label, action]) => {
+      const btn = document.createElement("button");
+      btn.classList.add("message-action-btn");
+      btn.textContent = label;
+      btn.addEventListener("click", action);
+      actionsDiv.appendChild(btn);
+    });
+    item.appendChild(actionsDiv);
+  }
+  return item;
+}
+
+// An edit or delete of a reply in the open thread
+function updateThreadReply(msg, change) {
+  if (!currentThread || msg.room !== currentRoom || msg.parentId !== currentThread.parentId) return;
+
+  const reply = currentThread.replies.get(msg.id);
+  if (!reply) return;
+
+  change(reply);
+  const existing = threadMessages.querySelector(`[data-message-id="${CSS.escape(reply.id)}"]`);
+  if (existing) {
+    existing.replaceWith(createThreadMessageElement(reply));
+  }
+}
+
+// Room header, room info and pins
+function renderRoomHeader() {
+  currentRoomDisplay.title = "";
+  roomTools.style.display = "none";
+  if (currentDirectUser) {
+    currentRoomDisplay.textContent = `Direct message: ${currentDirectUser}`;
+    return;
+  }
+  if (!currentRoom) {
+    currentRoomDisplay.textContent = "Select a room to join";
+    return;
+  }
+
+  // "Room: name — topic", with the description on hover
+  const details = roomDetails.get(currentRoom) || {};
+  const visibility = currentRoomVisibility();
+  currentRoomDisplay.textContent = `Room: ${currentRoom}${visibility !== "public" ? " 🔒" : ""}`;
+  if (details.topic) {
+    const topic = document.createElement("span");
+    topic.classList.add("room-topic");
+    topic.textContent = details.topic;
+    currentRoomDisplay.appendChild(topic);
+  }
+  currentRoomDisplay.title = details.description || "";
+
+  pinnedBtn.textContent = `📌 ${(roomPins.get(currentRoom) || []).length}`;
+  roomInfoBtn.style.display = isModerator() ? "inline-block" : "none";
+  inviteBtn.style.display = isModerator() && visibility !== "public" ? "inline-block" : "none";
+  accessBtn.style.display = currentRole === "owner" ? "inline-block" : "none";
+  roomTools.style.display = "flex";
+}
+
+function editRoomInfo() {
+  if (!currentRoom || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+  const details = roomDetails.get(currentRoom) || {};
+  const topic = prompt(`Topic of ${currentRoom} (leave empty for none):`, details.topic || "");
+  if (topic === null) return;
+  const description = prompt(`Description of ${currentRoom}:`, details.description || "");
+  if (description === null) return;
+
+  const update = { type: "update_room_info", room: currentRoom };
+  if (topic.trim() !== (details.topic || "")) update.topic = topic;
+  if (description.trim() !== (details.description || "")) update.description = description;
+  if (update.topic === undefined && update.description === undefined) return;
+
+  socket.send(JSON.stringify(update));
+}
+
+function currentRoomVisibility() {
+  const details = roomDetails.get(currentRoom);
+  return details ? details.visibility : "public";
+}
+
+function inviteUser() {
+  if (!currentRoom || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+  const input = prompt(`Invite who to ${currentRoom}?`);
+  if (input === null || !input.trim()) return;
+
+  socket.send(JSON.stringify({ type: "invite", room: currentRoom, user: input.trim() }));
+}
+
+function revokeUser(user) {
+  if (!confirm(`Take away ${user}'s access to ${currentRoom}?`)) return;
+
+  socket.send(JSON.stringify({ type: "revoke", room: currentRoom, user }));
+}
+
+// Owners only: switch between public, invite-only and password-protected, or change the password
+function changeRoomAccess() {
+  if (!currentRoom || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+  const current = currentRoomVisibility();
+  const visibility = promptVisibility(currentRoom, current);
+  if (!visibility) return;
+
+  const update = { type: "set_room_access", room: currentRoom, visibility };
+  if (visibility === "password") {
+    const keep = current === "password" ? " (leave empty to keep the current one)" : "";
+    const password = prompt(`Password for ${currentRoom}${keep}:`);
+    if (password === null || (!password && current !== "password")) return;
+    if (password) update.password = password;
+  } else if (visibility === current) {
+    return;
+  }
+
+  socket.send(JSON.stringify(update));
+}
+
+function handleInvited(msg) {
+  if (joinedRooms.includes(msg.room)) return;
+  if (confirm(`${msg.by} invited you to ${msg.room}. Join now?`)) {
+    switchToRoom(msg.room, "");
+  }
+}
+
+// Joining a password-protected room failed: leave the room view we opened for it and ask again
+function handlePasswordRequired(msg) {
+  if (msg.room === currentRoom && !joinedRooms.includes(msg.room)) {
+    returnToRoomSelection();
+  }
+
+  const password = prompt(`${msg.message}. Password for ${msg.room}:`);
+  if (password === null) return;
+  switchToRoom(msg.room, password);
+}
+
+function isPinnedMessage(messageId) {
+  return (roomPins.get(currentRoom) || []).some(pinned => pinned.id === messageId);
+}
+
+function setPinned(messageId, pinned) {
+  socket.send(JSON.stringify({
+    type: pinned ? "pin_message" : "unpin_message",
+    room: currentRoom,
+    messageId: messageId,
+  }));
+}
+
+function handlePinnedMessages(msg) {
+  const before = new Set((roomPins.get(msg.room) || []).map(pinned => pinned.id));
+  roomPins.set(msg.room, msg.messages);
+  if (msg.room !== currentRoom || currentDirectUser) return;
+
+  // Re-render only the messages that were pinned or unpinned
+  const after = new Set(msg.messages.map(pinned => pinned.id));
+  messagesById.forEach(stored => {
+    if (before.has(stored.id) !== after.has(stored.id)) {
+      rerenderChatMessage(stored);
+    }
+  });
+  renderRoomHeader();
+  if (pinnedPanelOpen) renderPinnedPanel();
+}
+
+function openPinnedPanel() {
+  if (!currentRoom || currentDirectUser) return;
+
+  closeThread();
+  pinnedPanelOpen = true;
+  renderPinnedPanel();
+  memberSidebar.style.display = "none";
+  pinnedPanel.style.display = "flex";
+}
+
+function closePinnedPanel() {
+  if (!pinnedPanelOpen) return;
+
+  pinnedPanelOpen = false;
+  pinnedPanel.style.display = "none";
+  memberSidebar.style.display = "flex";
+}
+
+function renderPinnedPanel() {
+  const details = roomDetails.get(currentRoom) || {};
+  roomDescription.textContent = details.description || "No description yet.";
+
+  pinnedList.innerHTML = "";
+  const pins = roomPins.get(currentRoom) || [];
+  if (pins.length === 0) {
+    const empty = document.createElement("div");
+    empty.classList.add("sidebar-empty");
+    empty.textContent = "Nothing is pinned in this room.";
+    pinnedList.appendChild(empty);
+    return;
+  }
+
+  pins.forEach(pinned => {
+    const item = createThreadMessageElement(pinned);
+    item.classList.add("pinned-message");
+    item.title = `Pinned by ${pinned.pinnedBy} · click to show in the room`;
+    // Show the message where it was posted, like a search result
+    item.addEventListener("click", () => {
+      socket.send(JSON.stringify({
+        type: "context_request",
+        room: currentRoom,
+        messageId: pinned.id,
+      }));
+    });
+
+    if (isModerator()) {
+      const unpinBtn = document.createElement("button");
+      unpinBtn.classList.add("message-action-btn");
+      unpinBtn.textContent = "Unpin";
+      unpinBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        setPinned(pinned.id, false);
+      });
+      item.appendChild(unpinBtn);
+    }
+    pinnedList.appendChild(item);
+  });
+}
+
+// Search
+function handleSearch() {
+  if (!socket || socket.readyState !== WebSocket.OPEN || !currentRoom) return;
+
+  // "from:name" narrows the search to one author; the rest is the query
+  let from;
+  const words = searchInput.value.trim().split(/\s+/).filter(word => {
+    if (word.startsWith("from:") && word.length > 5) {
+      from = word.slice(5);
+      return false;
+    }
+    return true;
+  });
+
+  searchResults.innerHTML = "";
+  searchMoreBtn.style.display = "none";
+  if (words.length === 0) {
+    searchQuery = null;
+    return;
+  }
+
+  searchQuery = { query: words.join(" "), from };
+  searchCursor = null;
+  sendSearch();
+}
+
+function requestMoreResults() {
+  if (searchQuery && searchCursor !== null) {
+    sendSearch();
+  }
+}
+
+function sendSearch() {
+  const request = {
+    type: "search",
+    room: currentRoom,
+    query: searchQuery.query,
+  };
+  if (searchQuery.from) request.from = searchQuery.from;
+  if (searchCursor !== null) request.before = searchCursor;
+
+  socket.send(JSON.stringify(request));
+}
+
+function handleSearchResults(msg) {
+  if (!searchQuery || msg.room !== currentRoom || msg.query !== searchQuery.query) return;
+  if ((msg.before === undefined ? null : msg.before) !== searchCursor) return;
+
+  if (searchCursor === null && msg.results.length === 0) {
+    const empty = document.createElement("li");
+    empty.classList.add("sidebar-empty");
+    empty.textContent = "No messages found";
+    searchResults.appendChild(empty);
+  }
+
+  msg.results.forEach(result => searchResults.appendChild(createSearchResultItem(result)));
+  if (msg.results.length > 0) {
+    searchCursor = msg.results[msg.results.length - 1].timestamp;
+  }
+  searchMoreBtn.style.display = msg.hasMore ? "block" : "none";
+}
+
+function createSearchResultItem(result) {
+  const item = document.createElement("li");
+  item.classList.add("sidebar-item", "search-result");
+  item.title = result.message;
+
+  const meta = document.createElement("div");
+  meta.classList.add("search-result-meta");
+  meta.textContent = `${result.from} · ${new Date(result.timestamp).toLocaleDateString()} ${formatTime(result.timestamp)}`;
+  item.appendChild(meta);
+
+  const text = document.createElement("div");
+  text.classList.add("search-result-text");
+  text.textContent = result.message;
+  item.appendChild(text);
+
+  item.addEventListener("click", () => {
+    socket.send(JSON.stringify({
+      type: "context_request",
+      room: currentRoom,
+      messageId: result.id,
+    }));
+  });
+  return item;
+}
+
+// Show a search result with the messages around it
+function handleMessageContext(msg) {
+  if (msg.room !== currentRoom) return;
+
+  if (currentDirectUser) {
+    leaveDirectView();
+    renderRoomHeader();
+    messageInput.placeholder = `Type a message in ${currentRoom}...`;
+    renderJoinedRooms();
+  }
+  chatWindow.innerHTML = "";
+  resetHistoryState();
+  viewingContext = true;
+  contextBanner.style.display = "flex";
+
+  msg.messages.forEach(m => {
+    if (m.type === "message") {
+      chatWindow.appendChild(createChatMessageElement(m));
+    } else if (m.type === "system") {
+      chatWindow.appendChild(createSystemMessageElement(m));
+    }
+  });
+  hasMoreHistory = !!msg.hasMore;
+  if (msg.messages.length > 0) {
+    oldestTimestamp = msg.messages[0].timestamp;
+    oldestId = msg.messages[0].id;
+  }
+
+  const target = chatWindow.querySelector(`[data-message-id="${CSS.escape(msg.messageId)}"]`);
+  if (target) {
+    target.classList.add("highlighted");
+    chatWindow.style.scrollBehavior = "auto";
+    target.scrollIntoView({ block: "center" });
+    lastScrollTop = chatWindow.scrollTop;
+    chatWindow.style.scrollBehavior = "";
+  }
+}
+
+// Leave the search result and reload the latest messages of the room
+function jumpToLatest() {
+  if (!currentRoom || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+  chatWindow.innerHTML = "";
+  resetHistoryState();
+  socket.send(JSON.stringify({
+    type: "subscribe",
+    room: currentRoom,
+  }));
+}
+
+function clearSearch() {
+  searchQuery = null;
+  searchCursor = null;
+  searchInput.value = "";
+  searchResults.innerHTML = "";
+  searchMoreBtn.style.display = "none";
 }
 
 // Utility functions
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 function formatTime(timestamp) {
   const d = new Date(timestamp);
   return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -0,0 +1,138 @@
+// frontend/markdown.js - Safe renderer for the Markdown subset used in chat messages
+//
+// **bold**, *italics* / _italics_, `inline code`, ```fenced code```, auto-linked URLs and @mentions.
+// Everything is built with DOM nodes and text nodes (never innerHTML), so message text can't inject markup.
+
+const FENCE_PATTERN = /```(?:[^\n`]*\n)?([\s\S]*?)```/g;
+
+// Trailing punctuation that ends a sentence rather than a URL or username
+const TRAILING_PUNCTUATION = /[.,;:!?)\]'"]+$/;
+
+// Bold and italics may nest, up to this depth
+const MAX_NESTING = 4;
+
+// Inline syntax, tried at every position; the earliest match wins, ties go to the first rule
+const INLINE_RULES = [
+  { pattern: /`([^`\n]+)`/, render: (match) => createTextElement("code", match[1]) },
+  { pattern: /\*\*(?=\S)([^\n]*?\S)\*\*/, render: (match, options, depth) => createFormatted("strong", match[1], options, depth) },
+  { pattern: /\*(?=[^\s*])([^\n]*?[^\s*])\*/, render: (match, options, depth) => createFormatted("em", match[1], options, depth) },
+  { pattern: /(?<!\w)_(?=\S)([^\n]*?\S)_(?!\w)/, render: (match, options, depth) => createFormatted("em", match[1], options, depth) },
+  { pattern: /https?:\/\/[^\s<>"`]+/, render: (match) => createLink(match[0]) },
+  { pattern: /(?<!\S)@([^\s@]+)/, render: (match, options) => createMention(match[1], options) },
+];
+
+/**
+ * Render chat text into a DocumentFragment
+ * options.mentions - usernames the server recognised as mentions in this message
+ * options.self     - our username, so mentions of us can be highlighted
+ */
+function renderMessageText(text, options = {}) {
+  const fragment = document.createDocumentFragment();
+  let last = 0;
+
+  for (const match of text.matchAll(FENCE_PATTERN)) {
+    renderInline(text.slice(last, match.index), fragment, options, 0);
+
+    const pre = document.createElement("pre");
+    pre.appendChild(createTextElement("code", match[1].replace(/\n$/, "")));
+    fragment.appendChild(pre);
+    last = match.index + match[0].length;
+  }
+  renderInline(text.slice(last), fragment, options, 0);
+
+  return fragment;
+}
+
+function renderInline(text, parent, options, depth) {
+  let rest = text;
+
+  while (rest) {
+    // Find the earliest match among the rules
+    let best = null;
+    if (depth < MAX_NESTING) {
+      for (const rule of INLINE_RULES) {
+        const match = rule.pattern.exec(rest);
+        if (match && (!best || match.index < best.match.index)) {
+          best = { rule, match };
+        }
+      }
+    }
+
+    if (!best) {
+      parent.appendChild(document.createTextNode(rest));
+      return;
+    }
+
+    const { rule, match } = best;
+    if (match.index > 0) {
+      parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+    }
+    parent.appendChild(rule.render(match, options, depth));
+    rest = rest.slice(match.index + match[0].length);
+  }
+}
+
+function createTextElement(tag, text) {
+  const element = document.createElement(tag);
+  element.textContent = text;
+  return element;
+}
+
+function createFormatted(tag, inner, options, depth) {
+  const element = document.createElement(tag);
+  renderInline(inner, element, options, depth + 1);
+  return element;
+}
+
+// Returns the link plus any trailing punctuation as text
+function createLink(matched) {
+  const fragment = document.createDocumentFragment();
+  const url = matched.replace(TRAILING_PUNCTUATION, "");
+  const trailing = matched.slice(url.length);
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    // Not a valid URL after all; shown as text below
+  }
+
+  if (parsed && (parsed.protocol === "http:" || parsed.protocol === "https:")) {
+    const link = document.createElement("a");
+    link.href = parsed.href;
+    link.textContent = url;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer nofollow";
+    fragment.appendChild(link);
+  } else {
+    fragment.appendChild(document.createTextNode(url));
+  }
+
+  if (trailing) {
+    fragment.appendChild(document.createTextNode(trailing));
+  }
+  return fragment;
+}
+
+// Only names the server resolved to users are highlighted; anything else stays plain text
+function createMention(matched, { mentions = [], self = null }) {
+  const fragment = document.createDocumentFragment();
+  const name = matched.replace(TRAILING_PUNCTUATION, "");
+  const trailing = matched.slice(name.length);
+
+  if (name && mentions.includes(name)) {
+    const mention = createTextElement("span", `@${name}`);
+    mention.classList.add("mention");
+    if (name === self) {
+      mention.classList.add("mention-self");
+    }
+    fragment.appendChild(mention);
+  } else {
+    fragment.appendChild(document.createTextNode(`@${name}`));
+  }
+
+  if (trailing) {
+    fragment.appendChild(document.createTextNode(trailing));
+  }
+  return fragment;
+}